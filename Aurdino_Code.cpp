@@ -19,10 +19,22 @@ WebSocketsServer webSocket = WebSocketsServer(81);
 #define GREEN_LED 25
 #define BUZZER 26
 
+// Sample interval limits accepted from the dashboard (ms)
+#define MIN_SAMPLE_INTERVAL 500
+#define MAX_SAMPLE_INTERVAL 60000
+
+// Telemetry schema understood by the dashboard (see telemetry-schema.js)
+#define SCHEMA_VERSION 2
+#define FIRMWARE_VERSION "aegis-esp32-1.2"
+// Sensors this build provides, by the dashboard's sensor ids
+#define SENSOR_LIST "[\"heartRate\",\"temperature\",\"gas\",\"posture\",\"flame\"]"
+
 // Global variables
 String jsonData;
 int clientCount = 0;
 unsigned long lastDataSend = 0;
+unsigned long sampleInterval = 2000;
+String lastCommandId;
 
 void setup() {
   Serial.begin(115200);
@@ -88,7 +100,11 @@ void webSocketEvent(uint8_t num, WStype_t type, uint8_t * payload, size_t length
         IPAddress ip = webSocket.remoteIP(num);
         Serial.printf("[%u] Connected from %d.%d.%d.%d\n", num, ip[0], ip[1], ip[2], ip[3]);
         clientCount++;
-        webSocket.sendTXT(num, "{\"status\":\"connected\"}");
+        String handshake = "{\"status\":\"connected\",\"sampleInterval\":" + String(sampleInterval) +
+          ",\"schemaVersion\":" + String(SCHEMA_VERSION) +
+          ",\"firmware\":\"" FIRMWARE_VERSION "\"" +
+          ",\"sensors\":" SENSOR_LIST "}";
+        webSocket.sendTXT(num, handshake);
       }
       break;
     case WStype_TEXT:
@@ -100,21 +116,86 @@ void webSocketEvent(uint8_t num, WStype_t type, uint8_t * payload, size_t length
 void handleWebSocketMessage(uint8_t num, char* message) {
   Serial.printf("Received: %s\n", message);
   
-  if (strstr(message, "emergency")) {
-    triggerEmergency();
-    webSocket.sendTXT(num, "{\"action\":\"emergency_activated\"}");
+  // Commands arrive as {"id":"cmd-...","command":"emergency"}; plain text is still accepted
+  StaticJsonDocument<200> doc;
+  const char* command = message;
+  const char* commandId = "";
+  if (deserializeJson(doc, message) == DeserializationError::Ok) {
+    command = doc["command"] | "";
+    commandId = doc["id"] | "";
+  }
+  
+  if (strstr(command, "emergency")) {
+    sendCommandAck(num, "emergency_activated", commandId);
+    if (isNewCommand(commandId)) triggerEmergency();
+  }
+  else if (strstr(command, "sos")) {
+    sendCommandAck(num, "sos_activated", commandId);
+    if (isNewCommand(commandId)) triggerSOS();
   }
-  else if (strstr(message, "sos")) {
-    triggerSOS();
-    webSocket.sendTXT(num, "{\"action\":\"sos_activated\"}");
+  else if (strcmp(command, "ping") == 0) {
+    sendPong(num, doc);
   }
+  else if (strcmp(command, "config") == 0) {
+    applyConfig(num, doc, commandId);
+  }
+}
+
+// The interval is shared by all clients; the ack carries the value actually applied after clamping
+void applyConfig(uint8_t num, JsonDocument& config, const char* commandId) {
+  if (config.containsKey("sampleInterval")) {
+    unsigned long requested = config["sampleInterval"];
+    sampleInterval = constrain(requested, MIN_SAMPLE_INTERVAL, MAX_SAMPLE_INTERVAL);
+    Serial.printf("Sample interval set to %lu ms\n", sampleInterval);
+  }
+  
+  StaticJsonDocument<128> ack;
+  ack["action"] = "config_applied";
+  if (strlen(commandId) > 0) ack["id"] = commandId;
+  ack["sampleInterval"] = sampleInterval;
+  
+  String ackJson;
+  serializeJson(ack, ackJson);
+  webSocket.sendTXT(num, ackJson);
+}
+
+// Heartbeat reply; sentAt is echoed so the dashboard can measure latency
+void sendPong(uint8_t num, JsonDocument& ping) {
+  StaticJsonDocument<128> pong;
+  pong["type"] = "pong";
+  pong["id"] = ping["id"];
+  pong["sentAt"] = ping["sentAt"];
+  pong["uptime"] = millis() / 1000;
+  
+  String pongJson;
+  serializeJson(pong, pongJson);
+  webSocket.sendTXT(num, pongJson);
+}
+
+// Acknowledge before running the (blocking) buzzer pattern so the dashboard does not time out
+void sendCommandAck(uint8_t num, const char* action, const char* commandId) {
+  StaticJsonDocument<128> ack;
+  ack["action"] = action;
+  if (strlen(commandId) > 0) ack["id"] = commandId;
+  
+  String ackJson;
+  serializeJson(ack, ackJson);
+  webSocket.sendTXT(num, ackJson);
+}
+
+// Retries reuse the command id, so a retried command is acknowledged again but not re-triggered
+bool isNewCommand(const char* commandId) {
+  if (strlen(commandId) == 0) return true;
+  if (lastCommandId == commandId) return false;
+  lastCommandId = commandId;
+  return true;
 }
 
 void loop() {
   webSocket.loop();
   
-  // Send sensor data every 2 seconds to all clients
-  if (millis() - lastDataSend > 2000 && clientCount > 0) {
+  // Send sensor data every sample interval to all clients
+  if (millis() - lastDataSend > sampleInterval && clientCount > 0) {
     readSensors();
     sendSensorData();
     lastDataSend = millis();
@@ -151,6 +232,7 @@ void createSensorJSON(int hr, float temp, int gas, int posture, bool fall, bool
   StaticJsonDocument<300> doc;
   
   // Basic sensor data
+  doc["schemaVersion"] = SCHEMA_VERSION;
   doc["heartRate"] = hr;
   doc["temperature"] = temp;
   doc["gasLevel"] = gas;
@@ -161,7 +243,7 @@ void createSensorJSON(int hr, float temp, int gas, int posture, bool fall, bool
   // System info
   doc["status"] = (flame || fall) ? "EMERGENCY" : "NORMAL";
   doc["timestamp"] = millis() / 1000;
-  doc["clients"] = clientCount;
+  doc["clientCount"] = clientCount;
   
   // Convert to JSON string
   serializeJson(doc, jsonData);
@@ -1,6 +1,6 @@
 // AI Engine for Advanced Health Monitoring
 class AIEngine {
-    constructor() {
+    constructor(options = {}) {
         this.healthBaseline = {
             heartRate: { min: 60, max: 100, optimal: 72 },
             temperature: { min: 36.0, max: 37.5, optimal: 36.6 },
@@ -8,8 +8,20 @@ class AIEngine {
             posture: { optimal: 0 } // 0 = Good, 1 = Fair, 2 = Poor
         };
         
+        // Population ranges above are the defaults until a wearer has been calibrated
+        this.personalBaseline = new PersonalBaseline({ storageKey: options.baselineKey });
+        
         this.healthHistory = [];
-        this.patterns = new Map();
+        this.sensorHistory = [];
+        this.rrIntervals = [];
+        this.lastBeatTimestamp = null;
+        this.hrvWindow = 5 * 60 * 1000; // Standard short-term HRV window
+        this.ruleEngine = new RuleEngine(options.ruleSet || RuleEngine.loadRuleSet());
+        this.patternTracker = new PatternTracker();
+        this.anomalyDetector = new AnomalyDetector();
+        this.forecaster = new Forecaster();
+        this.validator = new TelemetryValidator();
+        this.lastPatterns = [];
         this.insights = [];
         this.recommendations = [];
         
@@ -17,54 +29,73 @@ class AIEngine {
     }
 
     initializeAI() {
-        console.log('🤖 AI Engine Initialized');
-        this.loadHealthPatterns();
         this.generateInitialInsights();
     }
 
-    loadHealthPatterns() {
-        // Pre-defined health patterns for AI analysis
-        this.patterns.set('stress_pattern', {
-            description: 'Elevated heart rate with irregular breathing',
-            conditions: (data) => data.heartRate > 85 && data.gasLevel > 600,
-            severity: 'medium',
-            recommendation: 'Practice deep breathing exercises'
-        });
+    generateInitialInsights() {
+        // Nothing has been measured yet, start from a clean slate
+        this.insights = [];
+        this.recommendations = [];
+    }
 
-        this.patterns.set('fatigue_pattern', {
-            description: 'Consistent low heart rate variability',
-            conditions: (data) => this.calculateHeartRateVariability(data) < 20,
-            severity: 'low',
-            recommendation: 'Consider taking a short break'
-        });
+    analyzeSensorData(frame, now = Date.now()) {
 
-        this.patterns.set('fever_pattern', {
-            description: 'Elevated body temperature',
-            conditions: (data) => data.temperature > 37.2,
-            severity: 'high',
-            recommendation: 'Monitor temperature and stay hydrated'
-        });
+        // Bad fields are blanked so they neither score nor trigger rules; suspect ones count for less
+        const { reading, quality } = this.validator.validate(frame, now);
+        const sensorData = TelemetryValidator.getUsable(reading, quality);
+
+        this.updateRRIntervals(sensorData, now);
 
-        this.patterns.set('poor_posture_pattern', {
-            description: 'Extended period of poor posture',
-            conditions: (data) => data.posture === 2,
-            severity: 'medium',
-            recommendation: 'Adjust your sitting position'
+        const hrv = this.calculateHeartRateVariability(sensorData);
+        const overallHealth = this.calculateOverallHealth(sensorData, quality);
+        const anomaly = this.anomalyDetector.update({ ...sensorData, overallHealth: overallHealth }, {
+            heartRate: this.getBaseline('heartRate'),
+            temperature: this.getBaseline('temperature'),
+            gasLevel: this.getBaseline('gasLevel')
         });
-    }
 
-    analyzeSensorData(sensorData) {
+        this.forecaster.update({ ...sensorData, overallHealth: overallHealth }, now);
+        const forecast = this.forecaster.getForecasts();
+
+        const context = this.buildRuleContext(sensorData, hrv);
+        context.anomaly = { score: anomaly.score, count: anomaly.findings.length, summary: anomaly.summary };
+        context.forecast = forecast;
+        this.ruleEngine.record(context, now);
+
+        // Patterns go through their state machines first so other rules can refer to them
+        const matched = this.ruleEngine.evaluate(context, now, ['pattern']).patterns;
+        context.patterns = this.patternTracker.update(this.ruleEngine.getRules('pattern'), matched, now);
+        const rules = this.ruleEngine.evaluate(context, now, ['insight', 'recommendation', 'alert', 'risk']);
+        rules.patterns = this.getActivePatterns(matched, context.patterns);
+
+        this.lastPatterns = rules.patterns;
+
         const analysis = {
-            timestamp: new Date(),
-            overallHealth: this.calculateOverallHealth(sensorData),
-            riskLevel: this.assessRiskLevel(sensorData),
-            patterns: this.detectPatterns(sensorData),
-            insights: this.generateInsights(sensorData),
-            recommendations: this.generateRecommendations(sensorData),
-            alerts: this.checkAlerts(sensorData)
+            timestamp: new Date(now),
+            overallHealth: overallHealth,
+            riskLevel: this.ruleEngine.getRiskLevel(rules.riskScore),
+            patterns: rules.patterns,
+            insights: rules.insights,
+            recommendations: rules.recommendations,
+            alerts: rules.alerts,
+            breakdown: this.getHealthBreakdown(sensorData),
+            hrv: hrv,
+            anomaly: anomaly,
+            forecast: forecast,
+            reading: reading,
+            quality: quality
         };
 
+        // Calibration and slow adaptation both learn from every reading
+        analysis.baselineEvent = this.personalBaseline.addSample(sensorData, now);
+
         this.healthHistory.push(analysis);
+        this.sensorHistory.push(sensorData);
+        
+        // Keep only last 300 readings for variability and exposure windows
+        if (this.sensorHistory.length > 300) {
+            this.sensorHistory.shift();
+        }
         
         // Keep only last 1000 records
         if (this.healthHistory.length > 1000) {
@@ -74,42 +105,65 @@ class AIEngine {
         return analysis;
     }
 
-    calculateOverallHealth(sensorData) {
-        let score = 100;
-
-        // Heart Rate Score (40% weight)
-        const hrScore = this.calculateParameterScore(
-            sensorData.heartRate,
-            this.healthBaseline.heartRate.min,
-            this.healthBaseline.heartRate.max,
-            this.healthBaseline.heartRate.optimal
-        );
-        score -= (100 - hrScore) * 0.4;
-
-        // Temperature Score (30% weight)
-        const tempScore = this.calculateParameterScore(
-            sensorData.temperature,
-            this.healthBaseline.temperature.min,
-            this.healthBaseline.temperature.max,
-            this.healthBaseline.temperature.optimal
-        );
-        score -= (100 - tempScore) * 0.3;
-
-        // Gas Level Score (20% weight)
-        const gasScore = this.calculateParameterScore(
-            sensorData.gasLevel,
-            this.healthBaseline.gasLevel.min,
-            this.healthBaseline.gasLevel.max,
-            this.healthBaseline.gasLevel.optimal
-        );
-        score -= (100 - gasScore) * 0.2;
-
-        // Posture Score (10% weight)
-        const postureScore = sensorData.posture === 0 ? 100 : 
-                           sensorData.posture === 1 ? 70 : 30;
-        score -= (100 - postureScore) * 0.1;
-
-        return Math.max(0, Math.min(100, Math.round(score)));
+    // Restores history persisted by the telemetry store after a reload
+    loadHistory(records, frames = []) {
+        this.healthHistory = records.slice(-1000).map(record => ({
+            ...record,
+            timestamp: new Date(record.timestamp)
+        }));
+        this.sensorHistory = frames.slice(-300);
+    }
+
+    // Personal range for heart rate and temperature, population range for everything else
+    getBaseline(metric) {
+        if (metric in this.personalBaseline.safetyLimits) {
+            return this.personalBaseline.getRange(metric, this.healthBaseline[metric]);
+        }
+        return this.healthBaseline[metric];
+    }
+
+    // Weighted score over the vitals that have a usable reading; suspect readings count half.
+    // Null when none of them does.
+    calculateOverallHealth(sensorData, quality = null) {
+        const heartRate = this.getBaseline('heartRate');
+        const temperature = this.getBaseline('temperature');
+        const gasLevel = this.healthBaseline.gasLevel;
+
+        const components = {
+            // Heart Rate Score (40% weight)
+            heartRate: {
+                weight: 0.4,
+                score: () => this.calculateParameterScore(sensorData.heartRate, heartRate.min, heartRate.max, heartRate.optimal)
+            },
+            // Temperature Score (30% weight)
+            temperature: {
+                weight: 0.3,
+                score: () => this.calculateParameterScore(sensorData.temperature, temperature.min, temperature.max, temperature.optimal)
+            },
+            // Gas Level Score (20% weight)
+            gasLevel: {
+                weight: 0.2,
+                score: () => this.calculateParameterScore(sensorData.gasLevel, gasLevel.min, gasLevel.max, gasLevel.optimal)
+            },
+            // Posture Score (10% weight)
+            posture: {
+                weight: 0.1,
+                score: () => sensorData.posture === 0 ? 100 : sensorData.posture === 1 ? 70 : 30
+            }
+        };
+
+        let total = 0;
+        let weights = 0;
+        Object.entries(components).forEach(([metric, component]) => {
+            if (typeof sensorData[metric] !== 'number') return;
+
+            const weight = component.weight * (quality ? this.validator.getWeight(quality, metric) : 1);
+            total += component.score() * weight;
+            weights += weight;
+        });
+
+        if (weights === 0) return null;
+        return Math.max(0, Math.min(100, Math.round(total / weights)));
     }
 
     calculateParameterScore(value, min, max, optimal) {
@@ -121,128 +175,73 @@ class AIEngine {
         return 0;
     }
 
-    assessRiskLevel(sensorData) {
-        let riskScore = 0;
+    // Risk points against the wearer's personal range, used by the default rules once a vital is calibrated:
+    // 3 beyond the safety limits or far outside the range, 2 outside it, 1 near its edges
+    assessVitalRisk(metric, value) {
+        if (typeof value !== 'number') return 0;
 
-        if (sensorData.heartRate > 120 || sensorData.heartRate < 50) riskScore += 3;
-        else if (sensorData.heartRate > 100 || sensorData.heartRate < 60) riskScore += 2;
-        else if (sensorData.heartRate > 90 || sensorData.heartRate < 65) riskScore += 1;
+        const range = this.getBaseline(metric);
+        const limits = this.personalBaseline.safetyLimits[metric];
+        const width = range.max - range.min;
 
-        if (sensorData.temperature > 38.0 || sensorData.temperature < 35.0) riskScore += 3;
-        else if (sensorData.temperature > 37.5 || sensorData.temperature < 35.5) riskScore += 2;
+        if (value > limits.max || value < limits.min) return 3;
 
-        if (sensorData.gasLevel > 800) riskScore += 2;
-        else if (sensorData.gasLevel > 600) riskScore += 1;
+        const outside = Math.max(range.min - value, value - range.max, 0);
+        if (outside > width * 0.5) return 3;
+        if (outside > 0) return 2;
 
-        if (sensorData.posture === 2) riskScore += 1;
-
-        if (sensorData.fallDetected) riskScore += 3;
-        if (sensorData.flameDetected) riskScore += 3;
-
-        if (riskScore >= 5) return 'critical';
-        if (riskScore >= 3) return 'high';
-        if (riskScore >= 2) return 'medium';
-        return 'low';
+        const edge = width * 0.15;
+        if (value > range.max - edge || value < range.min + edge) return 1;
+        return 0;
     }
 
-    detectPatterns(sensorData) {
-        const detectedPatterns = [];
-
-        for (const [patternName, pattern] of this.patterns) {
-            if (pattern.conditions(sensorData)) {
-                detectedPatterns.push({
-                    name: patternName,
-                    description: pattern.description,
-                    severity: pattern.severity,
-                    recommendation: pattern.recommendation
-                });
-            }
-        }
-
-        return detectedPatterns;
+    setRuleSet(ruleSet) {
+        this.ruleEngine.setRuleSet(ruleSet);
+        this.patternTracker.reset();
     }
 
-    generateInsights(sensorData) {
-        const insights = [];
-
-        // Heart Rate Insights
-        if (sensorData.heartRate > 100) {
-            insights.push({
-                type: 'heart_rate_high',
-                title: 'Elevated Heart Rate',
-                description: 'Your heart rate is above normal range. This could indicate physical exertion or stress.',
-                severity: 'medium',
-                icon: 'fas fa-heartbeat'
+    // Patterns past their onset, with how long they have lasted; a pattern in its offset grace period
+    // keeps the details from the last frame it matched
+    getActivePatterns(matched, summary) {
+        return this.ruleEngine.getRules('pattern')
+            .filter(rule => summary[rule.id] && summary[rule.id].active)
+            .map(rule => {
+                const pattern = matched.find(p => p.name === rule.id) ||
+                    this.lastPatterns.find(p => p.name === rule.id) ||
+                    { name: rule.id, ...rule.output };
+                return { ...pattern, ...summary[rule.id] };
             });
-        } else if (sensorData.heartRate < 60) {
-            insights.push({
-                type: 'heart_rate_low',
-                title: 'Low Heart Rate',
-                description: 'Your heart rate is below normal range. This is common in well-trained athletes.',
-                severity: 'low',
-                icon: 'fas fa-heart'
-            });
-        }
-
-        // Temperature Insights
-        if (sensorData.temperature > 37.2) {
-            insights.push({
-                type: 'temperature_high',
-                title: 'Elevated Temperature',
-                description: 'Your body temperature is slightly elevated. Monitor for signs of fever.',
-                severity: 'medium',
-                icon: 'fas fa-thermometer-full'
-            });
-        }
-
-        // Gas Level Insights
-        if (sensorData.gasLevel > 600) {
-            insights.push({
-                type: 'air_quality_poor',
-                title: 'Poor Air Quality',
-                description: 'Gas levels are elevated. Consider moving to better ventilated area.',
-                severity: 'high',
-                icon: 'fas fa-wind'
-            });
-        }
-
-        // Posture Insights
-        if (sensorData.posture === 2) {
-            insights.push({
-                type: 'posture_poor',
-                title: 'Poor Posture Detected',
-                description: 'Your posture needs adjustment for better ergonomics.',
-                severity: 'low',
-                icon: 'fas fa-user-slouch'
-            });
-        }
-
-        // Add trend-based insights
-        const trendInsights = this.analyzeTrends();
-        insights.push(...trendInsights);
+    }
 
-        return insights;
+    getPatternEpisodes() {
+        return this.patternTracker.getEpisodes();
     }
 
-    analyzeTrends() {
-        if (this.healthHistory.length < 10) return [];
-
-        const recentData = this.healthHistory.slice(-10);
-        const trends = [];
-
-        // Check for consistent health decline
-        const healthScores = recentData.map(d => d.overallHealth);
-        if (this.isConsistentDecline(healthScores)) {
-            trends.push({
-                type: 'health_decline',
-                title: 'Health Trend Declining',
-                description: 'Your overall health score has been consistently decreasing.',
-                severity: 'medium',
-                icon: 'fas fa-chart-line-down'
-            });
-        }
+    // Everything a rule can refer to: the reading, HRV, baselines, per-vital risk and trends
+    buildRuleContext(sensorData, hrv) {
+        const baseline = {};
+        Object.keys(this.healthBaseline).forEach(metric => {
+            const range = this.getBaseline(metric);
+            baseline[metric] = {
+                ...range,
+                personal: range.personal === true,
+                rangeName: range.personal ? 'your personal range' : 'the normal range'
+            };
+        });
 
-        return trends;
+        return {
+            ...sensorData,
+            hrv: hrv,
+            baseline: baseline,
+            risk: {
+                heartRate: this.assessVitalRisk('heartRate', sensorData.heartRate),
+                temperature: this.assessVitalRisk('temperature', sensorData.temperature)
+            },
+            trend: {
+                healthDecline: this.healthHistory.length >= 10 &&
+                    this.isConsistentDecline(this.healthHistory.slice(-10).map(d => d.overallHealth).filter(v => typeof v === 'number'))
+            }
+        };
     }
 
     isConsistentDecline(scores) {
@@ -253,132 +252,187 @@ class AIEngine {
         return declineCount >= scores.length * 0.7; // 70% decline rate
     }
 
-    generateRecommendations(sensorData) {
-        const recommendations = [];
-
-        // Basic health recommendations
-        if (sensorData.heartRate > 90) {
-            recommendations.push({
-                type: 'relaxation',
-                title: 'Take a Break',
-                description: 'Your heart rate suggests you might be stressed. Consider taking a 5-minute break.',
-                priority: 'high',
-                icon: 'fas fa-coffee'
-            });
+    // Frames may carry rrIntervals (ms between beats) or beatTimestamps (ms); both are optional
+    updateRRIntervals(sensorData, now = Date.now()) {
+        let intervals = [];
+
+        if (Array.isArray(sensorData.rrIntervals)) {
+            intervals = sensorData.rrIntervals;
+        } else if (Array.isArray(sensorData.beatTimestamps) && sensorData.beatTimestamps.length > 0) {
+            const beats = this.lastBeatTimestamp !== null ?
+                [this.lastBeatTimestamp, ...sensorData.beatTimestamps] :
+                sensorData.beatTimestamps;
+            for (let i = 1; i < beats.length; i++) {
+                intervals.push(beats[i] - beats[i - 1]);
+            }
+            this.lastBeatTimestamp = beats[beats.length - 1];
         }
 
-        if (sensorData.temperature > 37.0) {
-            recommendations.push({
-                type: 'hydration',
-                title: 'Stay Hydrated',
-                description: 'Drink water to help regulate your body temperature.',
-                priority: 'medium',
-                icon: 'fas fa-tint'
-            });
+        // Drop physiologically implausible intervals (30-200 BPM) caused by missed or double beats
+        intervals
+            .filter(rr => typeof rr === 'number' && rr >= 300 && rr <= 2000)
+            .forEach(rr => this.rrIntervals.push({ timestamp: now, rr: rr }));
+
+        while (this.rrIntervals.length > 0 && this.rrIntervals[0].timestamp < now - this.hrvWindow) {
+            this.rrIntervals.shift();
         }
+    }
 
-        if (sensorData.gasLevel > 500) {
-            recommendations.push({
-                type: 'ventilation',
-                title: 'Improve Ventilation',
-                description: 'Air quality could be better. Open a window or move to fresh air.',
-                priority: 'high',
-                icon: 'fas fa-fan'
-            });
+    // SDNN, RMSSD (ms) and pNN50 (%) over the rolling window
+    calculateHeartRateVariability(data) {
+        let intervals = this.rrIntervals.map(entry => entry.rr);
+        let source = 'rr';
+
+        if (intervals.length < 10) {
+            // Without beat data, approximate RR intervals from the BPM series (one reading per frame)
+            const heartRates = [...this.sensorHistory.slice(-149), data]
+                .map(d => d.heartRate)
+                .filter(hr => typeof hr === 'number' && hr > 0);
+            intervals = heartRates.map(hr => 60000 / hr);
+            source = 'approximation';
         }
 
-        if (sensorData.posture !== 0) {
-            recommendations.push({
-                type: 'posture_correction',
-                title: 'Adjust Posture',
-                description: 'Sit up straight with your back supported for better ergonomics.',
-                priority: 'low',
-                icon: 'fas fa-user-check'
-            });
+        if (intervals.length < 10) {
+            return { sdnn: null, rmssd: null, pnn50: null, source: source, samples: intervals.length };
         }
 
-        // Add preventive recommendations
-        recommendations.push({
-            type: 'preventive',
-            title: 'Regular Movement',
-            description: 'Take short walking breaks every hour to maintain circulation.',
-            priority: 'medium',
-            icon: 'fas fa-walking'
-        });
+        const successive = [];
+        for (let i = 1; i < intervals.length; i++) {
+            successive.push(intervals[i] - intervals[i - 1]);
+        }
 
-        return recommendations;
+        const rmssd = Math.sqrt(successive.reduce((sum, d) => sum + d * d, 0) / successive.length);
+        const nn50 = successive.filter(d => Math.abs(d) > 50).length;
+
+        return {
+            sdnn: this.standardDeviation(intervals),
+            rmssd: rmssd,
+            pnn50: nn50 / successive.length * 100,
+            source: source,
+            samples: intervals.length
+        };
     }
 
-    checkAlerts(sensorData) {
-        const alerts = [];
-
-        // Critical alerts
-        if (sensorData.fallDetected) {
-            alerts.push({
-                type: 'fall_detected',
-                title: 'Fall Detected!',
-                description: 'A fall has been detected. Please check if assistance is needed.',
-                severity: 'critical',
-                immediateAction: true,
-                icon: 'fas fa-exclamation-triangle'
-            });
-        }
+    // Sub-scores (0-100, higher is better) with the factors that produced them
+    getHealthBreakdown(sensorData) {
+        const recent = [...this.sensorHistory.slice(-29), sensorData];
 
-        if (sensorData.flameDetected) {
-            alerts.push({
-                type: 'flame_detected',
-                title: 'Fire Hazard!',
-                description: 'Flame detected in the vicinity. Please evacuate if necessary.',
-                severity: 'critical',
-                immediateAction: true,
-                icon: 'fas fa-fire'
-            });
-        }
+        return {
+            cardiovascular: this.calculateCardiovascularScore(sensorData, recent),
+            respiratory: this.calculateRespiratoryScore(sensorData, recent),
+            stress: this.calculateStressScore(sensorData)
+        };
+    }
 
-        // Health alerts
-        if (sensorData.heartRate > 130 || sensorData.heartRate < 45) {
-            alerts.push({
-                type: 'heart_rate_extreme',
-                title: 'Critical Heart Rate',
-                description: 'Heart rate is at dangerous levels. Seek medical attention if symptoms persist.',
-                severity: 'high',
-                immediateAction: false,
-                icon: 'fas fa-heart-crack'
-            });
+    calculateCardiovascularScore(sensorData, recent) {
+        if (typeof sensorData.heartRate !== 'number') {
+            return { score: null, factors: ['No valid heart rate reading'] };
         }
 
-        if (sensorData.temperature > 39.0 || sensorData.temperature < 34.0) {
-            alerts.push({
-                type: 'temperature_extreme',
-                title: 'Dangerous Body Temperature',
-                description: 'Body temperature is at critical levels. Medical attention may be required.',
-                severity: 'high',
-                immediateAction: false,
-                icon: 'fas fa-temperature-high'
-            });
+        const baseline = this.getBaseline('heartRate');
+        const levelScore = this.calculateParameterScore(sensorData.heartRate, baseline.min, baseline.max, baseline.optimal);
+        const factors = [`Heart rate ${Math.round(sensorData.heartRate)} BPM scores ${Math.round(levelScore)} against ${Math.round(baseline.min)}-${Math.round(baseline.max)} BPM`];
+
+        // Both a flat-lined and an erratic heart rate are penalised
+        const heartRates = recent.map(d => d.heartRate).filter(v => typeof v === 'number');
+        let variabilityScore = 100;
+        if (heartRates.length >= 5) {
+            const deviation = this.standardDeviation(heartRates);
+            if (deviation < 1) {
+                variabilityScore = 60;
+                factors.push(`Very low heart rate variation (±${deviation.toFixed(1)} BPM)`);
+            } else if (deviation > 15) {
+                variabilityScore = Math.max(0, 100 - (deviation - 15) * 5);
+                factors.push(`Erratic heart rate (±${deviation.toFixed(1)} BPM)`);
+            } else {
+                factors.push(`Normal heart rate variation (±${deviation.toFixed(1)} BPM)`);
+            }
+        } else {
+            factors.push('Not enough history for variability yet');
         }
 
-        return alerts;
+        return {
+            score: Math.round(levelScore * 0.7 + variabilityScore * 0.3),
+            factors: factors
+        };
     }
 
-    calculateHeartRateVariability(data) {
-        // Simplified HRV calculation
-        // In a real implementation, this would analyze RR intervals
-        return Math.random() * 50 + 30; // Simulated value
+    calculateRespiratoryScore(sensorData, recent) {
+        const gas = this.healthBaseline.gasLevel;
+        const temp = this.getBaseline('temperature');
+
+        const gasLevels = recent.map(d => d.gasLevel).filter(v => typeof v === 'number');
+        const parts = [];
+
+        if (typeof sensorData.gasLevel === 'number') {
+            const gasScore = this.calculateParameterScore(sensorData.gasLevel, gas.min, gas.max, gas.optimal);
+            parts.push({ weight: 0.5, score: gasScore, factor: `Current gas level ${Math.round(sensorData.gasLevel)} PPM scores ${Math.round(gasScore)}` });
+        }
+        if (gasLevels.length > 0) {
+            const averageGas = gasLevels.reduce((sum, v) => sum + v, 0) / gasLevels.length;
+            const exposureScore = this.calculateParameterScore(averageGas, gas.min, gas.max, gas.optimal);
+            parts.push({ weight: 0.3, score: exposureScore, factor: `Average exposure ${Math.round(averageGas)} PPM over ${gasLevels.length} readings scores ${Math.round(exposureScore)}` });
+        }
+        if (typeof sensorData.temperature === 'number') {
+            const tempScore = this.calculateParameterScore(sensorData.temperature, temp.min, temp.max, temp.optimal);
+            parts.push({ weight: 0.2, score: tempScore, factor: `Temperature ${sensorData.temperature.toFixed(1)}°C scores ${Math.round(tempScore)}` });
+        }
+
+        // Readings that failed validation leave their share to the others
+        const weights = parts.reduce((sum, part) => sum + part.weight, 0);
+        return {
+            score: weights > 0 ? Math.round(parts.reduce((sum, part) => sum + part.score * part.weight, 0) / weights) : null,
+            factors: parts.length > 0 ? parts.map(part => part.factor) : ['No valid gas or temperature reading']
+        };
     }
 
-    getHealthBreakdown(overallHealth) {
+    // Stress is inverse: 100 means relaxed
+    calculateStressScore(sensorData) {
+        const hasHeartRate = typeof sensorData.heartRate === 'number';
+        const elevation = hasHeartRate ? Math.max(0, sensorData.heartRate - this.getBaseline('heartRate').optimal) : 0;
+        const hrPenalty = Math.min(50, elevation * 1.5);
+        const posturePenalty = [0, 10, 20][sensorData.posture] || 0;
+        const factors = [
+            'Higher score means calmer',
+            hasHeartRate ? `Heart rate ${Math.round(elevation)} BPM above resting (-${Math.round(hrPenalty)})` : 'No valid heart rate reading',
+            `${['Good', 'Fair', 'Poor'][sensorData.posture] || 'Unknown'} posture (-${posturePenalty})`
+        ];
+
+        let score = 100 - hrPenalty - posturePenalty;
+
+        // The firmware may report its own stress estimate (0-100 %)
+        if (typeof sensorData.stressLevel === 'number') {
+            score = score * 0.5 + (100 - sensorData.stressLevel) * 0.5;
+            factors.push(`Device stress estimate ${Math.round(sensorData.stressLevel)}% (50% weight)`);
+        }
+
         return {
-            cardiovascular: Math.min(100, overallHealth + (Math.random() * 20 - 10)),
-            respiratory: Math.min(100, overallHealth + (Math.random() * 15 - 7)),
-            stress: Math.min(100, 100 - (Math.random() * 30)) // Stress is inverse
+            score: Math.max(0, Math.min(100, Math.round(score))),
+            factors: factors
         };
     }
 
+    standardDeviation(values) {
+        const mean = values.reduce((sum, v) => sum + v, 0) / values.length;
+        const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / values.length;
+        return Math.sqrt(variance);
+    }
+
     predictHealthTrend() {
+        // The 30-minute forecast once there is enough history for one, the recent slope until then
+        const forecast = this.forecaster.getForecast('overallHealth');
+        if (forecast) {
+            const change = forecast.h30.value - forecast.level;
+            if (change > 5) return 'improving';
+            if (change < -5) return 'declining';
+            return 'stable';
+        }
+
         if (this.healthHistory.length < 5) return 'stable';
         
-        const recentScores = this.healthHistory.slice(-5).map(h => h.overallHealth);
+        const recentScores = this.healthHistory.slice(-5).map(h => h.overallHealth).filter(v => typeof v === 'number');
+        if (recentScores.length < 5) return 'stable';
+
         const trend = this.calculateTrend(recentScores);
         
         if (trend > 2) return 'improving';
@@ -399,7 +453,4 @@ class AIEngine {
         
         return (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
     }
-}
-
-// Initialize AI Engine
-const aiEngine = new AIEngine();
\ No newline at end of file
+}
\ No newline at end of file
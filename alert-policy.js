@@ -0,0 +1,174 @@
+// Alert Policy - filters analysis alerts by sensitivity, debounces repeats, and tracks acknowledge/snooze/escalation
+class AlertPolicy {
+    constructor(options = {}) {
+        this.severityOrder = { low: 0, medium: 1, high: 2, critical: 3 };
+
+        // Least severe alert shown at each sensitivity; critical alerts always pass
+        this.thresholds = {
+            low: 'critical',
+            medium: 'high',
+            high: 'low'
+        };
+
+        // An alert missing from frames for this long is considered resolved
+        this.clearAfter = options.clearAfter || 10000;
+        this.snoozeDuration = options.snoozeDuration || 5 * 60 * 1000;
+
+        // Unacknowledged alerts are escalated one severity level after these delays, counted on the clock
+        // evaluate() is fed, so a replay escalates in recorded time and not at all while paused
+        this.escalationTimeouts = options.escalationTimeouts || {
+            low: 5 * 60 * 1000,
+            medium: 3 * 60 * 1000,
+            high: 60 * 1000,
+            critical: 30 * 1000
+        };
+
+        this.threshold = options.threshold || 'medium';
+        this.active = new Map();
+        this.listeners = [];
+    }
+
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify(event, entry) {
+        this.listeners.forEach(listener => listener(event, entry));
+    }
+
+    setThreshold(threshold) {
+        if (!(threshold in this.thresholds)) return;
+        this.threshold = threshold;
+
+        // Alerts the new sensitivity no longer covers are dropped without a clear event
+        for (const entry of this.active.values()) {
+            if (!this.passes(entry.alert)) {
+                this.remove(entry);
+            }
+        }
+    }
+
+    passes(alert) {
+        const minimum = this.severityOrder[this.thresholds[this.threshold]];
+        return alert.severity === 'critical' || (this.severityOrder[alert.severity] || 0) >= minimum;
+    }
+
+    // Feeds the alerts of one analysis; returns the entries that are still active
+    evaluate(alerts, now = Date.now()) {
+        alerts.filter(alert => this.passes(alert)).forEach(alert => {
+            const entry = this.active.get(alert.type);
+
+            if (!entry) {
+                this.raise(alert, now);
+                return;
+            }
+
+            entry.alert = alert;
+            entry.lastSeenAt = now;
+            entry.occurrences++;
+
+            if (entry.state === 'snoozed' && now >= entry.snoozedUntil) {
+                entry.state = 'active';
+                entry.snoozedUntil = null;
+                this.scheduleEscalation(entry, now);
+                this.notify('raised', entry);
+            } else {
+                this.notify('updated', entry);
+            }
+        });
+
+        for (const entry of this.active.values()) {
+            if (now - entry.lastSeenAt > this.clearAfter) {
+                this.remove(entry);
+                this.notify('cleared', entry);
+            } else if (entry.escalateAt !== null && now >= entry.escalateAt) {
+                this.escalate(entry, now);
+            }
+        }
+
+        return this.getActive();
+    }
+
+    raise(alert, now) {
+        const entry = {
+            id: `alert-${now.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            type: alert.type,
+            alert: alert,
+            severity: alert.severity,
+            state: 'active',
+            raisedAt: now,
+            lastSeenAt: now,
+            occurrences: 1,
+            snoozedUntil: null,
+            escalations: 0,
+            escalateAt: null
+        };
+
+        this.active.set(alert.type, entry);
+        this.scheduleEscalation(entry, now);
+        this.notify('raised', entry);
+        return entry;
+    }
+
+    scheduleEscalation(entry, now) {
+        entry.escalateAt = now + this.escalationTimeouts[entry.severity];
+    }
+
+    escalate(entry, now) {
+
+        const severities = Object.keys(this.severityOrder);
+        const next = severities[this.severityOrder[entry.severity] + 1];
+
+        entry.state = 'escalated';
+        entry.escalations++;
+        if (next) {
+            entry.severity = next;
+        }
+
+        // Keep reminding at the new level until someone responds
+        this.scheduleEscalation(entry, now);
+        this.notify('escalated', entry);
+    }
+
+    acknowledge(type) {
+        const entry = this.active.get(type);
+        if (!entry) return null;
+
+        entry.escalateAt = null;
+        entry.state = 'acknowledged';
+        entry.snoozedUntil = null;
+        this.notify('acknowledged', entry);
+        return entry;
+    }
+
+    // now must be on the clock evaluate() is fed, or a replay or simulation would wake the alert at the wrong time
+    snooze(type, duration = this.snoozeDuration, now = Date.now()) {
+        const entry = this.active.get(type);
+        if (!entry) return null;
+
+        entry.escalateAt = null;
+        entry.state = 'snoozed';
+        entry.snoozedUntil = now + duration;
+        this.notify('snoozed', entry);
+        return entry;
+    }
+
+    remove(entry) {
+        this.active.delete(entry.type);
+    }
+
+    // Most severe first, then newest
+    getActive() {
+        return [...this.active.values()].sort((a, b) =>
+            this.severityOrder[b.severity] - this.severityOrder[a.severity] || b.raisedAt - a.raisedAt);
+    }
+
+    // Alerts that still need a response
+    getUnacknowledgedCount() {
+        return this.getActive().filter(entry => entry.state === 'active' || entry.state === 'escalated').length;
+    }
+
+    reset() {
+        this.active.clear();
+    }
+}
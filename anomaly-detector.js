@@ -0,0 +1,205 @@
+// Anomaly Detector - unsupervised checks on the vitals stream: EWMA control charts, jumps,
+// flat-lines, values far outside the wearer's range and a multivariate (Mahalanobis) check across HR, temperature and gas
+class AnomalyDetector {
+    constructor(options = {}) {
+        this.metrics = ['heartRate', 'temperature', 'gasLevel', 'overallHealth'];
+        this.multivariateMetrics = ['heartRate', 'temperature', 'gasLevel'];
+
+        this.alpha = options.alpha || 0.05;
+        this.warmupSamples = options.warmupSamples || 30;
+        this.zThreshold = options.zThreshold || 3.5;
+        this.flatlineSamples = options.flatlineSamples || 20;
+
+        // Squared Mahalanobis distance for p = 0.001 with 3 degrees of freedom
+        this.multivariateThreshold = options.multivariateThreshold || 16.27;
+
+        // Smallest spread assumed per metric, so a very steady signal does not flag sensor noise
+        this.minDeviation = {
+            heartRate: 2,
+            temperature: 0.1,
+            gasLevel: 20,
+            overallHealth: 2
+        };
+
+        // Largest change between two consecutive readings a body or room can plausibly produce
+        this.jumpLimits = {
+            heartRate: 30,
+            temperature: 1.0,
+            gasLevel: 400,
+            overallHealth: 30
+        };
+
+        this.labels = {
+            heartRate: 'Heart rate',
+            temperature: 'Temperature',
+            gasLevel: 'Gas level',
+            overallHealth: 'Health score'
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.stats = {};
+        this.recent = {};
+        this.covariance = null;
+        this.samples = 0;
+    }
+
+    // values: {heartRate, temperature, gasLevel, overallHealth}; ranges: the wearer's expected range per metric
+    update(values, ranges = {}) {
+        const findings = [];
+
+        this.metrics.forEach(metric => {
+            const value = values[metric];
+            if (typeof value !== 'number' || !isFinite(value)) return;
+
+            const finding = this.checkMetric(metric, value, ranges[metric]);
+            if (finding) findings.push(finding);
+        });
+
+        const multivariate = this.checkMultivariate(values);
+        if (multivariate) findings.push(multivariate);
+
+        this.samples++;
+
+        // The strongest finding sets the score; each further one adds a little
+        const strongest = Math.max(0, ...findings.map(finding => finding.score));
+        const score = Math.min(100, Math.round(strongest + Math.max(0, findings.length - 1) * 10));
+
+        return {
+            score: score,
+            findings: findings,
+            summary: findings.map(finding => finding.description).join(' ')
+        };
+    }
+
+    checkMetric(metric, value, range) {
+        const stats = this.stats[metric];
+        const recent = this.recent[metric] = this.recent[metric] || [];
+        const previous = recent[recent.length - 1];
+        const label = this.labels[metric];
+
+        recent.push(value);
+        if (recent.length > this.flatlineSamples) recent.shift();
+
+        // Physically impossible values never get here: the telemetry validator blanks them.
+        // Readings far outside the wearer's own range are reported and kept out of the statistics
+        if (range && typeof range.min === 'number' && typeof range.max === 'number') {
+            const width = range.max - range.min;
+            if (value < range.min - 3 * width || value > range.max + 3 * width) {
+                return this.finding(metric, 'implausible', value, range.optimal, 80,
+                    `${label} of ${this.format(metric, value)} is far outside anything expected for this wearer.`);
+            }
+        }
+
+        this.updateStats(metric, value);
+        if (!stats || stats.count < this.warmupSamples) return null;
+
+        if (recent.length >= this.flatlineSamples && recent.every(v => v === recent[0])) {
+            return this.finding(metric, 'flatline', value, null, 60,
+                `${label} has not changed for ${this.flatlineSamples} readings; the sensor may be stuck.`);
+        }
+
+        if (previous !== undefined && Math.abs(value - previous) > this.jumpLimits[metric]) {
+            return this.finding(metric, 'jump', value, previous, 70,
+                `${label} jumped from ${this.format(metric, previous)} to ${this.format(metric, value)}.`);
+        }
+
+        const deviation = Math.max(Math.sqrt(stats.variance), this.minDeviation[metric]);
+        const z = (value - stats.previousMean) / deviation;
+        if (Math.abs(z) > this.zThreshold) {
+            const finding = this.finding(metric, 'deviation', value, stats.previousMean,
+                Math.min(100, Math.round(Math.abs(z) / this.zThreshold * 50)),
+                `${label} of ${this.format(metric, value)} is ${Math.abs(z).toFixed(1)} SD ${z > 0 ? 'above' : 'below'} its recent level.`);
+            finding.z = z;
+            return finding;
+        }
+
+        return null;
+    }
+
+    // EWMA control chart: mean and variance that follow slow drift but not single readings
+    updateStats(metric, value) {
+        const stats = this.stats[metric];
+        if (!stats) {
+            this.stats[metric] = { mean: value, previousMean: value, variance: 0, count: 1 };
+            return;
+        }
+
+        const difference = value - stats.mean;
+        stats.previousMean = stats.mean;
+        stats.mean += this.alpha * difference;
+        stats.variance = (1 - this.alpha) * (stats.variance + this.alpha * difference * difference);
+        stats.count++;
+    }
+
+    checkMultivariate(values) {
+        const metrics = this.multivariateMetrics;
+        if (metrics.some(metric => typeof values[metric] !== 'number' || !this.stats[metric])) return null;
+
+        // Deviations from the EWMA means, each scaled so the covariance matrix stays well conditioned
+        const scaled = metrics.map(metric => {
+            const stats = this.stats[metric];
+            return (values[metric] - stats.previousMean) / this.minDeviation[metric];
+        });
+
+        let distance = null;
+        if (this.covariance && this.samples >= this.warmupSamples) {
+            const inverse = this.invert3(this.covariance);
+            if (inverse) {
+                distance = scaled.reduce((sum, x, i) =>
+                    sum + x * scaled.reduce((row, y, j) => row + inverse[i][j] * y, 0), 0);
+            }
+        }
+
+        this.updateCovariance(scaled);
+
+        if (distance === null || distance <= this.multivariateThreshold) return null;
+
+        return this.finding('multivariate', 'multivariate', Math.sqrt(distance), null,
+            Math.min(100, Math.round(distance / this.multivariateThreshold * 40)),
+            'Heart rate, temperature and gas levels are moving together in an unusual way.');
+    }
+
+    updateCovariance(scaled) {
+        // A small ridge keeps the matrix invertible while one signal is flat
+        if (!this.covariance) {
+            this.covariance = scaled.map((_, i) => scaled.map((_, j) => (i === j ? 1 : 0)));
+            return;
+        }
+
+        for (let i = 0; i < 3; i++) {
+            for (let j = 0; j < 3; j++) {
+                this.covariance[i][j] = (1 - this.alpha) * this.covariance[i][j] +
+                    this.alpha * scaled[i] * scaled[j] + (i === j ? this.alpha * 0.01 : 0);
+            }
+        }
+    }
+
+    invert3(m) {
+        const [a, b, c] = m[0];
+        const [d, e, f] = m[1];
+        const [g, h, i] = m[2];
+        const A = e * i - f * h;
+        const B = -(d * i - f * g);
+        const C = d * h - e * g;
+        const determinant = a * A + b * B + c * C;
+        if (Math.abs(determinant) < 1e-9) return null;
+
+        return [
+            [A, -(b * i - c * h), b * f - c * e],
+            [B, a * i - c * g, -(a * f - c * d)],
+            [C, -(a * h - b * g), a * e - b * d]
+        ].map(row => row.map(value => value / determinant));
+    }
+
+    finding(metric, kind, value, expected, score, description) {
+        return { metric, kind, value, expected, score, description };
+    }
+
+    format(metric, value) {
+        const units = { heartRate: ' BPM', temperature: '°C', gasLevel: ' PPM', overallHealth: '%' };
+        return (metric === 'temperature' ? value.toFixed(1) : Math.round(value)) + units[metric];
+    }
+}
@@ -0,0 +1,194 @@
+// Command Channel for device-bound commands (emergency, SOS, ...)
+class CommandChannel {
+    constructor(options = {}) {
+        this.ackTimeout = options.ackTimeout || 4000;
+        this.maxAttempts = options.maxAttempts || 4;
+
+        // The device replies with {"action": "<command>_activated"}, or "config_applied" with the applied values
+        this.ackActions = {
+            emergency: 'emergency_activated',
+            sos: 'sos_activated',
+            config: 'config_applied'
+        };
+
+        this.transport = null;
+
+        // The device commands are addressed to; each command is only ever delivered to the endpoint it was sent for
+        this.endpoint = null;
+
+        // Commands still waiting for an acknowledgement; acknowledged and failed ones are dropped
+        this.commands = new Map();
+        this.queue = [];
+        this.listeners = [];
+        this.sequence = 0;
+    }
+
+    attach(transport, endpoint = this.endpoint) {
+        this.setEndpoint(endpoint);
+        this.transport = transport;
+        this.flush();
+    }
+
+    // Commands for the previous device fail rather than reach a different one; those sent before any
+    // device was chosen go to the first
+    setEndpoint(endpoint) {
+        if (endpoint === this.endpoint) return;
+
+        for (const command of this.commands.values()) {
+            if (command.endpoint === null) {
+                command.endpoint = endpoint;
+            } else {
+                command.status = 'failed';
+                this.settle(command);
+            }
+        }
+        this.queue = this.queue.filter(id => this.commands.has(id));
+        this.endpoint = endpoint;
+    }
+
+    detach() {
+        this.transport = null;
+
+        // In-flight commands go back to the queue until the next connection
+        for (const command of this.commands.values()) {
+            if (command.status === 'pending' && command.timer) {
+                clearTimeout(command.timer);
+                command.timer = null;
+                if (!this.queue.includes(command.id)) {
+                    this.queue.push(command.id);
+                }
+            }
+        }
+    }
+
+    // Gives up on every command that has not been acknowledged yet
+    cancelPending() {
+        this.queue = [];
+        for (const command of this.commands.values()) {
+            if (command.status === 'pending') {
+                command.status = 'failed';
+                this.settle(command);
+            }
+        }
+    }
+
+    hasPending() {
+        return [...this.commands.values()].some(command => command.status === 'pending');
+    }
+
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    send(type, payload = {}) {
+        const command = {
+            id: `cmd-${Date.now().toString(36)}-${++this.sequence}`,
+            type: type,
+            payload: payload,
+            endpoint: this.endpoint,
+            status: 'pending',
+            attempts: 0,
+            createdAt: Date.now(),
+            sentAt: null,
+            ackedAt: null,
+            roundTripTime: null,
+            response: null,
+            timer: null
+        };
+
+        this.commands.set(command.id, command);
+        this.queue.push(command.id);
+        this.flush();
+        this.notify(command);
+
+        return command;
+    }
+
+    flush() {
+        if (!this.transport) return;
+
+        const ids = this.queue.splice(0);
+        ids.forEach(id => {
+            const command = this.commands.get(id);
+            if (command && command.status === 'pending' && command.endpoint === this.endpoint) {
+                this.transmit(command);
+            }
+        });
+    }
+
+    transmit(command) {
+        if (!this.transport) {
+            this.queue.push(command.id);
+            return;
+        }
+
+        command.attempts++;
+        command.sentAt = Date.now();
+
+        try {
+            this.transport(JSON.stringify({
+                id: command.id,
+                command: command.type,
+                ...command.payload
+            }));
+        } catch (error) {
+            console.error('Error sending command:', error);
+        }
+
+        command.timer = setTimeout(() => this.handleTimeout(command), this.ackTimeout);
+        this.notify(command);
+    }
+
+    handleTimeout(command) {
+        command.timer = null;
+        if (command.status !== 'pending') return;
+
+        if (command.attempts >= this.maxAttempts) {
+            command.status = 'failed';
+            this.settle(command);
+            return;
+        }
+
+        this.transmit(command);
+    }
+
+    // Returns true when the frame acknowledged one of our commands
+    handleAck(frame) {
+        const command = this.findCommandForAck(frame);
+        if (!command) return false;
+
+        command.status = 'acknowledged';
+        command.ackedAt = Date.now();
+        command.roundTripTime = command.ackedAt - command.sentAt;
+        command.response = frame;
+        this.settle(command);
+
+        return true;
+    }
+
+    settle(command) {
+        clearTimeout(command.timer);
+        command.timer = null;
+        this.commands.delete(command.id);
+        this.notify(command);
+    }
+
+    findCommandForAck(frame) {
+        if (frame.id) {
+            return this.commands.get(frame.id) || null;
+        }
+
+        // Older firmware does not echo the id, match the oldest in-flight command instead
+        for (const command of this.commands.values()) {
+            if (command.sentAt &&
+                this.ackActions[command.type] === frame.action) {
+                return command;
+            }
+        }
+        return null;
+    }
+
+    notify(command) {
+        this.listeners.forEach(listener => listener(command));
+    }
+}
@@ -0,0 +1,109 @@
+// Data Source - what the dashboard connect()s to: a device over WebSocket, the built-in simulator
+// or a replay of recorded telemetry. Every source delivers raw frames through its own router,
+// so the dashboard handles them the same way whichever one is behind it.
+class DataSource {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+        this.label = endpoint;
+        this.kind = 'device';
+        this.status = 'disconnected';
+        this.listeners = {};
+        this.frameTimes = [];
+        this.lastFrameAt = null;
+        this.latency = null;
+        this.stale = false;
+
+        // Readings of simulated or replayed sources are not written to the wearer's history
+        this.persistent = true;
+        // Whether the source takes commands (emergency, SOS, config); recordings do not
+        this.interactive = true;
+
+        // Sources without a reconnection policy report no attempt limit
+        this.autoReconnect = false;
+        this.maxAttempts = Infinity;
+        this.expectedInterval = 2000;
+
+        this.router = new MessageRouter()
+            .on('telemetry', frame => this.handleTelemetry(frame))
+            .on('pong', frame => this.handlePong(frame))
+            .on('handshake', frame => { this.emit('handshake', frame); })
+            // Acks nobody claims are reported as unhandled frames
+            .on('ack', frame => this.emit('ack', frame).some(handled => handled === true))
+            .on('alert', frame => { this.emit('alert', frame); })
+            .onUnknown((rawData, reason) => this.emit('unknown', rawData, reason));
+    }
+
+    // Returns a function that removes the handler again
+    on(event, handler) {
+        (this.listeners[event] = this.listeners[event] || []).push(handler);
+        return () => {
+            this.listeners[event] = this.listeners[event].filter(h => h !== handler);
+        };
+    }
+
+    emit(event, ...args) {
+        return (this.listeners[event] || []).map(handler => handler(...args));
+    }
+
+    isOpen() {
+        return this.status === 'connected';
+    }
+
+    connect() {
+        throw new Error(`${this.constructor.name} does not implement connect()`);
+    }
+
+    disconnect() {
+        this.setStatus('disconnected');
+    }
+
+    send() {
+        throw new Error(`${this.endpoint} does not accept commands`);
+    }
+
+    // Time the current reading was taken; a replay reports the recorded time, not the wall clock
+    now() {
+        return Date.now();
+    }
+
+    setExpectedInterval(interval) {
+        this.expectedInterval = interval;
+    }
+
+    // Frames are delivered as raw text, exactly as they would arrive from a socket
+    deliver(data) {
+        this.router.dispatch(typeof data === 'string' ? data : JSON.stringify(data));
+    }
+
+    handlePong(frame) {
+        if (typeof frame.sentAt === 'number') {
+            this.latency = Date.now() - frame.sentAt;
+        }
+    }
+
+    handleTelemetry(frame) {
+        const now = Date.now();
+        this.lastFrameAt = now;
+        this.frameTimes.push(now);
+        while (this.frameTimes[0] < now - 10000) {
+            this.frameTimes.shift();
+        }
+
+        if (this.stale) {
+            this.stale = false;
+            this.emit('fresh');
+        }
+        this.emit('telemetry', frame);
+    }
+
+    // Frames per second over the last 10 seconds
+    getDataRate() {
+        const cutoff = Date.now() - 10000;
+        return this.frameTimes.filter(time => time >= cutoff).length / 10;
+    }
+
+    setStatus(status) {
+        this.status = status;
+        this.emit('status', status);
+    }
+}
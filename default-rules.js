@@ -0,0 +1,552 @@
+// Default rule set - the built-in AEGIS patterns, insights, recommendations, alerts and risk scoring
+const DEFAULT_RULE_SET = {
+    name: 'AEGIS Default',
+    version: 1,
+
+    constants: {
+        elevatedHeartRate: 85,
+        stressHeartRate: 90,
+        extremeHeartRateHigh: 130,
+        extremeHeartRateLow: 45,
+        warmTemperature: 37.0,
+        feverTemperature: 37.2,
+        feverOffset: 0.6,
+        extremeTemperatureHigh: 39.0,
+        extremeTemperatureLow: 34.0,
+        gasModerate: 500,
+        gasElevated: 600,
+        gasHigh: 800,
+        lowRmssd: 20,
+        anomalyScore: 50,
+        projectedFeverTemperature: 38.0,
+        projectedLowHealth: 50,
+        poorPosture: 2,
+
+        // Fixed risk bands for vitals without a personal baseline; a point for each band the reading leaves
+        heartRateWatchLow: 65,
+        heartRateWatchHigh: 90,
+        heartRateRiskLow: 60,
+        heartRateRiskHigh: 100,
+        heartRateDangerLow: 50,
+        heartRateDangerHigh: 120,
+        temperatureRiskLow: 35.5,
+        temperatureRiskHigh: 37.5,
+        temperatureDangerLow: 35.0,
+        temperatureDangerHigh: 38.0
+    },
+
+    // Summed risk points at or above which each level applies
+    riskLevels: { critical: 5, high: 3, medium: 2 },
+
+    rules: [
+        // Patterns
+        {
+            id: 'stress_pattern',
+            kind: 'pattern',
+            onset: 30,
+            offset: 30,
+            when: {
+                all: [
+                    { metric: 'heartRate', op: '>', value: { const: 'elevatedHeartRate' } },
+                    { metric: 'gasLevel', op: '>', value: { const: 'gasElevated' } }
+                ]
+            },
+            output: {
+                description: 'Elevated heart rate with irregular breathing',
+                severity: 'medium',
+                recommendation: 'Practice deep breathing exercises'
+            }
+        },
+        {
+            id: 'fatigue_pattern',
+            kind: 'pattern',
+            onset: 60,
+            offset: 60,
+            // lowRmssd is a beat-to-beat threshold; the approximation from the BPM series reads near zero for
+            // any steady heart rate, so only real RR intervals give a verdict
+            when: {
+                all: [
+                    { metric: 'hrv.source', op: '==', value: 'rr' },
+                    { metric: 'hrv.rmssd', op: '<', value: { const: 'lowRmssd' } }
+                ]
+            },
+            output: {
+                description: 'Consistent low heart rate variability',
+                severity: 'low',
+                recommendation: 'Consider taking a short break'
+            }
+        },
+        {
+            id: 'fever_pattern',
+            kind: 'pattern',
+            onset: 60,
+            offset: 120,
+            when: { metric: 'temperature', op: '>', value: { const: 'feverTemperature' } },
+            output: {
+                description: 'Elevated body temperature',
+                severity: 'high',
+                recommendation: 'Monitor temperature and stay hydrated'
+            }
+        },
+        {
+            id: 'poor_posture_pattern',
+            kind: 'pattern',
+            onset: 60,
+            offset: 30,
+            when: { metric: 'posture', op: '==', value: { const: 'poorPosture' } },
+            output: {
+                description: 'Extended period of poor posture',
+                severity: 'medium',
+                recommendation: 'Adjust your sitting position'
+            }
+        },
+
+        // Insights (heart rate and temperature are relative to the wearer's baseline;
+        // patterns.<id> exposes each pattern's active state, minutes and episode count, anomaly the detector's score,
+        // forecast.<metric> the h5/h15/h30 forecasts)
+        {
+            id: 'heart_rate_high',
+            kind: 'insight',
+            when: { metric: 'heartRate', op: '>', value: { metric: 'baseline.heartRate.max' } },
+            output: {
+                title: 'Elevated Heart Rate',
+                description: 'Your heart rate is above {{baseline.heartRate.rangeName}} ({{baseline.heartRate.min:0}}-{{baseline.heartRate.max:0}} BPM). This could indicate physical exertion or stress.',
+                severity: 'medium',
+                icon: 'fas fa-heartbeat'
+            }
+        },
+        {
+            id: 'heart_rate_low',
+            kind: 'insight',
+            when: {
+                all: [
+                    { metric: 'heartRate', op: '<', value: { metric: 'baseline.heartRate.min' } },
+                    { metric: 'baseline.heartRate.personal', op: '==', value: false }
+                ]
+            },
+            output: {
+                title: 'Low Heart Rate',
+                description: 'Your heart rate is below normal range. This is common in well-trained athletes.',
+                severity: 'low',
+                icon: 'fas fa-heart'
+            }
+        },
+        {
+            id: 'heart_rate_low_personal',
+            kind: 'insight',
+            when: {
+                all: [
+                    { metric: 'heartRate', op: '<', value: { metric: 'baseline.heartRate.min' } },
+                    { metric: 'baseline.heartRate.personal', op: '==', value: true }
+                ]
+            },
+            output: {
+                type: 'heart_rate_low',
+                title: 'Low Heart Rate',
+                description: 'Your heart rate is below your personal range ({{baseline.heartRate.min:0}}-{{baseline.heartRate.max:0}} BPM).',
+                severity: 'low',
+                icon: 'fas fa-heart'
+            }
+        },
+        {
+            id: 'temperature_high',
+            kind: 'insight',
+            when: {
+                all: [
+                    { metric: 'temperature', op: '>', value: { metric: 'baseline.temperature.optimal', offset: { const: 'feverOffset' } } },
+                    { metric: 'baseline.temperature.personal', op: '==', value: false }
+                ]
+            },
+            output: {
+                title: 'Elevated Temperature',
+                description: 'Your body temperature is slightly elevated. Monitor for signs of fever.',
+                severity: 'medium',
+                icon: 'fas fa-thermometer-full'
+            }
+        },
+        {
+            id: 'temperature_high_personal',
+            kind: 'insight',
+            when: {
+                all: [
+                    { metric: 'temperature', op: '>', value: { metric: 'baseline.temperature.optimal', offset: { const: 'feverOffset' } } },
+                    { metric: 'baseline.temperature.personal', op: '==', value: true }
+                ]
+            },
+            output: {
+                type: 'temperature_high',
+                title: 'Elevated Temperature',
+                description: 'Your body temperature is above your usual {{baseline.temperature.optimal:1}}°C. Monitor for signs of fever.',
+                severity: 'medium',
+                icon: 'fas fa-thermometer-full'
+            }
+        },
+        {
+            id: 'air_quality_poor',
+            kind: 'insight',
+            when: { metric: 'gasLevel', op: '>', value: { const: 'gasElevated' } },
+            output: {
+                title: 'Poor Air Quality',
+                description: 'Gas levels are elevated. Consider moving to better ventilated area.',
+                severity: 'high',
+                icon: 'fas fa-wind'
+            }
+        },
+        {
+            id: 'posture_poor',
+            kind: 'insight',
+            when: { metric: 'patterns.poor_posture_pattern.active', op: '==', value: true },
+            output: {
+                title: 'Poor Posture Detected',
+                description: 'Poor posture for {{patterns.poor_posture_pattern.minutes}} min. Your posture needs adjustment for better ergonomics.',
+                severity: 'low',
+                icon: 'fas fa-user-slouch'
+            }
+        },
+        {
+            id: 'health_decline',
+            kind: 'insight',
+            when: { metric: 'trend.healthDecline', op: '==', value: true },
+            output: {
+                title: 'Health Trend Declining',
+                description: 'Your overall health score has been consistently decreasing.',
+                severity: 'medium',
+                icon: 'fas fa-chart-line-down'
+            }
+        },
+
+        {
+            id: 'anomaly_detected',
+            kind: 'insight',
+            when: { metric: 'anomaly.score', op: '>=', value: { const: 'anomalyScore' } },
+            output: {
+                type: 'anomaly',
+                title: 'Unusual Reading (score {{anomaly.score}})',
+                description: '{{anomaly.summary}}',
+                severity: 'medium',
+                icon: 'fas fa-search'
+            }
+        },
+        {
+            id: 'health_score_falling',
+            kind: 'insight',
+            when: { forecast: 'overallHealth', within: 30, op: '<', value: { const: 'projectedLowHealth' } },
+            output: {
+                title: 'Health Score Falling',
+                description: 'Your health score is projected to drop below {{projection.threshold:0}}% in ~{{projection.minutes}} min.',
+                severity: 'medium',
+                icon: 'fas fa-chart-line'
+            }
+        },
+
+        // Recommendations
+        {
+            id: 'relaxation',
+            kind: 'recommendation',
+            when: { metric: 'heartRate', op: '>', value: { const: 'stressHeartRate' } },
+            output: {
+                title: 'Take a Break',
+                description: 'Your heart rate suggests you might be stressed. Consider taking a 5-minute break.',
+                priority: 'high',
+                icon: 'fas fa-coffee'
+            }
+        },
+        {
+            id: 'hydration',
+            kind: 'recommendation',
+            when: { metric: 'temperature', op: '>', value: { const: 'warmTemperature' } },
+            output: {
+                title: 'Stay Hydrated',
+                description: 'Drink water to help regulate your body temperature.',
+                priority: 'medium',
+                icon: 'fas fa-tint'
+            }
+        },
+        {
+            id: 'ventilation',
+            kind: 'recommendation',
+            when: { metric: 'gasLevel', op: '>', value: { const: 'gasModerate' } },
+            output: {
+                title: 'Improve Ventilation',
+                description: 'Air quality could be better. Open a window or move to fresh air.',
+                priority: 'high',
+                icon: 'fas fa-fan'
+            }
+        },
+        {
+            id: 'posture_correction',
+            kind: 'recommendation',
+            when: { metric: 'posture', op: '!=', value: 0 },
+            output: {
+                title: 'Adjust Posture',
+                description: 'Sit up straight with your back supported for better ergonomics.',
+                priority: 'low',
+                icon: 'fas fa-user-check'
+            }
+        },
+        {
+            id: 'preventive',
+            kind: 'recommendation',
+            output: {
+                title: 'Regular Movement',
+                description: 'Take short walking breaks every hour to maintain circulation.',
+                priority: 'medium',
+                icon: 'fas fa-walking'
+            }
+        },
+
+        // Alerts
+        {
+            id: 'fall_detected',
+            kind: 'alert',
+            when: { metric: 'fallDetected', op: '==', value: true },
+            output: {
+                title: 'Fall Detected!',
+                description: 'A fall has been detected. Please check if assistance is needed.',
+                severity: 'critical',
+                immediateAction: true,
+                icon: 'fas fa-exclamation-triangle'
+            }
+        },
+        {
+            id: 'flame_detected',
+            kind: 'alert',
+            when: { metric: 'flameDetected', op: '==', value: true },
+            output: {
+                title: 'Fire Hazard!',
+                description: 'Flame detected in the vicinity. Please evacuate if necessary.',
+                severity: 'critical',
+                immediateAction: true,
+                icon: 'fas fa-fire'
+            }
+        },
+        // The current-value alerts also hold while the smoothed forecast level is past the limit, which is when
+        // the predictive alert below stops, so a reading dipping back for a moment does not leave a gap
+        {
+            id: 'heart_rate_extreme',
+            kind: 'alert',
+            when: {
+                any: [
+                    { metric: 'heartRate', op: '>', value: { const: 'extremeHeartRateHigh' } },
+                    { metric: 'forecast.heartRate.level', op: '>', value: { const: 'extremeHeartRateHigh' } },
+                    { metric: 'heartRate', op: '<', value: { const: 'extremeHeartRateLow' } }
+                ]
+            },
+            output: {
+                title: 'Critical Heart Rate',
+                description: 'Heart rate is at dangerous levels. Seek medical attention if symptoms persist.',
+                severity: 'high',
+                icon: 'fas fa-heart-crack'
+            }
+        },
+        {
+            id: 'temperature_extreme',
+            kind: 'alert',
+            when: {
+                any: [
+                    { metric: 'temperature', op: '>', value: { const: 'extremeTemperatureHigh' } },
+                    { metric: 'temperature', op: '<', value: { const: 'extremeTemperatureLow' } }
+                ]
+            },
+            output: {
+                title: 'Dangerous Body Temperature',
+                description: 'Body temperature is at critical levels. Medical attention may be required.',
+                severity: 'high',
+                icon: 'fas fa-temperature-high'
+            }
+        },
+        {
+            id: 'temperature_fever',
+            kind: 'alert',
+            when: {
+                any: [
+                    { metric: 'temperature', op: '>', value: { const: 'projectedFeverTemperature' } },
+                    { metric: 'forecast.temperature.level', op: '>', value: { const: 'projectedFeverTemperature' } }
+                ]
+            },
+            output: {
+                title: 'High Body Temperature',
+                description: 'Temperature has passed {{projectedFeverTemperature:1}}°C (now {{temperature:1}}°C). Cool down and rest.',
+                severity: 'high',
+                icon: 'fas fa-thermometer-full'
+            }
+        },
+        {
+            id: 'gas_high',
+            kind: 'alert',
+            when: {
+                any: [
+                    { metric: 'gasLevel', op: '>', value: { const: 'gasHigh' } },
+                    { metric: 'forecast.gasLevel.level', op: '>', value: { const: 'gasHigh' } }
+                ]
+            },
+            output: {
+                title: 'High Gas Level',
+                description: 'Gas level has passed {{gasHigh:0}} PPM (now {{gasLevel:0}} PPM). Ventilate or leave the area.',
+                severity: 'high',
+                icon: 'fas fa-wind'
+            }
+        },
+
+        // Predictive alerts: the forecast crosses a limit the reading has not reached yet; once it has, the
+        // current-value alert above for the same limit takes over. They are high so the default medium
+        // sensitivity, which shows high and above, still gives the early warning
+        {
+            id: 'temperature_rising',
+            kind: 'alert',
+            when: { forecast: 'temperature', within: 30, op: '>', value: { const: 'projectedFeverTemperature' } },
+            output: {
+                title: 'Temperature Rising',
+                description: 'Temperature projected to exceed {{projection.threshold:1}}°C in ~{{projection.minutes}} min (now {{temperature:1}}°C).',
+                severity: 'high',
+                icon: 'fas fa-thermometer-half'
+            }
+        },
+        {
+            id: 'heart_rate_rising',
+            kind: 'alert',
+            when: { forecast: 'heartRate', within: 15, op: '>', value: { const: 'extremeHeartRateHigh' } },
+            output: {
+                title: 'Heart Rate Climbing',
+                description: 'Heart rate projected to exceed {{projection.threshold:0}} BPM in ~{{projection.minutes}} min (now {{heartRate:0}} BPM).',
+                severity: 'high',
+                icon: 'fas fa-heartbeat'
+            }
+        },
+        {
+            id: 'gas_rising',
+            kind: 'alert',
+            when: { forecast: 'gasLevel', within: 15, op: '>', value: { const: 'gasHigh' } },
+            output: {
+                title: 'Gas Level Building Up',
+                description: 'Gas level projected to exceed {{projection.threshold:0}} PPM in ~{{projection.minutes}} min. Ventilate the area.',
+                severity: 'high',
+                icon: 'fas fa-wind'
+            }
+        },
+        // Risk points. A calibrated vital is scored against the wearer's personal range; an uncalibrated one
+        // against the fixed bands, 1-3 points for heart rate and 2-3 for temperature.
+        {
+            id: 'heart_rate_risk',
+            kind: 'risk',
+            when: { metric: 'baseline.heartRate.personal', op: '==', value: true },
+            points: { metric: 'risk.heartRate' }
+        },
+        {
+            id: 'heart_rate_watch_risk',
+            kind: 'risk',
+            when: {
+                all: [
+                    { metric: 'baseline.heartRate.personal', op: '==', value: false },
+                    {
+                        any: [
+                            { metric: 'heartRate', op: '>', value: { const: 'heartRateWatchHigh' } },
+                            { metric: 'heartRate', op: '<', value: { const: 'heartRateWatchLow' } }
+                        ]
+                    }
+                ]
+            },
+            points: 1
+        },
+        {
+            id: 'heart_rate_band_risk',
+            kind: 'risk',
+            when: {
+                all: [
+                    { metric: 'baseline.heartRate.personal', op: '==', value: false },
+                    {
+                        any: [
+                            { metric: 'heartRate', op: '>', value: { const: 'heartRateRiskHigh' } },
+                            { metric: 'heartRate', op: '<', value: { const: 'heartRateRiskLow' } }
+                        ]
+                    }
+                ]
+            },
+            points: 1
+        },
+        {
+            id: 'heart_rate_danger_risk',
+            kind: 'risk',
+            when: {
+                all: [
+                    { metric: 'baseline.heartRate.personal', op: '==', value: false },
+                    {
+                        any: [
+                            { metric: 'heartRate', op: '>', value: { const: 'heartRateDangerHigh' } },
+                            { metric: 'heartRate', op: '<', value: { const: 'heartRateDangerLow' } }
+                        ]
+                    }
+                ]
+            },
+            points: 1
+        },
+        {
+            id: 'temperature_risk',
+            kind: 'risk',
+            when: { metric: 'baseline.temperature.personal', op: '==', value: true },
+            points: { metric: 'risk.temperature' }
+        },
+        {
+            id: 'temperature_band_risk',
+            kind: 'risk',
+            when: {
+                all: [
+                    { metric: 'baseline.temperature.personal', op: '==', value: false },
+                    {
+                        any: [
+                            { metric: 'temperature', op: '>', value: { const: 'temperatureRiskHigh' } },
+                            { metric: 'temperature', op: '<', value: { const: 'temperatureRiskLow' } }
+                        ]
+                    }
+                ]
+            },
+            points: 2
+        },
+        {
+            id: 'temperature_danger_risk',
+            kind: 'risk',
+            when: {
+                all: [
+                    { metric: 'baseline.temperature.personal', op: '==', value: false },
+                    {
+                        any: [
+                            { metric: 'temperature', op: '>', value: { const: 'temperatureDangerHigh' } },
+                            { metric: 'temperature', op: '<', value: { const: 'temperatureDangerLow' } }
+                        ]
+                    }
+                ]
+            },
+            points: 1
+        },
+        {
+            id: 'gas_elevated_risk',
+            kind: 'risk',
+            when: { metric: 'gasLevel', op: '>', value: { const: 'gasElevated' } },
+            points: 1
+        },
+        {
+            id: 'gas_high_risk',
+            kind: 'risk',
+            when: { metric: 'gasLevel', op: '>', value: { const: 'gasHigh' } },
+            points: 1
+        },
+        {
+            id: 'poor_posture_risk',
+            kind: 'risk',
+            when: { metric: 'patterns.poor_posture_pattern.active', op: '==', value: true },
+            points: 1
+        },
+        {
+            id: 'fall_risk',
+            kind: 'risk',
+            when: { metric: 'fallDetected', op: '==', value: true },
+            points: 3
+        },
+        {
+            id: 'flame_risk',
+            kind: 'risk',
+            when: { metric: 'flameDetected', op: '==', value: true },
+            points: 3
+        }
+    ]
+};
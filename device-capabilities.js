@@ -0,0 +1,63 @@
+// Device Capabilities - which sensors the connected device provides, from its handshake and its telemetry
+class DeviceCapabilities {
+    constructor(schema = TELEMETRY_SCHEMA) {
+        this.schema = schema;
+        this.reset();
+    }
+
+    reset() {
+        this.declared = null; // sensor ids from the handshake, when the firmware lists them
+        this.observed = new Set();
+        this.schemaVersion = null;
+        this.firmware = null;
+        this.frames = 0;
+        this.renamed = new Set(); // legacy field names the device still uses
+    }
+
+    // Handshakes may carry {"schemaVersion": 2, "firmware": "...", "sensors": ["heartRate", ...]}
+    applyHandshake(frame) {
+        if (typeof frame.schemaVersion === 'number') this.schemaVersion = frame.schemaVersion;
+        if (typeof frame.firmware === 'string') this.firmware = frame.firmware;
+        if (Array.isArray(frame.sensors)) {
+            this.declared = new Set(frame.sensors.filter(sensor => sensor in this.schema.sensors));
+        }
+    }
+
+    // A sensor counts as observed once any of its fields arrives; returns true when that changed anything
+    observe(reading, renamed = []) {
+        const before = this.observed.size + this.renamed.size;
+        const firstFrame = this.frames === 0;
+        this.frames++;
+
+        renamed.forEach(field => this.renamed.add(field));
+        if (typeof reading.schemaVersion === 'number') this.schemaVersion = reading.schemaVersion;
+
+        Object.entries(this.schema.sensors).forEach(([sensor, spec]) => {
+            if (spec.fields.some(field => reading[field] !== undefined)) {
+                this.observed.add(sensor);
+            }
+        });
+
+        return firstFrame || this.observed.size + this.renamed.size !== before;
+    }
+
+    // Nothing can be said before the handshake lists sensors or the first frame arrives
+    isKnown() {
+        return this.declared !== null || this.frames > 0;
+    }
+
+    has(sensor) {
+        return this.observed.has(sensor) || (this.declared !== null && this.declared.has(sensor));
+    }
+
+    getReport() {
+        return Object.entries(this.schema.sensors).map(([sensor, spec]) => ({
+            sensor: sensor,
+            label: spec.label,
+            fields: spec.fields,
+            present: this.has(sensor),
+            declared: this.declared !== null && this.declared.has(sensor),
+            observed: this.observed.has(sensor)
+        }));
+    }
+}
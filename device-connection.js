@@ -0,0 +1,175 @@
+// Device Connection - one WebSocket to an AEGIS unit with its own frame router, data rate,
+// reconnection policy, heartbeat and stale-data watchdog
+class DeviceConnection extends DataSource {
+    constructor(endpoint, options = {}) {
+        super(endpoint);
+        this.socket = null;
+
+        // Reconnection: exponential backoff with jitter, up to maxAttempts tries in a row
+        this.autoReconnect = options.autoReconnect !== false;
+        this.baseDelay = options.baseDelay || 1000;
+        this.maxDelay = options.maxDelay || 30000;
+        this.maxAttempts = options.maxAttempts || 10;
+        this.reconnectAttempts = 0;
+        this.reconnectTimer = null;
+
+        // Heartbeat: a socket that stays silent past heartbeatTimeout, or three update intervals when the
+        // device samples slower than that, is considered dead
+        this.heartbeatInterval = options.heartbeatInterval || 5000;
+        this.heartbeatTimeout = options.heartbeatTimeout || 15000;
+        this.heartbeatTimer = null;
+        this.openedAt = null;
+        this.lastMessageAt = null;
+        this.lastPingAt = 0;
+        this.pingSequence = 0;
+
+        // Watchdog: telemetry is stale after staleIntervals missed update intervals
+        this.staleIntervals = options.staleIntervals || 3;
+        this.expectedInterval = options.expectedInterval || 2000;
+    }
+
+    connect() {
+        if (this.socket) return;
+
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.setStatus('connecting');
+
+        try {
+            this.socket = new WebSocket(this.endpoint);
+        } catch (error) {
+            this.socket = null;
+            this.setStatus('error');
+            this.emit('error', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.socket.onopen = () => {
+            this.frameTimes = [];
+            this.openedAt = this.lastMessageAt = Date.now();
+            this.lastFrameAt = null;
+            this.startHeartbeat();
+            this.setStatus('connected');
+            this.emit('open');
+        };
+
+        // Only a device that talks counts as recovered; one that accepts the socket and stays silent
+        // keeps using up its attempts
+        this.socket.onmessage = (event) => {
+            this.reconnectAttempts = 0;
+            this.lastMessageAt = Date.now();
+            this.router.dispatch(event.data);
+        };
+
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.stopHeartbeat();
+            this.setStatus('disconnected');
+            this.emit('close');
+            this.scheduleReconnect();
+        };
+
+        this.socket.onerror = (error) => {
+            this.setStatus('error');
+            this.emit('error', error);
+        };
+    }
+
+    disconnect() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectAttempts = 0;
+        this.closeSocket();
+    }
+
+    closeSocket() {
+        this.stopHeartbeat();
+        if (!this.socket) return;
+
+        // Detach handlers first so a deliberate close is not reported as a lost connection
+        const socket = this.socket;
+        socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+        this.socket = null;
+        socket.close();
+        this.setStatus('disconnected');
+    }
+
+    send(message) {
+        if (!this.socket || !this.isOpen()) {
+            throw new Error(`Not connected to ${this.endpoint}`);
+        }
+        this.socket.send(message);
+    }
+
+    scheduleReconnect() {
+        if (!this.autoReconnect || this.reconnectTimer) return;
+
+        if (this.reconnectAttempts >= this.maxAttempts) {
+            this.setStatus('failed');
+            this.emit('giveup', this.reconnectAttempts);
+            return;
+        }
+
+        // Half of the delay is fixed, half random, so a room full of dashboards does not reconnect in lockstep
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, this.reconnectAttempts));
+        const jittered = Math.round(delay / 2 + Math.random() * delay / 2);
+        this.reconnectAttempts++;
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            this.connect();
+        }, jittered);
+        this.emit('reconnecting', this.reconnectAttempts, jittered);
+    }
+
+    // Starts over with a fresh set of attempts, e.g. from a manual reconnect
+    reconnect() {
+        this.disconnect();
+        this.connect();
+    }
+
+    startHeartbeat() {
+        this.stopHeartbeat();
+        this.lastPingAt = 0;
+        this.heartbeatTimer = setInterval(() => this.checkHeartbeat(), 1000);
+    }
+
+    stopHeartbeat() {
+        clearInterval(this.heartbeatTimer);
+        this.heartbeatTimer = null;
+        this.stale = false;
+    }
+
+    getHeartbeatTimeout() {
+        return Math.max(this.heartbeatTimeout, this.expectedInterval * this.staleIntervals);
+    }
+
+    checkHeartbeat(now = Date.now()) {
+        // Any frame counts as a sign of life; a half-open socket never reports onclose on its own.
+        // The attempt count is kept, so a dead device still backs off and gives up.
+        const timeout = this.getHeartbeatTimeout();
+        if (now - this.lastMessageAt > timeout) {
+            this.closeSocket();
+            this.emit('error', new Error(`No response from ${this.endpoint} in ${timeout / 1000}s`));
+            this.emit('close');
+            this.scheduleReconnect();
+            return;
+        }
+
+        const age = now - (this.lastFrameAt || this.openedAt);
+        if (!this.stale && age > this.expectedInterval * this.staleIntervals) {
+            this.stale = true;
+            this.emit('stale', age);
+        }
+
+        if (now - this.lastPingAt >= this.heartbeatInterval) {
+            this.lastPingAt = now;
+            try {
+                this.socket.send(JSON.stringify({ id: `ping-${++this.pingSequence}`, command: 'ping', sentAt: now }));
+            } catch (error) {
+                console.error('Error sending heartbeat:', error);
+            }
+        }
+    }
+}
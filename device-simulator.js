@@ -0,0 +1,245 @@
+// Device Simulator - an in-browser AEGIS unit that plays a scripted scenario, for development and demos
+// without hardware. It speaks the firmware's protocol: handshake, telemetry, command acks, pongs and alerts.
+class DeviceSimulator extends DataSource {
+    constructor(scenarioId, options = {}) {
+        super(`simulator://${scenarioId}`);
+        this.scenario = SIMULATION_SCENARIOS[scenarioId];
+        if (!this.scenario) {
+            throw new Error(`Unknown simulation scenario "${scenarioId}"`);
+        }
+
+        this.kind = 'simulator';
+        this.persistent = false;
+        this.label = `Simulator: ${this.scenario.label}`;
+
+        // Noise scales the measurement noise below; 0 plays the script exactly
+        this.noise = typeof options.noise === 'number' ? options.noise : 1;
+        this.noiseLevels = { heartRate: 2, temperature: 0.05, gasLevel: 12, humidity: 1 };
+
+        // Same limits as the firmware applies to a config command
+        this.sampleInterval = options.sampleInterval || 2000;
+        this.minInterval = 500;
+        this.maxInterval = 60000;
+
+        this.origin = options.origin || { latitude: 51.5007, longitude: -0.1246 };
+        this.walkRadius = 40; // metres
+
+        this.sensors = ['heartRate', 'hrv', 'temperature', 'gas', 'posture', 'flame', 'gps', 'humidity', 'motion'];
+        this.timer = null;
+        this.elapsed = 0;
+        this.stuck = {};
+    }
+
+    connect() {
+        if (this.status === 'connecting' || this.isOpen()) return;
+
+        this.setStatus('connecting');
+        this.elapsed = 0;
+        this.stuck = {};
+
+        // Opens asynchronously like a socket, after the caller has bound its handlers
+        this.timer = setTimeout(() => {
+            this.setStatus('connected');
+            this.emit('open');
+            this.deliver({
+                status: 'connected',
+                sampleInterval: this.sampleInterval,
+                schemaVersion: TELEMETRY_SCHEMA.version,
+                firmware: 'simulator',
+                sensors: this.sensors
+            });
+            this.schedule();
+        }, 0);
+    }
+
+    disconnect() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.setStatus('disconnected');
+    }
+
+    send(message) {
+        if (!this.isOpen()) {
+            throw new Error(`Not connected to ${this.endpoint}`);
+        }
+
+        // Replies arrive a moment later, as they would over the air
+        const command = JSON.parse(message);
+        setTimeout(() => this.reply(command), 50);
+    }
+
+    reply(command) {
+        if (!this.isOpen()) return;
+
+        switch (command.command) {
+            case 'ping':
+                this.deliver({ type: 'pong', id: command.id, sentAt: command.sentAt, uptime: Math.round(this.elapsed) });
+                break;
+            case 'config':
+                if (typeof command.sampleInterval === 'number') {
+                    this.sampleInterval = Math.min(this.maxInterval, Math.max(this.minInterval, command.sampleInterval));
+                }
+                this.deliver({ action: 'config_applied', id: command.id, sampleInterval: this.sampleInterval });
+                break;
+            case 'emergency':
+                this.deliver({ action: 'emergency_activated', id: command.id });
+                this.deliver({ alert: 'EMERGENCY_MANUAL_TRIGGER' });
+                break;
+            case 'sos':
+                this.deliver({ action: 'sos_activated', id: command.id });
+                this.deliver({ alert: 'SOS_SIGNAL_SENT' });
+                break;
+        }
+    }
+
+    schedule() {
+        this.timer = setTimeout(() => {
+            this.tick();
+            this.schedule();
+        }, this.sampleInterval);
+    }
+
+    tick() {
+        this.elapsed += this.sampleInterval / 1000;
+        this.deliver(this.generateFrame(this.elapsed));
+        this.emit('progress', this.getProgress());
+    }
+
+    // Position in the script; looping scenarios wrap, the others hold their final state
+    getScenarioTime(elapsed = this.elapsed) {
+        const duration = this.scenario.duration;
+        return this.scenario.loop ? elapsed % duration : Math.min(elapsed, duration);
+    }
+
+    getProgress() {
+        return {
+            scenario: this.scenario.label,
+            elapsed: this.elapsed,
+            position: this.getScenarioTime(),
+            duration: this.scenario.duration,
+            loop: this.scenario.loop === true
+        };
+    }
+
+    // Scripted values at scenario time t, before noise and faults
+    getValues(t) {
+        const values = { fallDetected: false, flameDetected: false };
+        const fields = new Set(this.scenario.keyframes.flatMap(keyframe => Object.keys(keyframe)));
+        fields.delete('at');
+
+        fields.forEach(field => {
+            const keyframes = this.scenario.keyframes.filter(keyframe => field in keyframe);
+            const next = keyframes.find(keyframe => keyframe.at > t);
+            const previous = [...keyframes].reverse().find(keyframe => keyframe.at <= t) || next;
+            const value = previous[field];
+
+            if (typeof value === 'number' && next && next !== previous) {
+                const progress = (t - previous.at) / (next.at - previous.at);
+                values[field] = value + (next[field] - value) * progress;
+            } else {
+                values[field] = value;
+            }
+        });
+
+        this.getActiveEvents(t).forEach(event => Object.assign(values, event.set));
+        return values;
+    }
+
+    getActiveEvents(t) {
+        return (this.scenario.events || []).filter(event => t >= event.at && t < event.at + event.for);
+    }
+
+    generateFrame(elapsed) {
+        const t = this.getScenarioTime(elapsed);
+        const values = this.getValues(t);
+
+        Object.entries(this.noiseLevels).forEach(([field, deviation]) => {
+            if (typeof values[field] === 'number') {
+                values[field] += DeviceSimulator.gaussian() * deviation * this.noise;
+            }
+        });
+
+        const frame = {
+            schemaVersion: TELEMETRY_SCHEMA.version,
+            heartRate: Math.round(values.heartRate),
+            temperature: Math.round(values.temperature * 100) / 100,
+            gasLevel: Math.max(0, Math.round(values.gasLevel)),
+            posture: Math.round(values.posture),
+            fallDetected: values.fallDetected === true,
+            flameDetected: values.flameDetected === true,
+            humidity: Math.min(100, Math.max(0, Math.round(values.humidity))),
+            motionDetected: values.motionDetected === true,
+            rrIntervals: this.generateRRIntervals(values.heartRate),
+            ...this.getPosition(elapsed),
+            status: values.fallDetected || values.flameDetected ? 'EMERGENCY' : 'NORMAL',
+            timestamp: Math.round(elapsed),
+            clientCount: 1
+        };
+
+        this.applyFaults(frame, t);
+        return frame;
+    }
+
+    // Beats that fell into the last sample interval, with natural beat-to-beat variation
+    generateRRIntervals(heartRate) {
+        const mean = 60000 / heartRate;
+        const beats = Math.max(1, Math.round(this.sampleInterval / mean));
+        return Array.from({ length: beats }, () =>
+            Math.round(Math.min(1900, Math.max(300, mean + DeviceSimulator.gaussian() * 30))));
+    }
+
+    getPosition(elapsed) {
+        let north = 0;
+        let east = 0;
+        if (this.scenario.walking) {
+            const angle = 2 * Math.PI * elapsed / this.scenario.duration;
+            north = Math.sin(angle) * this.walkRadius;
+            east = Math.cos(angle) * this.walkRadius - this.walkRadius;
+        }
+        north += DeviceSimulator.gaussian() * 2 * this.noise;
+        east += DeviceSimulator.gaussian() * 2 * this.noise;
+
+        const metresPerDegree = 111320;
+        return {
+            gpsFixed: true,
+            satellites: 8,
+            latitude: this.origin.latitude + north / metresPerDegree,
+            longitude: this.origin.longitude + east / (metresPerDegree * Math.cos(this.origin.latitude * Math.PI / 180))
+        };
+    }
+
+    applyFaults(frame, t) {
+        const faults = {};
+        this.getActiveEvents(t).forEach(event => Object.assign(faults, event.fault));
+
+        Object.keys(this.stuck).forEach(field => {
+            if (faults[field] !== 'stuck') delete this.stuck[field];
+        });
+
+        Object.entries(faults).forEach(([field, kind]) => {
+            const spec = TELEMETRY_SCHEMA.fields[field];
+            switch (kind) {
+                case 'disconnected':
+                    frame[field] = spec.disconnected[0];
+                    break;
+                case 'stuck':
+                    if (!(field in this.stuck)) this.stuck[field] = frame[field];
+                    frame[field] = this.stuck[field];
+                    break;
+                case 'dropout':
+                    delete frame[field];
+                    break;
+                case 'spikes':
+                    if (Math.random() < 0.3) frame[field] = spec.sensorRange.max;
+                    break;
+            }
+        });
+    }
+
+    // Standard normal sample (Box-Muller)
+    static gaussian() {
+        const u = 1 - Math.random();
+        const v = Math.random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+}
@@ -0,0 +1,141 @@
+// Fleet Manager - watches several AEGIS units at once
+class FleetManager {
+    constructor(profileManager) {
+        this.profileManager = profileManager;
+        this.storageKey = 'aegisShieldFleet';
+
+        this.devices = new Map();
+        this.primaryEndpoint = null;
+        this.listeners = [];
+        this.riskOrder = { critical: 0, high: 1, medium: 2, low: 3 };
+
+        this.load();
+    }
+
+    load() {
+        let endpoints = [];
+        try {
+            endpoints = JSON.parse(localStorage.getItem(this.storageKey)) || [];
+        } catch (error) {
+            console.error('Error loading fleet:', error);
+        }
+        endpoints.forEach(endpoint => this.addDevice(endpoint, false));
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify([...this.devices.keys()]));
+    }
+
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    addDevice(endpoint, persist = true) {
+        if (!endpoint || this.devices.has(endpoint)) return null;
+
+        const device = {
+            endpoint: endpoint,
+            // Unattended devices keep retrying at the backoff ceiling instead of giving up
+            connection: new DeviceConnection(endpoint, { maxAttempts: Infinity }),
+            engine: null,
+            engineProfileId: null,
+            sensorData: null,
+            analysis: null,
+            lastUpdate: null
+        };
+
+        device.connection.on('telemetry', frame => this.handleTelemetry(device, frame));
+        device.connection.on('status', () => this.notify());
+        device.connection.on('stale', () => this.notify());
+
+        this.devices.set(endpoint, device);
+        device.connection.connect();
+
+        if (persist) this.save();
+        this.notify();
+        return device;
+    }
+
+    removeDevice(endpoint) {
+        const device = this.devices.get(endpoint);
+        if (!device) return;
+
+        this.devices.delete(endpoint);
+
+        // The dashboard may still be using this connection; it closes it itself on disconnect
+        if (endpoint !== this.primaryEndpoint) {
+            device.connection.disconnect();
+        }
+
+        this.save();
+        this.notify();
+    }
+
+    getConnection(endpoint) {
+        const device = this.devices.get(endpoint);
+        return device ? device.connection : null;
+    }
+
+    // The dashboard analyses its own device; the fleet only mirrors the result
+    setPrimary(endpoint) {
+        this.primaryEndpoint = endpoint;
+    }
+
+    getProfileFor(endpoint) {
+        return this.profileManager.profiles.find(profile => profile.devices.includes(endpoint)) || null;
+    }
+
+    // Every device has an engine of its own, so frames from two devices never mix in one set of rule
+    // durations, trends, anomaly, forecast and pattern state. A device bound to a profile is scored against
+    // a copy of that wearer's baseline, which it does not write back.
+    getEngine(device) {
+        const profile = this.getProfileFor(device.endpoint);
+        const profileId = profile ? profile.id : null;
+
+        if (!device.engine || device.engineProfileId !== profileId) {
+            device.engine = new AIEngine({
+                baselineKey: profile ? null : `aegisShieldBaseline_device_${device.endpoint}`
+            });
+            if (profile) {
+                const stats = this.profileManager.getEngine(profile.id).personalBaseline.stats;
+                device.engine.personalBaseline.stats = JSON.parse(JSON.stringify(stats));
+            }
+            device.engineProfileId = profileId;
+        }
+        return device.engine;
+    }
+
+    // The tile shows the latest value of every field; the engine only sees what this frame carried
+    handleTelemetry(device, frame) {
+        const { type, ...sensorData } = frame;
+        device.sensorData = { ...device.sensorData, ...sensorData };
+        device.lastUpdate = Date.now();
+
+        if (device.endpoint !== this.primaryEndpoint) {
+            device.analysis = this.getEngine(device).analyzeSensorData(sensorData, device.connection.now());
+        }
+
+        this.notify();
+    }
+
+    recordAnalysis(endpoint, sensorData, analysis) {
+        const device = this.devices.get(endpoint);
+        if (!device) return;
+
+        device.sensorData = sensorData;
+        device.analysis = analysis;
+        device.lastUpdate = Date.now();
+        this.notify();
+    }
+
+    // Highest risk first, then lowest health score; devices without data go last
+    getDevicesByRisk() {
+        const rank = device => device.analysis ? this.riskOrder[device.analysis.riskLevel] : 4;
+        const health = device => device.analysis ? device.analysis.overallHealth : 100;
+        return [...this.devices.values()].sort((a, b) => rank(a) - rank(b) || health(a) - health(b));
+    }
+}
@@ -0,0 +1,173 @@
+// Forecaster - short-horizon forecasts of the vitals and health score with confidence intervals
+//
+// Readings are averaged into fixed buckets so the irregular frame rate does not skew the model, then fed
+// to Holt's linear method with a damped trend. Forecast intervals come from the one-step residuals.
+class Forecaster {
+    constructor(options = {}) {
+        this.metrics = ['heartRate', 'temperature', 'gasLevel', 'overallHealth'];
+
+        this.bucketSeconds = options.bucketSeconds || 30;
+        this.alpha = options.alpha || 0.3;
+        this.beta = options.beta || 0.1;
+
+        // Damping keeps a short-lived slope from being extrapolated for the full half hour
+        this.phi = options.phi || 0.95;
+
+        this.horizons = options.horizons || [5, 15, 30]; // minutes
+        this.maxHorizon = Math.max(...this.horizons);
+        this.minBuckets = options.minBuckets || 10;
+        this.z = options.z || 1.96; // 95% interval
+
+        // A gap this long means the series no longer continues, so the model starts over
+        this.maxGap = options.maxGap || 5 * 60 * 1000;
+
+        // Smallest one-step error assumed per metric, so a steady signal still gets a visible band
+        this.minDeviation = {
+            heartRate: 1,
+            temperature: 0.05,
+            gasLevel: 10,
+            overallHealth: 1
+        };
+
+        this.limits = {
+            heartRate: { min: 0 },
+            temperature: {},
+            gasLevel: { min: 0 },
+            overallHealth: { min: 0, max: 100 }
+        };
+
+        this.reset();
+    }
+
+    reset() {
+        this.series = {};
+    }
+
+    // values: {heartRate, temperature, gasLevel, overallHealth}
+    update(values, now = Date.now()) {
+        this.metrics.forEach(metric => {
+            const value = values[metric];
+            if (typeof value !== 'number' || !isFinite(value)) return;
+            this.addSample(metric, value, now);
+        });
+    }
+
+    addSample(metric, value, now) {
+        const bucketMs = this.bucketSeconds * 1000;
+        let series = this.series[metric];
+
+        if (!series || now - series.lastSampleAt > this.maxGap) {
+            series = this.series[metric] = {
+                bucketStart: now,
+                sum: 0,
+                count: 0,
+                level: null,
+                trend: 0,
+                variance: null,
+                buckets: 0,
+                lastSampleAt: now,
+                updatedAt: null
+            };
+        }
+
+        if (now - series.bucketStart >= bucketMs && series.count > 0) {
+            this.step(metric, series, series.sum / series.count);
+            series.updatedAt = now;
+            series.bucketStart += Math.floor((now - series.bucketStart) / bucketMs) * bucketMs;
+            series.sum = 0;
+            series.count = 0;
+        }
+
+        series.sum += value;
+        series.count++;
+        series.lastSampleAt = now;
+    }
+
+    step(metric, series, value) {
+        series.buckets++;
+        if (series.level === null) {
+            series.level = value;
+            return;
+        }
+
+        const predicted = series.level + this.phi * series.trend;
+        const error = value - predicted;
+        series.variance = series.variance === null ? error * error :
+            0.9 * series.variance + 0.1 * error * error;
+
+        const previousLevel = series.level;
+        series.level = predicted + this.alpha * error;
+        series.trend = this.beta * (series.level - previousLevel) + (1 - this.beta) * this.phi * series.trend;
+    }
+
+    isReady(metric) {
+        const series = this.series[metric];
+        return Boolean(series && series.buckets >= this.minBuckets);
+    }
+
+    // Point forecast and interval the given number of minutes after the last completed bucket
+    forecast(metric, minutes) {
+        const series = this.series[metric];
+        const steps = Math.max(1, Math.round(minutes * 60 / this.bucketSeconds));
+        const sigma = Math.max(Math.sqrt(series.variance || 0), this.minDeviation[metric]);
+
+        // Damped Holt: trend contributions phi + phi^2 + ... and the matching forecast error variance
+        let damping = 0;
+        let spread = 1;
+        for (let j = 1; j <= steps; j++) {
+            damping += Math.pow(this.phi, j);
+            if (j < steps) {
+                const weight = this.alpha * (1 + this.beta * this.phi * (1 - Math.pow(this.phi, j)) / (1 - this.phi));
+                spread += weight * weight;
+            }
+        }
+
+        const value = series.level + damping * series.trend;
+        const margin = this.z * sigma * Math.sqrt(spread);
+        return {
+            value: this.clamp(metric, value),
+            lower: this.clamp(metric, value - margin),
+            upper: this.clamp(metric, value + margin)
+        };
+    }
+
+    clamp(metric, value) {
+        const limits = this.limits[metric];
+        if (typeof limits.min === 'number') value = Math.max(limits.min, value);
+        if (typeof limits.max === 'number') value = Math.min(limits.max, value);
+        return value;
+    }
+
+    // Forecast of one metric: h5/h15/h30 intervals for display and rules, and a per-minute
+    // path of point forecasts used to find when a threshold will be crossed
+    getForecast(metric) {
+        if (!this.isReady(metric)) return null;
+
+        const series = this.series[metric];
+        const forecast = {
+            level: series.level,
+            trendPerMinute: series.trend * 60 / this.bucketSeconds,
+            updatedAt: series.updatedAt,
+            path: []
+        };
+
+        this.horizons.forEach(minutes => {
+            forecast[`h${minutes}`] = this.forecast(metric, minutes);
+        });
+        for (let minutes = 1; minutes <= this.maxHorizon; minutes++) {
+            forecast.path.push(this.forecast(metric, minutes).value);
+        }
+
+        return forecast;
+    }
+
+    // Forecasts of every metric with enough history
+    getForecasts() {
+        const forecasts = {};
+        this.metrics.forEach(metric => {
+            const forecast = this.getForecast(metric);
+            if (forecast) forecasts[metric] = forecast;
+        });
+        return forecasts;
+    }
+}
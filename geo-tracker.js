@@ -0,0 +1,155 @@
+// Geo Tracker - last GPS fix, breadcrumb trail and geofence state for the wearer
+//
+// A geofence is {id, name, points: [[lat, lng], ...], alertOn: 'exit' | 'entry', severity}.
+// 'exit' fences are safe zones the wearer should stay in, 'entry' fences are hazards to keep out of.
+// Their alerts stay active for as long as the wearer is on the wrong side, so the alert policy
+// can debounce, escalate and clear them like any other alert.
+class GeoTracker {
+    constructor(options = {}) {
+        this.maxTrail = options.maxTrail || 500;
+        this.minDistance = options.minDistance || 3; // metres between breadcrumbs
+        this.geofences = [];
+        this.reset();
+    }
+
+    reset() {
+        this.lastFix = null;
+        this.trail = [];
+        this.fenceStates = new Map();
+    }
+
+    setGeofences(geofences) {
+        this.geofences = (geofences || []).filter(fence => Array.isArray(fence.points) && fence.points.length >= 3);
+        this.fenceStates = new Map();
+    }
+
+    getGeofences() {
+        return this.geofences;
+    }
+
+    addGeofence(fence) {
+        const geofence = {
+            id: `fence-${Date.now().toString(36)}`,
+            alertOn: 'exit',
+            severity: 'high',
+            ...fence
+        };
+        this.geofences.push(geofence);
+        if (this.lastFix) this.locate(geofence, this.lastFix);
+        return geofence;
+    }
+
+    removeGeofence(id) {
+        this.geofences = this.geofences.filter(fence => fence.id !== id);
+        this.fenceStates.delete(id);
+    }
+
+    // Feeds one validated reading; returns the geofence alerts that currently apply
+    update(reading, now = Date.now()) {
+        if (this.hasFix(reading)) {
+            const fix = {
+                latitude: reading.latitude,
+                longitude: reading.longitude,
+                satellites: typeof reading.satellites === 'number' ? reading.satellites : null,
+                fixAt: now
+            };
+            this.lastFix = fix;
+
+            const last = this.trail[this.trail.length - 1];
+            if (!last || GeoTracker.distance(last, fix) >= this.minDistance) {
+                this.trail.push({ latitude: fix.latitude, longitude: fix.longitude, timestamp: now });
+                if (this.trail.length > this.maxTrail) this.trail.shift();
+            }
+
+            this.geofences.forEach(fence => this.locate(fence, fix));
+        }
+
+        // Without a fix the last known side of each fence still stands
+        return this.getAlerts();
+    }
+
+    locate(fence, fix) {
+        const inside = GeoTracker.contains(fence.points, fix.latitude, fix.longitude);
+        const state = this.fenceStates.get(fence.id);
+        if (!state || state.inside !== inside) {
+            this.fenceStates.set(fence.id, { inside: inside, changedAt: fix.fixAt });
+        }
+    }
+
+    hasFix(reading) {
+        return reading.gpsFixed === true &&
+            typeof reading.latitude === 'number' && typeof reading.longitude === 'number' &&
+            !(reading.latitude === 0 && reading.longitude === 0);
+    }
+
+    getAlerts() {
+        const alerts = [];
+        this.geofences.forEach(fence => {
+            const state = this.fenceStates.get(fence.id);
+            if (!state) return;
+
+            const time = new Date(state.changedAt).toLocaleTimeString();
+            if (fence.alertOn === 'exit' && !state.inside) {
+                alerts.push({
+                    type: `geofence_exit_${fence.id}`,
+                    title: `Left ${fence.name}`,
+                    description: `The wearer left the "${fence.name}" zone at ${time}.`,
+                    severity: fence.severity,
+                    immediateAction: false,
+                    icon: 'fas fa-sign-out-alt'
+                });
+            } else if (fence.alertOn === 'entry' && state.inside) {
+                alerts.push({
+                    type: `geofence_entry_${fence.id}`,
+                    title: `Entered ${fence.name}`,
+                    description: `The wearer entered the "${fence.name}" zone at ${time}.`,
+                    severity: fence.severity,
+                    immediateAction: false,
+                    icon: 'fas fa-sign-in-alt'
+                });
+            }
+        });
+        return alerts;
+    }
+
+    getLastFix() {
+        return this.lastFix ? { ...this.lastFix } : null;
+    }
+
+    getTrail() {
+        return this.trail;
+    }
+
+    clearTrail() {
+        this.trail = [];
+    }
+
+    isInside(id) {
+        const state = this.fenceStates.get(id);
+        return state ? state.inside : null;
+    }
+
+    // Ray casting; points are [lat, lng] and treated as planar, which is fine at geofence scale
+    static contains(points, latitude, longitude) {
+        let inside = false;
+        for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+            const [yi, xi] = points[i];
+            const [yj, xj] = points[j];
+            if ((yi > latitude) !== (yj > latitude) &&
+                longitude < (xj - xi) * (latitude - yi) / (yj - yi) + xi) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    // Haversine distance in metres between two {latitude, longitude} points
+    static distance(a, b) {
+        const radians = degrees => degrees * Math.PI / 180;
+        const dLat = radians(b.latitude - a.latitude);
+        const dLng = radians(b.longitude - a.longitude);
+        const h = Math.sin(dLat / 2) ** 2 +
+            Math.cos(radians(a.latitude)) * Math.cos(radians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+        return 2 * 6371000 * Math.asin(Math.sqrt(h));
+    }
+}
@@ -0,0 +1,378 @@
+// Location Map - draws the wearer's position, trail and geofences on a canvas without any network access
+//
+// Coordinates use the Web Mercator projection so optional map tiles bundled with the app
+// (e.g. "tiles/{z}/{x}/{y}.png") line up; without tiles a metric grid is drawn instead.
+class LocationMap {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.tileSize = 256;
+        this.minZoom = 3;
+        this.maxZoom = 19;
+        this.zoom = options.zoom || 17;
+        this.center = null; // {latitude, longitude}
+        this.follow = true;
+        this.tileUrl = options.tileUrl || '';
+        this.tiles = new Map();
+        this.data = { trail: [], fix: null, geofences: [], insideIds: new Set() };
+        this.draft = null; // points of a geofence being drawn
+        this.listeners = [];
+
+        this.bindEvents();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    bindEvents() {
+        let drag = null;
+
+        this.canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.setZoom(this.zoom + (event.deltaY < 0 ? 1 : -1));
+        });
+
+        this.canvas.addEventListener('mousedown', event => {
+            drag = { x: event.offsetX, y: event.offsetY, moved: false };
+        });
+
+        this.canvas.addEventListener('mousemove', event => {
+            if (!drag || !this.center) return;
+            const dx = event.offsetX - drag.x;
+            const dy = event.offsetY - drag.y;
+            if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+
+            // Panning by hand stops the view from following the wearer
+            drag.moved = true;
+            this.follow = false;
+            const world = this.project(this.center.latitude, this.center.longitude);
+            this.center = this.unproject(world.x - dx, world.y - dy);
+            drag.x = event.offsetX;
+            drag.y = event.offsetY;
+            this.draw();
+            this.notify();
+        });
+
+        this.canvas.addEventListener('mouseup', event => {
+            if (drag && !drag.moved && this.draft) {
+                const point = this.fromScreen(event.offsetX, event.offsetY);
+                if (point) {
+                    this.draft.push([point.latitude, point.longitude]);
+                    this.draw();
+                    this.notify();
+                }
+            }
+            drag = null;
+        });
+
+        this.canvas.addEventListener('mouseleave', () => {
+            drag = null;
+        });
+    }
+
+    setTileUrl(template) {
+        this.tileUrl = template || '';
+        this.tiles.clear();
+        this.draw();
+    }
+
+    setZoom(zoom) {
+        this.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom));
+        this.draw();
+    }
+
+    setFollow(follow) {
+        this.follow = follow;
+        if (follow && this.data.fix) {
+            this.center = { latitude: this.data.fix.latitude, longitude: this.data.fix.longitude };
+        }
+        this.draw();
+        this.notify();
+    }
+
+    // data: {trail, fix, geofences, insideIds}
+    render(data) {
+        this.data = { ...this.data, ...data };
+
+        if (this.data.fix && (this.follow || !this.center)) {
+            this.center = { latitude: this.data.fix.latitude, longitude: this.data.fix.longitude };
+        } else if (!this.center && this.data.geofences.length > 0) {
+            const [latitude, longitude] = this.data.geofences[0].points[0];
+            this.center = { latitude, longitude };
+        }
+
+        this.draw();
+    }
+
+    startDrawing() {
+        this.draft = [];
+        this.draw();
+    }
+
+    // Returns the drawn polygon, or null when it has fewer than three points
+    finishDrawing() {
+        const points = this.draft && this.draft.length >= 3 ? this.draft : null;
+        this.draft = null;
+        this.draw();
+        return points;
+    }
+
+    cancelDrawing() {
+        this.draft = null;
+        this.draw();
+    }
+
+    isDrawing() {
+        return this.draft !== null;
+    }
+
+    // World pixel coordinates at the current zoom
+    project(latitude, longitude) {
+        const scale = this.tileSize * Math.pow(2, this.zoom);
+        const sin = Math.sin(Math.max(-85, Math.min(85, latitude)) * Math.PI / 180);
+        return {
+            x: (longitude + 180) / 360 * scale,
+            y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+        };
+    }
+
+    unproject(x, y) {
+        const scale = this.tileSize * Math.pow(2, this.zoom);
+        const n = Math.PI - 2 * Math.PI * y / scale;
+        return {
+            latitude: 180 / Math.PI * Math.atan(Math.sinh(n)),
+            longitude: x / scale * 360 - 180
+        };
+    }
+
+    toScreen(latitude, longitude) {
+        const origin = this.project(this.center.latitude, this.center.longitude);
+        const point = this.project(latitude, longitude);
+        return { x: point.x - origin.x + this.width / 2, y: point.y - origin.y + this.height / 2 };
+    }
+
+    fromScreen(x, y) {
+        if (!this.center) return null;
+        const origin = this.project(this.center.latitude, this.center.longitude);
+        return this.unproject(origin.x + x - this.width / 2, origin.y + y - this.height / 2);
+    }
+
+    metresPerPixel() {
+        return 156543.03392 * Math.cos(this.center.latitude * Math.PI / 180) / Math.pow(2, this.zoom);
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        this.width = this.canvas.clientWidth || 600;
+        this.height = this.canvas.clientHeight || 400;
+        if (this.canvas.width !== this.width * ratio || this.canvas.height !== this.height * ratio) {
+            this.canvas.width = this.width * ratio;
+            this.canvas.height = this.height * ratio;
+        }
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    }
+
+    draw() {
+        if (!this.ctx) return;
+        this.resize();
+
+        const ctx = this.ctx;
+        ctx.fillStyle = '#16213E';
+        ctx.fillRect(0, 0, this.width, this.height);
+
+        if (!this.center) {
+            this.drawMessage('Waiting for a GPS fix...');
+            return;
+        }
+
+        if (this.tileUrl) this.drawTiles();
+        this.drawGrid();
+        this.data.geofences.forEach(fence => this.drawGeofence(fence));
+        if (this.draft) this.drawDraft();
+        this.drawTrail();
+        if (this.data.fix) this.drawPosition(this.data.fix);
+        this.drawScale();
+
+        if (!this.data.fix) this.drawMessage('No GPS fix yet');
+    }
+
+    drawTiles() {
+        const ctx = this.ctx;
+        const origin = this.project(this.center.latitude, this.center.longitude);
+        const left = origin.x - this.width / 2;
+        const top = origin.y - this.height / 2;
+        const count = Math.pow(2, this.zoom);
+
+        for (let tx = Math.floor(left / this.tileSize); tx * this.tileSize < left + this.width; tx++) {
+            for (let ty = Math.floor(top / this.tileSize); ty * this.tileSize < top + this.height; ty++) {
+                if (ty < 0 || ty >= count) continue;
+                const x = ((tx % count) + count) % count;
+                const image = this.getTile(this.zoom, x, ty);
+                if (image && image.complete && image.naturalWidth > 0) {
+                    ctx.drawImage(image, tx * this.tileSize - left, ty * this.tileSize - top, this.tileSize, this.tileSize);
+                }
+            }
+        }
+    }
+
+    // Tiles load once and redraw the map when they arrive; missing tiles are simply left blank
+    getTile(z, x, y) {
+        const url = this.tileUrl.replace('{z}', z).replace('{x}', x).replace('{y}', y);
+        if (!this.tiles.has(url)) {
+            const image = new Image();
+            image.onload = () => this.draw();
+            image.src = url;
+            this.tiles.set(url, image);
+        }
+        return this.tiles.get(url);
+    }
+
+    drawGrid() {
+        const ctx = this.ctx;
+        const metresPerPixel = this.metresPerPixel();
+        const spacing = this.niceDistance(metresPerPixel * 100);
+        const step = spacing / metresPerPixel;
+
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.06)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let x = (this.width / 2) % step; x < this.width; x += step) {
+            ctx.moveTo(x, 0);
+            ctx.lineTo(x, this.height);
+        }
+        for (let y = (this.height / 2) % step; y < this.height; y += step) {
+            ctx.moveTo(0, y);
+            ctx.lineTo(this.width, y);
+        }
+        ctx.stroke();
+    }
+
+    drawGeofence(fence) {
+        const ctx = this.ctx;
+        const safeZone = fence.alertOn === 'exit';
+        const violated = safeZone ? !this.data.insideIds.has(fence.id) : this.data.insideIds.has(fence.id);
+        const color = safeZone ? '0, 200, 83' : '255, 71, 87';
+
+        ctx.beginPath();
+        fence.points.forEach(([latitude, longitude], index) => {
+            const point = this.toScreen(latitude, longitude);
+            if (index === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        });
+        ctx.closePath();
+        ctx.fillStyle = `rgba(${color}, ${violated && this.data.fix ? 0.25 : 0.1})`;
+        ctx.fill();
+        ctx.strokeStyle = `rgba(${color}, 0.8)`;
+        ctx.lineWidth = 2;
+        ctx.setLineDash(safeZone ? [] : [6, 4]);
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        const label = this.toScreen(fence.points[0][0], fence.points[0][1]);
+        ctx.fillStyle = `rgba(${color}, 1)`;
+        ctx.font = '12px sans-serif';
+        ctx.fillText(fence.name, label.x + 4, label.y - 4);
+    }
+
+    drawDraft() {
+        const ctx = this.ctx;
+        ctx.strokeStyle = '#FFA726';
+        ctx.fillStyle = '#FFA726';
+        ctx.lineWidth = 2;
+        ctx.setLineDash([4, 4]);
+        ctx.beginPath();
+        this.draft.forEach(([latitude, longitude], index) => {
+            const point = this.toScreen(latitude, longitude);
+            if (index === 0) ctx.moveTo(point.x, point.y);
+            else ctx.lineTo(point.x, point.y);
+        });
+        if (this.draft.length >= 3) ctx.closePath();
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        this.draft.forEach(([latitude, longitude]) => {
+            const point = this.toScreen(latitude, longitude);
+            ctx.beginPath();
+            ctx.arc(point.x, point.y, 4, 0, Math.PI * 2);
+            ctx.fill();
+        });
+    }
+
+    // Older breadcrumbs fade out
+    drawTrail() {
+        const ctx = this.ctx;
+        const trail = this.data.trail;
+        ctx.lineWidth = 3;
+        ctx.lineCap = 'round';
+        for (let i = 1; i < trail.length; i++) {
+            const from = this.toScreen(trail[i - 1].latitude, trail[i - 1].longitude);
+            const to = this.toScreen(trail[i].latitude, trail[i].longitude);
+            ctx.strokeStyle = `rgba(0, 180, 216, ${0.15 + 0.85 * i / trail.length})`;
+            ctx.beginPath();
+            ctx.moveTo(from.x, from.y);
+            ctx.lineTo(to.x, to.y);
+            ctx.stroke();
+        }
+    }
+
+    drawPosition(fix) {
+        const ctx = this.ctx;
+        const point = this.toScreen(fix.latitude, fix.longitude);
+
+        ctx.fillStyle = 'rgba(0, 180, 216, 0.25)';
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 14, 0, Math.PI * 2);
+        ctx.fill();
+
+        ctx.fillStyle = '#00B4D8';
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    drawScale() {
+        const ctx = this.ctx;
+        const metresPerPixel = this.metresPerPixel();
+        const distance = this.niceDistance(metresPerPixel * 120);
+        const length = distance / metresPerPixel;
+        const x = 12;
+        const y = this.height - 14;
+
+        ctx.strokeStyle = '#B0B0B0';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.moveTo(x, y - 5);
+        ctx.lineTo(x, y);
+        ctx.lineTo(x + length, y);
+        ctx.lineTo(x + length, y - 5);
+        ctx.stroke();
+
+        ctx.fillStyle = '#B0B0B0';
+        ctx.font = '11px sans-serif';
+        ctx.fillText(distance >= 1000 ? `${distance / 1000} km` : `${distance} m`, x + 4, y - 6);
+    }
+
+    drawMessage(text) {
+        const ctx = this.ctx;
+        ctx.fillStyle = '#B0B0B0';
+        ctx.font = '14px sans-serif';
+        ctx.textAlign = 'center';
+        ctx.fillText(text, this.width / 2, this.height / 2);
+        ctx.textAlign = 'start';
+    }
+
+    // Largest 1/2/5 x 10^n distance not above the given one
+    niceDistance(metres) {
+        const magnitude = Math.pow(10, Math.floor(Math.log10(metres)));
+        const leading = metres / magnitude;
+        return (leading >= 5 ? 5 : leading >= 2 ? 2 : 1) * magnitude;
+    }
+}
@@ -0,0 +1,83 @@
+// Message Router for frames received from the device
+class MessageRouter {
+    constructor() {
+        this.handlers = new Map();
+        this.unknownHandler = null;
+
+        // Any of these fields marks a frame as a sensor reading
+        this.telemetryFields = [
+            'heartRate', 'temperature', 'gasLevel', 'posture', 'fallDetected', 'flameDetected',
+            'rrIntervals', 'beatTimestamps'
+        ];
+
+        // Their renamed and abbreviated forms mark a reading as well
+        Object.entries(TELEMETRY_SCHEMA.renamed).forEach(([legacy, current]) => {
+            if (this.telemetryFields.includes(current)) this.telemetryFields.push(legacy);
+        });
+        this.frameTypes = ['telemetry', 'handshake', 'ack', 'alert', 'pong'];
+    }
+
+    on(type, handler) {
+        this.handlers.set(type, handler);
+        return this;
+    }
+
+    onUnknown(handler) {
+        this.unknownHandler = handler;
+        return this;
+    }
+
+    classify(frame) {
+        if (!frame || typeof frame !== 'object' || Array.isArray(frame)) return 'unknown';
+
+        // An explicit type always wins over the shape of the frame
+        if (typeof frame.type === 'string') {
+            return this.frameTypes.includes(frame.type) ? frame.type : 'unknown';
+        }
+
+        if (this.telemetryFields.some(field => field in frame)) return 'telemetry';
+        if (typeof frame.action === 'string') return 'ack';
+        if (typeof frame.alert === 'string') return 'alert';
+        if (typeof frame.status === 'string') return 'handshake';
+
+        return 'unknown';
+    }
+
+    dispatch(rawData) {
+        let frame;
+        try {
+            frame = JSON.parse(rawData);
+        } catch (error) {
+            this.reportUnknown(rawData, 'Invalid JSON: ' + error.message);
+            return 'unknown';
+        }
+
+        const type = this.classify(frame);
+        const handler = this.handlers.get(type);
+
+        if (!handler) {
+            this.reportUnknown(rawData, type === 'unknown' ? 'Unrecognised frame' : `No handler for "${type}" frames`);
+            return 'unknown';
+        }
+
+        try {
+            // A handler may return false to say it could not make sense of the frame
+            if (handler(frame) === false) {
+                this.reportUnknown(rawData, `Unhandled ${type} frame`);
+            }
+        } catch (error) {
+            console.error(`Error handling ${type} frame:`, error);
+            this.reportUnknown(rawData, `Error in ${type} handler: ${error.message}`);
+        }
+
+        return type;
+    }
+
+    reportUnknown(rawData, reason) {
+        if (this.unknownHandler) {
+            this.unknownHandler(rawData, reason);
+        } else {
+            console.warn('Unroutable frame:', reason, rawData);
+        }
+    }
+}
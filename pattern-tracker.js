@@ -0,0 +1,122 @@
+// Pattern Tracker - per-pattern state machines with onset/offset hysteresis and episode history
+//
+// inactive --(condition holds)--> onset --(held for rule.onset s)--> active
+// active --(condition drops)--> offset --(absent for rule.offset s)--> inactive, closing the episode
+// A condition that comes back during offset resumes the same episode.
+class PatternTracker {
+    constructor(options = {}) {
+        this.maxEpisodes = options.maxEpisodes || 20;
+        this.states = new Map();
+    }
+
+    getState(name) {
+        if (!this.states.has(name)) {
+            this.states.set(name, {
+                name: name,
+                state: 'inactive',
+                conditionSince: null,
+                clearSince: null,
+                startedAt: null,
+                episodes: []
+            });
+        }
+        return this.states.get(name);
+    }
+
+    // rules: the pattern rules of the rule set; matched: patterns whose condition holds in this frame
+    update(rules, matched, now = Date.now()) {
+        const matchedNames = new Set(matched.map(pattern => pattern.name));
+
+        rules.forEach(rule => {
+            const tracked = this.getState(rule.id);
+            const onset = (rule.onset || 0) * 1000;
+            const offset = (rule.offset || 0) * 1000;
+            const holds = matchedNames.has(rule.id);
+
+            if (tracked.state === 'inactive' && holds) {
+                tracked.state = 'onset';
+                tracked.conditionSince = now;
+            }
+
+            if (tracked.state === 'onset') {
+                if (!holds) {
+                    tracked.state = 'inactive';
+                    tracked.conditionSince = null;
+                } else if (now - tracked.conditionSince >= onset) {
+                    // The episode started when the condition first held, not when it was confirmed
+                    tracked.state = 'active';
+                    tracked.startedAt = tracked.conditionSince;
+                }
+            } else if (tracked.state === 'active' && !holds) {
+                tracked.state = 'offset';
+                tracked.clearSince = now;
+            } else if (tracked.state === 'offset' && holds) {
+                tracked.state = 'active';
+                tracked.clearSince = null;
+            }
+
+            if (tracked.state === 'offset' && now - tracked.clearSince >= offset) {
+                this.closeEpisode(tracked);
+            }
+        });
+
+        // Patterns removed from the rule set stop being tracked
+        const ids = new Set(rules.map(rule => rule.id));
+        [...this.states.keys()].forEach(name => {
+            if (!ids.has(name)) this.states.delete(name);
+        });
+
+        return this.getSummary(now);
+    }
+
+    closeEpisode(tracked) {
+        tracked.episodes.push({
+            start: tracked.startedAt,
+            end: tracked.clearSince,
+            duration: tracked.clearSince - tracked.startedAt
+        });
+        if (tracked.episodes.length > this.maxEpisodes) {
+            tracked.episodes.shift();
+        }
+
+        tracked.state = 'inactive';
+        tracked.conditionSince = null;
+        tracked.clearSince = null;
+        tracked.startedAt = null;
+    }
+
+    isActive(tracked) {
+        return tracked.state === 'active' || tracked.state === 'offset';
+    }
+
+    // Per-pattern view for rule conditions and templates, e.g. patterns.poor_posture_pattern.minutes
+    getSummary(now = Date.now()) {
+        const summary = {};
+        this.states.forEach((tracked, name) => {
+            const active = this.isActive(tracked);
+            const duration = active ? now - tracked.startedAt : 0;
+            summary[name] = {
+                active: active,
+                state: tracked.state,
+                startedAt: tracked.startedAt,
+                duration: duration,
+                minutes: Math.floor(duration / 60000),
+                episodes: tracked.episodes.length
+            };
+        });
+        return summary;
+    }
+
+    // Closed episodes of every pattern, newest first
+    getEpisodes() {
+        const episodes = [];
+        this.states.forEach((tracked, name) => {
+            tracked.episodes.forEach(episode => episodes.push({ name: name, ...episode }));
+        });
+        return episodes.sort((a, b) => b.end - a.end);
+    }
+
+    reset() {
+        this.states.clear();
+    }
+}
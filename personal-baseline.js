@@ -0,0 +1,214 @@
+// Personal Baseline - learns a wearer's resting ranges and adapts them slowly
+class PersonalBaseline {
+    constructor(options = {}) {
+        // null keeps the baseline in memory only, for sandboxes that must not outlive the session
+        this.storageKey = options.storageKey !== undefined ? options.storageKey : 'aegisShieldBaseline';
+
+        // Clinical limits: personal ranges are never allowed past them and readings beyond them always score
+        // the highest risk. The low heart-rate limit sits under a trained athlete's resting rate.
+        this.safetyLimits = {
+            heartRate: { min: 40, max: 120 },
+            temperature: { min: 35.0, max: 38.0 }
+        };
+
+        // Readings a body can produce at all; only these are learned from. Wider than the clinical limits, so
+        // a wearer who rests outside the population range can still be calibrated.
+        this.plausibleRange = {
+            heartRate: { min: 30, max: 200 },
+            temperature: { min: 34.0, max: 42.0 }
+        };
+
+        // Smallest standard deviation we accept, so a very steady calibration does not give a razor-thin range
+        this.minDeviation = {
+            heartRate: 4,
+            temperature: 0.2
+        };
+
+        this.adaptationRate = 0.002;
+        this.outlierThreshold = 3;
+        this.minCalibrationSamples = 30;
+
+        this.stats = {};
+        this.calibration = null;
+        this.samplesSinceSave = 0;
+
+        // {calibrated: [metric], rejected: [metric]} of the last calibration to finish
+        this.lastCalibration = null;
+
+        this.load();
+    }
+
+    isCalibrated() {
+        return Object.keys(this.stats).length > 0;
+    }
+
+    isCalibrating() {
+        return this.calibration !== null;
+    }
+
+    startCalibration(duration = 10 * 60 * 1000, now = Date.now()) {
+        this.calibration = {
+            startedAt: now,
+            endsAt: now + duration,
+            samples: {}
+        };
+    }
+
+    cancelCalibration() {
+        this.calibration = null;
+    }
+
+    getCalibrationProgress(now = Date.now()) {
+        if (!this.calibration) return null;
+
+        const { startedAt, endsAt, samples } = this.calibration;
+        return {
+            progress: Math.min(1, (now - startedAt) / (endsAt - startedAt)),
+            remaining: Math.max(0, endsAt - now),
+            samples: Object.fromEntries(Object.keys(this.safetyLimits).map(metric => [metric, (samples[metric] || []).length]))
+        };
+    }
+
+    // Returns 'calibrated' when a calibration finished with this sample, 'partial' when only some sensors had
+    // enough plausible readings and 'failed' when none did; lastCalibration says which
+    addSample(sensorData, now = Date.now()) {
+        if (this.calibration) {
+            Object.keys(this.safetyLimits).forEach(metric => {
+                const value = sensorData[metric];
+                if (this.isPlausible(metric, value)) {
+                    (this.calibration.samples[metric] = this.calibration.samples[metric] || []).push(value);
+                }
+            });
+
+            if (now >= this.calibration.endsAt) {
+                const { calibrated, rejected } = this.finishCalibration(now);
+                return rejected.length === 0 ? 'calibrated' : calibrated.length > 0 ? 'partial' : 'failed';
+            }
+            return null;
+        }
+
+        if (this.isCalibrated()) {
+            this.adapt(sensorData);
+        }
+        return null;
+    }
+
+    // Each sensor is calibrated on its own; one without enough plausible readings (e.g. a temperature probe
+    // reading the room) keeps its previous range and does not hold the others back
+    finishCalibration(now = Date.now()) {
+        const samples = this.calibration.samples;
+        this.calibration = null;
+
+        const metrics = Object.keys(this.safetyLimits);
+        const calibrated = metrics.filter(metric => (samples[metric] || []).length >= this.minCalibrationSamples);
+        const rejected = metrics.filter(metric => !calibrated.includes(metric));
+        this.lastCalibration = { calibrated, rejected };
+        if (calibrated.length === 0) {
+            return this.lastCalibration;
+        }
+
+        calibrated.forEach(metric => {
+            const values = samples[metric];
+
+            // Median and MAD are not thrown off by the outliers we are trying to remove
+            const median = this.median(values);
+            const mad = this.median(values.map(v => Math.abs(v - median))) * 1.4826;
+            const spread = Math.max(mad, this.minDeviation[metric]);
+            const inliers = values.filter(v => Math.abs(v - median) / spread <= this.outlierThreshold);
+
+            const mean = inliers.reduce((sum, v) => sum + v, 0) / inliers.length;
+            const variance = inliers.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / inliers.length;
+
+            this.stats[metric] = {
+                mean: mean,
+                variance: variance,
+                samples: inliers.length,
+                calibratedAt: now
+            };
+        });
+
+        this.save();
+        return this.lastCalibration;
+    }
+
+    // Exponentially weighted update; readings far from the baseline are treated as events, not drift
+    adapt(sensorData) {
+        Object.entries(this.stats).forEach(([metric, stats]) => {
+            const value = sensorData[metric];
+            if (!this.isPlausible(metric, value)) return;
+
+            const deviation = this.getDeviation(metric);
+            if (Math.abs(value - stats.mean) / deviation > this.outlierThreshold) return;
+
+            const difference = value - stats.mean;
+            stats.mean += this.adaptationRate * difference;
+            stats.variance = (1 - this.adaptationRate) * (stats.variance + this.adaptationRate * difference * difference);
+            stats.samples++;
+        });
+
+        if (++this.samplesSinceSave >= 30) {
+            this.save();
+        }
+    }
+
+    getDeviation(metric) {
+        return Math.max(Math.sqrt(this.stats[metric].variance), this.minDeviation[metric]);
+    }
+
+    // Personal range (mean ± 2 SD) clamped to the safety limits, or the population range when not learned
+    getRange(metric, population) {
+        const stats = this.stats[metric];
+        if (!stats) {
+            return { ...population, personal: false };
+        }
+
+        const limits = this.safetyLimits[metric];
+        const deviation = this.getDeviation(metric);
+        return {
+            min: Math.max(limits.min, stats.mean - 2 * deviation),
+            max: Math.min(limits.max, stats.mean + 2 * deviation),
+            optimal: Math.min(limits.max, Math.max(limits.min, stats.mean)),
+            personal: true
+        };
+    }
+
+    isPlausible(metric, value) {
+        const limits = this.plausibleRange[metric];
+        return typeof value === 'number' && isFinite(value) && value >= limits.min && value <= limits.max;
+    }
+
+    median(values) {
+        const sorted = [...values].sort((a, b) => a - b);
+        const middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+
+    reset() {
+        this.stats = {};
+        this.calibration = null;
+        if (this.storageKey !== null) {
+            localStorage.removeItem(this.storageKey);
+        }
+    }
+
+    save() {
+        this.samplesSinceSave = 0;
+        if (this.storageKey === null) return;
+        try {
+            localStorage.setItem(this.storageKey, JSON.stringify(this.stats));
+        } catch (error) {
+            console.error('Error saving personal baseline:', error);
+        }
+    }
+
+    load() {
+        if (this.storageKey === null) return;
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            this.stats = saved ? JSON.parse(saved) : {};
+        } catch (error) {
+            console.error('Error loading personal baseline:', error);
+            this.stats = {};
+        }
+    }
+}
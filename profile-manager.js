@@ -0,0 +1,203 @@
+// Profile Manager - wearer profiles with their own settings, devices, AI state and alert log
+class ProfileManager {
+    constructor() {
+        this.storageKey = 'aegisShieldProfiles';
+        this.defaultSettings = {
+            updateInterval: '2000',
+            alertThreshold: 'medium',
+            soundAlerts: true,
+            autoReconnect: true,
+            trendWindow: '30'
+        };
+
+        this.profiles = [];
+        this.activeProfileId = null;
+        this.engines = new Map();
+        this.listeners = [];
+
+        this.load();
+    }
+
+    load() {
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(this.storageKey));
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+        }
+
+        if (saved && Array.isArray(saved.profiles) && saved.profiles.length > 0) {
+            this.profiles = saved.profiles;
+            this.activeProfileId = saved.activeProfileId;
+        } else {
+            this.profiles = [this.createDefaultProfile()];
+            this.activeProfileId = this.profiles[0].id;
+            this.save();
+        }
+
+        if (!this.getProfile(this.activeProfileId)) {
+            this.activeProfileId = this.profiles[0].id;
+        }
+    }
+
+    // The first profile inherits the single-wearer settings and keeps the original storage names
+    createDefaultProfile() {
+        let legacy = {};
+        try {
+            legacy = JSON.parse(localStorage.getItem('aegisShieldSettings')) || {};
+        } catch (error) {
+            legacy = {};
+        }
+
+        const { serverIP, ...settings } = legacy;
+        return {
+            id: 'default',
+            name: 'Default Wearer',
+            age: null,
+            medicalNotes: '',
+            emergencyContacts: [],
+            devices: [serverIP || 'ws://192.168.1.100:81'],
+            settings: { ...this.defaultSettings, ...settings }
+        };
+    }
+
+    save() {
+        localStorage.setItem(this.storageKey, JSON.stringify({
+            activeProfileId: this.activeProfileId,
+            profiles: this.profiles
+        }));
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    getProfile(id) {
+        return this.profiles.find(profile => profile.id === id) || null;
+    }
+
+    getActiveProfile() {
+        return this.getProfile(this.activeProfileId);
+    }
+
+    setActiveProfile(id) {
+        if (!this.getProfile(id) || id === this.activeProfileId) return false;
+
+        this.activeProfileId = id;
+        this.save();
+        this.listeners.forEach(listener => listener(this.getActiveProfile()));
+        return true;
+    }
+
+    createProfile(details = {}) {
+        const profile = {
+            id: `profile-${Date.now().toString(36)}`,
+            name: details.name || `Wearer ${this.profiles.length + 1}`,
+            age: details.age || null,
+            medicalNotes: details.medicalNotes || '',
+            emergencyContacts: details.emergencyContacts || [],
+            devices: details.devices || [],
+            settings: { ...this.defaultSettings, ...details.settings }
+        };
+
+        this.profiles.push(profile);
+        this.save();
+        return profile;
+    }
+
+    updateProfile(id, changes) {
+        const profile = this.getProfile(id);
+        if (!profile) return null;
+
+        Object.assign(profile, changes);
+        this.save();
+        return profile;
+    }
+
+    updateSettings(id, settings) {
+        const profile = this.getProfile(id);
+        if (!profile) return null;
+
+        profile.settings = { ...profile.settings, ...settings };
+        this.save();
+        return profile.settings;
+    }
+
+    addDevice(id, endpoint) {
+        const profile = this.getProfile(id);
+        if (!profile || !endpoint || profile.devices.includes(endpoint)) return;
+
+        profile.devices.push(endpoint);
+        this.save();
+    }
+
+    deleteProfile(id) {
+        if (this.profiles.length <= 1) {
+            throw new Error('At least one profile is required');
+        }
+
+        this.profiles = this.profiles.filter(profile => profile.id !== id);
+        this.engines.delete(id);
+        localStorage.removeItem(this.getStorageName('aegisShieldBaseline', id));
+        localStorage.removeItem(this.getStorageName('aegisShieldAlertLog', id));
+        indexedDB.deleteDatabase(this.getStorageName('aegisShieldTelemetry', id));
+        indexedDB.deleteDatabase(this.getStorageName('aegisShieldSessions', id));
+
+        if (this.activeProfileId === id) {
+            this.setActiveProfile(this.profiles[0].id);
+        } else {
+            this.save();
+        }
+    }
+
+    // Per-profile names for localStorage keys and databases; the default profile keeps the original name
+    getStorageName(base, id = this.activeProfileId) {
+        return id === 'default' ? base : `${base}_${id}`;
+    }
+
+    // Each wearer gets their own engine so baselines and history never mix
+    getEngine(id = this.activeProfileId) {
+        if (!this.engines.has(id)) {
+            this.engines.set(id, new AIEngine({
+                baselineKey: this.getStorageName('aegisShieldBaseline', id)
+            }));
+        }
+        return this.engines.get(id);
+    }
+
+    createTelemetryStore(id = this.activeProfileId) {
+        return new TelemetryStore({
+            dbName: this.getStorageName('aegisShieldTelemetry', id)
+        });
+    }
+
+    createSessionStore(id = this.activeProfileId) {
+        return new SessionStore({
+            dbName: this.getStorageName('aegisShieldSessions', id)
+        });
+    }
+
+    getAlertLog(id = this.activeProfileId) {
+        try {
+            return JSON.parse(localStorage.getItem(this.getStorageName('aegisShieldAlertLog', id))) || [];
+        } catch (error) {
+            console.error('Error loading alert log:', error);
+            return [];
+        }
+    }
+
+    addAlertLogEntry(entry, id = this.activeProfileId) {
+        // Keep only last 500 entries, newest first
+        const log = [entry, ...this.getAlertLog(id)].slice(0, 500);
+        localStorage.setItem(this.getStorageName('aegisShieldAlertLog', id), JSON.stringify(log));
+    }
+
+    updateAlertLogEntry(entryId, changes, id = this.activeProfileId) {
+        const log = this.getAlertLog(id);
+        const entry = log.find(existing => existing.id === entryId);
+        if (!entry) return;
+
+        Object.assign(entry, changes);
+        localStorage.setItem(this.getStorageName('aegisShieldAlertLog', id), JSON.stringify(log));
+    }
+}
@@ -0,0 +1,570 @@
+// Realtime Chart - several vitals at once over real time, each on its own auto-scaled axis, with the
+// baseline range shaded behind each line and alerts marked at the moment they were raised
+//
+// The view follows the latest reading until it is zoomed or panned by hand. Spans older than the readings
+// the dashboard keeps in memory are read from the stored history through options.loadHistory.
+class RealtimeChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.metrics = options.metrics || {
+            heartRate: { label: 'Heart Rate', unit: 'BPM', color: '#FF4757', digits: 0, minSpread: 10 },
+            temperature: { label: 'Temperature', unit: '°C', color: '#FFA726', digits: 1, minSpread: 1 },
+            gasLevel: { label: 'Gas Level', unit: 'PPM', color: '#00B4D8', digits: 0, minSpread: 100 }
+        };
+        this.order = Object.keys(this.metrics);
+        this.visible = new Set(options.visible || [this.order[0]]);
+
+        // loadHistory(metric, from, to) resolves to [{timestamp, value}] or rollups [{timestamp, avg}]
+        this.loadHistory = options.loadHistory || (() => Promise.resolve([]));
+
+        this.minSpan = 30 * 1000;
+        this.maxSpan = 7 * 24 * 60 * 60 * 1000;
+        this.span = options.span || 3 * 60 * 1000;
+        // Share of the span kept ahead of the latest reading while following, for the forecast
+        this.lead = 0.2;
+        this.follow = true;
+        this.end = null; // right edge of the view once it stops following
+
+        this.live = []; // [{timestamp (ms), [metric]: value, anomalies: [metric]}], oldest first
+        this.history = null; // {from, to, series: {metric: [{x, y}]}}
+        this.historyTimer = null;
+        this.historyRequest = 0;
+        this.forecast = {};
+        this.horizons = [];
+        this.bands = {};
+        this.annotations = []; // [{timestamp, label, color}]
+        this.listeners = [];
+
+        this.chart = new Chart(canvas.getContext('2d'), this.buildConfig());
+        this.bindEvents();
+    }
+
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    notify() {
+        this.listeners.forEach(listener => listener());
+    }
+
+    // Per metric: its line, anomaly markers, and the forecast with its upper and lower bounds
+    buildConfig() {
+        const datasets = [];
+        const scales = {
+            x: {
+                type: 'linear',
+                grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                ticks: {
+                    color: '#B0B0B0',
+                    maxTicksLimit: 6,
+                    callback: value => this.formatTime(value)
+                }
+            }
+        };
+
+        this.order.forEach((metric, i) => {
+            const spec = this.metrics[metric];
+            const faded = RealtimeChart.withAlpha(spec.color, 0.4);
+            const common = { metric: metric, yAxisID: metric, data: [], hidden: true };
+
+            datasets.push({
+                ...common,
+                role: 'value',
+                label: `${spec.label} (${spec.unit})`,
+                borderColor: spec.color,
+                backgroundColor: RealtimeChart.withAlpha(spec.color, 0.1),
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false,
+                tension: 0.3
+            }, {
+                ...common,
+                role: 'anomaly',
+                label: `${spec.label} anomaly`,
+                showLine: false,
+                pointStyle: 'triangle',
+                pointRadius: 7,
+                pointBackgroundColor: '#FF4757',
+                pointBorderColor: '#FF4757'
+            }, {
+                ...common,
+                role: 'forecast',
+                label: `${spec.label} forecast`,
+                borderColor: spec.color,
+                borderDash: [6, 4],
+                borderWidth: 2,
+                pointRadius: 0,
+                fill: false
+            }, {
+                ...common,
+                role: 'upper',
+                label: `${spec.label} forecast upper`,
+                borderColor: faded,
+                borderDash: [3, 3],
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: false
+            }, {
+                ...common,
+                role: 'lower',
+                label: `${spec.label} forecast lower`,
+                borderColor: faded,
+                backgroundColor: RealtimeChart.withAlpha(spec.color, 0.12),
+                borderDash: [3, 3],
+                borderWidth: 1,
+                pointRadius: 0,
+                fill: '-1'
+            });
+
+            scales[metric] = {
+                type: 'linear',
+                display: false,
+                position: i % 2 === 0 ? 'left' : 'right',
+                title: { display: true, text: `${spec.label} (${spec.unit})`, color: spec.color },
+                ticks: { color: spec.color },
+                // Only the first visible axis draws grid lines, so the others do not criss-cross it
+                grid: { color: 'rgba(255, 255, 255, 0.1)', drawOnChartArea: false }
+            };
+        });
+
+        return {
+            type: 'line',
+            data: { datasets: datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                spanGaps: false,
+                interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                plugins: {
+                    legend: { display: false },
+                    tooltip: {
+                        filter: item => item.dataset.role === 'value',
+                        callbacks: {
+                            title: items => items.length > 0 ? new Date(items[0].parsed.x).toLocaleString() : '',
+                            label: item => {
+                                const spec = this.metrics[item.dataset.metric];
+                                return `${spec.label}: ${item.parsed.y.toFixed(spec.digits)} ${spec.unit}`;
+                            }
+                        }
+                    }
+                },
+                scales: scales
+            },
+            plugins: [{
+                id: 'baselineBands',
+                beforeDatasetsDraw: chart => this.drawBands(chart)
+            }, {
+                id: 'alertAnnotations',
+                afterDatasetsDraw: chart => this.drawAnnotations(chart)
+            }]
+        };
+    }
+
+    bindEvents() {
+        let drag = null;
+
+        // Zooming keeps following the latest reading; otherwise it zooms around the pointer
+        this.canvas.addEventListener('wheel', event => {
+            event.preventDefault();
+            this.zoom(event.deltaY < 0 ? 0.8 : 1.25, this.follow ? null : this.timeAt(event.offsetX));
+        });
+
+        this.canvas.addEventListener('mousedown', event => {
+            drag = { x: event.offsetX, moved: false };
+        });
+
+        this.canvas.addEventListener('mousemove', event => {
+            if (!drag) {
+                this.canvas.title = this.getAnnotationAt(event.offsetX);
+                return;
+            }
+
+            const area = this.chart.chartArea;
+            const dx = event.offsetX - drag.x;
+            if (!area || (!drag.moved && Math.abs(dx) < 4)) return;
+
+            drag.moved = true;
+            drag.x = event.offsetX;
+            this.pan(-dx / (area.right - area.left) * this.span);
+        });
+
+        ['mouseup', 'mouseleave'].forEach(type => {
+            this.canvas.addEventListener(type, () => {
+                drag = null;
+            });
+        });
+    }
+
+    setVisible(metric, visible) {
+        if (visible) {
+            this.visible.add(metric);
+        } else if (this.visible.size > 1) {
+            this.visible.delete(metric);
+        }
+        this.render();
+        this.notify();
+    }
+
+    isVisible(metric) {
+        return this.visible.has(metric);
+    }
+
+    // The readings kept in memory, oldest first; their timestamps may be Dates or milliseconds
+    setLive(readings) {
+        this.live = readings.map(reading => ({ ...reading, timestamp: new Date(reading.timestamp).getTime() }));
+    }
+
+    // forecast: {metric: {h5: {value, upper, lower}, ...}} for the given horizons in minutes
+    setForecast(forecast, horizons) {
+        this.forecast = forecast || {};
+        this.horizons = horizons || [];
+    }
+
+    // bands: {metric: {min, max}}, the range the wearer's readings are judged against
+    setBands(bands) {
+        this.bands = bands || {};
+    }
+
+    setAnnotations(annotations) {
+        this.annotations = annotations || [];
+    }
+
+    // Stored history no longer applies, e.g. after switching wearer
+    clearHistory() {
+        clearTimeout(this.historyTimer);
+        this.historyRequest++;
+        this.history = null;
+    }
+
+    zoom(factor, center = null) {
+        const span = Math.min(this.maxSpan, Math.max(this.minSpan, this.span * factor));
+        if (center !== null && !this.follow) {
+            // The time under the pointer stays where it is
+            const { min, max } = this.getRange();
+            const share = (center - min) / (max - min);
+            this.end = center + (1 - share) * span;
+        }
+        this.span = span;
+        this.clampEnd();
+        this.render();
+        this.notify();
+    }
+
+    pan(ms) {
+        if (this.follow) {
+            this.end = this.getRange().max;
+            this.follow = false;
+        }
+        this.end += ms;
+        this.clampEnd();
+        this.render();
+        this.notify();
+    }
+
+    setFollow(follow) {
+        this.follow = follow;
+        if (!follow) {
+            this.end = this.getRange().max;
+        }
+        this.render();
+        this.notify();
+    }
+
+    // Panning back up to the present resumes following
+    clampEnd() {
+        if (this.follow) return;
+        const latest = this.getLatest();
+        if (this.end >= latest + this.span * this.lead) {
+            this.follow = true;
+            this.end = null;
+        }
+    }
+
+    getLatest() {
+        return this.live.length > 0 ? this.live[this.live.length - 1].timestamp : Date.now();
+    }
+
+    getRange() {
+        const max = this.follow ? this.getLatest() + this.span * this.lead : this.end;
+        return { min: max - this.span, max: max };
+    }
+
+    timeAt(x) {
+        const area = this.chart.chartArea;
+        const { min, max } = this.getRange();
+        if (!area) return (min + max) / 2;
+        return min + (x - area.left) / (area.right - area.left) * (max - min);
+    }
+
+    render() {
+        const { min, max } = this.getRange();
+        const datasets = this.chart.data.datasets;
+        const scales = this.chart.options.scales;
+        let gridDrawn = false;
+
+        this.requestHistory(min, max);
+
+        this.order.forEach(metric => {
+            const shown = this.visible.has(metric);
+            const points = shown ? this.getPoints(metric, min, max) : [];
+            const anomalies = shown ? this.getAnomalies(metric, min, max) : [];
+            const forecast = shown && this.follow ? this.getForecast(metric, points, max) : {};
+
+            datasets.filter(dataset => dataset.metric === metric).forEach(dataset => {
+                dataset.hidden = !shown;
+                dataset.data = dataset.role === 'value' ? points :
+                    dataset.role === 'anomaly' ? anomalies :
+                    forecast[dataset.role] || [];
+            });
+
+            const scale = scales[metric];
+            scale.display = shown;
+            scale.grid.drawOnChartArea = shown && !gridDrawn;
+            gridDrawn = gridDrawn || shown;
+            Object.assign(scale, this.getScaleBounds(metric, [points, forecast.upper || [], forecast.lower || []]));
+        });
+
+        scales.x.min = min;
+        scales.x.max = max;
+        this.chart.update('none');
+    }
+
+    // Stored history before the first reading in memory, then the readings in memory; gaps much longer
+    // than the usual spacing (the device was off) break the line
+    getPoints(metric, min, max) {
+        const first = this.live.length > 0 ? this.live[0].timestamp : Infinity;
+        const stored = this.history && this.history.series[metric] ?
+            this.history.series[metric].filter(point => point.x < first) : [];
+        const live = this.live
+            .filter(reading => typeof reading[metric] === 'number')
+            .map(reading => ({ x: reading.timestamp, y: reading[metric] }));
+
+        // One point either side of the view so lines run to its edges
+        const all = [...stored, ...live];
+        const inside = all.findIndex(point => point.x >= min);
+        if (inside === -1) return [];
+        const after = all.findIndex(point => point.x > max);
+        const points = all.slice(Math.max(0, inside - 1), after === -1 ? all.length : after + 1);
+
+        const gaps = points.slice(1).map((point, i) => point.x - points[i].x).sort((a, b) => a - b);
+        const usual = gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : 0;
+        const maxGap = Math.max(30 * 1000, usual * 3);
+
+        const broken = [];
+        points.forEach((point, i) => {
+            if (i > 0 && point.x - points[i - 1].x > maxGap) {
+                broken.push({ x: (point.x + points[i - 1].x) / 2, y: null });
+            }
+            broken.push(point);
+        });
+        return broken;
+    }
+
+    // Readings the anomaly detector flagged for this metric or across all vitals
+    getAnomalies(metric, min, max) {
+        return this.live
+            .filter(reading => reading.timestamp >= min && reading.timestamp <= max &&
+                typeof reading[metric] === 'number' && reading.anomalies &&
+                (reading.anomalies.includes(metric) || reading.anomalies.includes('multivariate')))
+            .map(reading => ({ x: reading.timestamp, y: reading[metric] }));
+    }
+
+    // The forecast continues from the latest reading; it is cut at the edge of the view so the far
+    // horizons do not stretch the axis
+    getForecast(metric, points, max) {
+        const forecast = this.forecast[metric];
+        const last = [...points].reverse().find(point => point.y !== null);
+        if (!forecast || !last || this.live.length === 0) return {};
+
+        const result = {};
+        ['value', 'upper', 'lower'].forEach(field => {
+            const line = [last, ...this.horizons
+                .filter(minutes => forecast[`h${minutes}`])
+                .map(minutes => ({ x: last.x + minutes * 60000, y: forecast[`h${minutes}`][field] }))];
+
+            const clipped = [line[0]];
+            for (let i = 1; i < line.length; i++) {
+                const from = line[i - 1];
+                const to = line[i];
+                if (to.x <= max) {
+                    clipped.push(to);
+                    continue;
+                }
+                clipped.push({ x: max, y: from.y + (to.y - from.y) * (max - from.x) / (to.x - from.x) });
+                break;
+            }
+            result[field === 'value' ? 'forecast' : field] = clipped;
+        });
+        return result;
+    }
+
+    // Fitted to what is in view and the baseline band, padded, and never narrower than the metric's
+    // minimum spread so sensor noise is not magnified into swings
+    getScaleBounds(metric, series) {
+        const values = [];
+        series.forEach(points => points.forEach(point => {
+            if (typeof point.y === 'number') values.push(point.y);
+        }));
+        const band = this.bands[metric];
+        if (band) values.push(band.min, band.max);
+        if (values.length === 0) return { min: undefined, max: undefined };
+
+        let low = Math.min(...values);
+        let high = Math.max(...values);
+        const spread = this.metrics[metric].minSpread || 1;
+        if (high - low < spread) {
+            const middle = (high + low) / 2;
+            low = middle - spread / 2;
+            high = middle + spread / 2;
+        }
+
+        // Readings that cannot go negative do not get a negative axis either
+        const padding = (high - low) * 0.1;
+        return { min: low >= 0 ? Math.max(0, low - padding) : low - padding, max: high + padding };
+    }
+
+    // History is fetched once the view reaches past the readings in memory, with some margin either
+    // side for panning; a fetch waits for zooming and panning to settle
+    requestHistory(min, max) {
+        const first = this.live.length > 0 ? this.live[0].timestamp : max;
+        if (min >= first) return;
+
+        const needed = Math.min(max, first);
+        const covered = this.history && this.history.from <= min && this.history.to >= needed &&
+            [...this.visible].every(metric => this.history.series[metric]);
+        if (covered) return;
+
+        clearTimeout(this.historyTimer);
+        this.historyTimer = setTimeout(() => {
+            const from = min - this.span / 2;
+            const to = max + this.span / 2;
+            const request = ++this.historyRequest;
+            const metrics = [...this.visible];
+
+            Promise.all(metrics.map(metric => this.loadHistory(metric, from, to)))
+                .then(results => {
+                    if (request !== this.historyRequest) return;
+
+                    const series = {};
+                    metrics.forEach((metric, i) => {
+                        series[metric] = results[i]
+                            .map(point => ({ x: point.timestamp, y: point.value !== undefined ? point.value : point.avg }))
+                            .filter(point => typeof point.y === 'number');
+                    });
+                    this.history = { from, to, series };
+                    this.render();
+                })
+                .catch(error => {
+                    console.error('Error loading chart history:', error);
+                });
+        }, 250);
+    }
+
+    drawBands(chart) {
+        const area = chart.chartArea;
+        if (!area) return;
+        const ctx = chart.ctx;
+
+        ctx.save();
+        ctx.beginPath();
+        ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+        ctx.clip();
+
+        this.order.forEach(metric => {
+            const band = this.bands[metric];
+            const scale = chart.scales[metric];
+            if (!band || !scale || !this.visible.has(metric)) return;
+
+            const color = this.metrics[metric].color;
+            const top = scale.getPixelForValue(band.max);
+            const bottom = scale.getPixelForValue(band.min);
+
+            ctx.fillStyle = RealtimeChart.withAlpha(color, 0.07);
+            ctx.fillRect(area.left, top, area.right - area.left, bottom - top);
+
+            ctx.strokeStyle = RealtimeChart.withAlpha(color, 0.35);
+            ctx.lineWidth = 1;
+            ctx.setLineDash([4, 4]);
+            [top, bottom].forEach(y => {
+                ctx.beginPath();
+                ctx.moveTo(area.left, y);
+                ctx.lineTo(area.right, y);
+                ctx.stroke();
+            });
+        });
+
+        ctx.restore();
+    }
+
+    drawAnnotations(chart) {
+        const area = chart.chartArea;
+        const scale = chart.scales.x;
+        if (!area || !scale) return;
+        const ctx = chart.ctx;
+        const { min, max } = this.getRange();
+
+        ctx.save();
+        this.annotations
+            .filter(annotation => annotation.timestamp >= min && annotation.timestamp <= max)
+            .forEach(annotation => {
+                const x = scale.getPixelForValue(annotation.timestamp);
+
+                ctx.strokeStyle = annotation.color;
+                ctx.lineWidth = 1.5;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(x, area.top);
+                ctx.lineTo(x, area.bottom);
+                ctx.stroke();
+
+                ctx.setLineDash([]);
+                ctx.fillStyle = annotation.color;
+                ctx.beginPath();
+                ctx.moveTo(x - 5, area.top);
+                ctx.lineTo(x + 5, area.top);
+                ctx.lineTo(x, area.top + 7);
+                ctx.closePath();
+                ctx.fill();
+            });
+        ctx.restore();
+    }
+
+    // Labels of the annotations under the pointer, for the canvas tooltip
+    getAnnotationAt(x) {
+        const scale = this.chart.scales && this.chart.scales.x;
+        if (!scale) return '';
+        const { min, max } = this.getRange();
+
+        return this.annotations
+            .filter(annotation => annotation.timestamp >= min && annotation.timestamp <= max &&
+                Math.abs(scale.getPixelForValue(annotation.timestamp) - x) <= 4)
+            .map(annotation => `${new Date(annotation.timestamp).toLocaleTimeString()} ${annotation.label}`)
+            .join('\n');
+    }
+
+    // Seconds while zoomed in close, dates once the view spans more than a day
+    formatTime(value) {
+        const date = new Date(value);
+        if (this.span > 24 * 60 * 60 * 1000) {
+            return date.toLocaleDateString([], { month: 'short', day: 'numeric' }) + ' ' +
+                date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        }
+        return this.span > 10 * 60 * 1000 ?
+            date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) :
+            date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    }
+
+    formatSpan() {
+        const minutes = this.span / 60000;
+        if (minutes < 1) return `${Math.round(this.span / 1000)} s`;
+        if (minutes < 120) return `${Math.round(minutes)} min`;
+        if (minutes < 48 * 60) return `${Math.round(minutes / 60)} h`;
+        return `${Math.round(minutes / 1440)} days`;
+    }
+
+    static withAlpha(hex, alpha) {
+        const value = parseInt(hex.slice(1), 16);
+        return `rgba(${value >> 16 & 255}, ${value >> 8 & 255}, ${value & 255}, ${alpha})`;
+    }
+}
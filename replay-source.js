@@ -0,0 +1,177 @@
+// Replay Source - plays recorded telemetry back through the dashboard at 1x, 5x or 20x, with pause and seek
+//
+// A recording is a list of {timestamp, frame}: when the frame was received (ms) and the frame as the device sent it.
+// It can be given directly or as a function returning it (or a promise of it), which is called on connect.
+class ReplaySource extends DataSource {
+    constructor(name, recording, options = {}) {
+        super(`replay://${name}`);
+        this.kind = 'replay';
+        this.persistent = false;
+        this.interactive = false;
+        this.name = name;
+        this.label = `Replay: ${name}`;
+
+        this.load = typeof recording === 'function' ? recording : () => recording;
+        this.speeds = [1, 5, 20];
+        this.speed = options.speed || 1;
+
+        // Recorded gaps longer than this (disconnects, the dashboard being closed) are skipped over
+        this.maxGap = options.maxGap || 10000;
+
+        this.entries = [];
+        this.index = 0;
+        this.position = null;
+        this.playing = false;
+        this.timer = null;
+    }
+
+    connect() {
+        if (this.status === 'connecting' || this.isOpen()) return;
+        this.setStatus('connecting');
+
+        Promise.resolve()
+            .then(() => this.load())
+            .then(recording => {
+                // Disconnected while loading
+                if (this.status !== 'connecting') return;
+
+                this.entries = (recording || [])
+                    .filter(entry => typeof entry.timestamp === 'number' && entry.frame)
+                    .sort((a, b) => a.timestamp - b.timestamp);
+                if (this.entries.length === 0) {
+                    throw new Error(`Nothing recorded in ${this.name}`);
+                }
+
+                this.index = 0;
+                this.position = this.entries[0].timestamp;
+                this.setStatus('connected');
+                this.emit('open');
+                this.play();
+            })
+            .catch(error => {
+                this.setStatus('error');
+                this.emit('error', error);
+            });
+    }
+
+    disconnect() {
+        this.pause();
+        this.setStatus('disconnected');
+    }
+
+    // The recorded time of the frame being played
+    now() {
+        return this.position !== null ? this.position : Date.now();
+    }
+
+    play() {
+        if (!this.isOpen() || this.playing) return;
+
+        if (this.index >= this.entries.length) {
+            this.index = 0;
+            this.position = this.entries[0].timestamp;
+            this.emit('seek', this.position);
+        }
+
+        this.playing = true;
+        this.schedule(0);
+        this.emit('progress', this.getProgress());
+    }
+
+    pause() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (!this.playing) return;
+
+        this.playing = false;
+        this.emit('progress', this.getProgress());
+    }
+
+    setSpeed(speed) {
+        if (!this.speeds.includes(speed)) {
+            throw new Error(`Unsupported replay speed ${speed}x`);
+        }
+        this.speed = speed;
+
+        if (this.playing) {
+            this.schedule(this.getDelay());
+        }
+        this.emit('progress', this.getProgress());
+    }
+
+    // Jumps to the first frame at or after time; listeners get 'seek' so they can drop state that assumed continuity
+    seek(time) {
+        if (this.entries.length === 0) return;
+
+        const first = this.entries[0].timestamp;
+        const last = this.entries[this.entries.length - 1].timestamp;
+        this.position = Math.min(last, Math.max(first, time));
+
+        const index = this.entries.findIndex(entry => entry.timestamp >= this.position);
+        this.index = index === -1 ? this.entries.length : index;
+        this.emit('seek', this.position);
+
+        if (this.playing) {
+            this.schedule(0);
+        }
+        this.emit('progress', this.getProgress());
+    }
+
+    schedule(delay) {
+        clearTimeout(this.timer);
+        this.timer = setTimeout(() => this.step(), delay);
+    }
+
+    step() {
+        this.timer = null;
+        const entry = this.entries[this.index++];
+        this.position = entry.timestamp;
+        this.deliver(entry.frame);
+
+        if (this.index >= this.entries.length) {
+            this.playing = false;
+            this.emit('progress', this.getProgress());
+            this.emit('ended');
+            return;
+        }
+
+        this.emit('progress', this.getProgress());
+        if (this.playing) {
+            this.schedule(this.getDelay());
+        }
+    }
+
+    // Real time until the next frame at the current speed
+    getDelay() {
+        const next = this.entries[this.index];
+        return next ? Math.min(next.timestamp - this.position, this.maxGap) / this.speed : 0;
+    }
+
+    getProgress() {
+        const start = this.entries.length > 0 ? this.entries[0].timestamp : 0;
+        const end = this.entries.length > 0 ? this.entries[this.entries.length - 1].timestamp : 0;
+        return {
+            start: start,
+            end: end,
+            position: this.position !== null ? this.position : start,
+            frames: this.entries.length,
+            index: this.index,
+            playing: this.playing,
+            speed: this.speed
+        };
+    }
+
+    // Frames kept by the telemetry store, as a recording: the store's own fields are removed, blanked
+    // (bad) values are left out and the device's timestamp is restored
+    static fromStoredFrames(records) {
+        return records.map(record => {
+            const { id, timestamp, deviceTimestamp, quality, ...fields } = record;
+            const frame = {};
+            Object.entries(fields).forEach(([field, value]) => {
+                if (value !== null && value !== undefined) frame[field] = value;
+            });
+            if (deviceTimestamp !== undefined) frame.timestamp = deviceTimestamp;
+            return { timestamp: timestamp, frame: frame };
+        });
+    }
+}
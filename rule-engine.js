@@ -0,0 +1,386 @@
+// Rule Engine - evaluates declarative JSON rule sets for patterns, insights, recommendations, alerts and risk
+//
+// A condition is one of:
+//   {"all": [...]} / {"any": [...]} / {"not": {...}}
+//   {"metric": "heartRate", "op": ">", "value": 100}           any dotted path into the analysis context
+//   {"rate": "temperature", "window": 300, "op": ">", "value": 0.05}   change per minute over the window (s)
+//   {"forecast": "temperature", "within": 30, "op": ">", "value": 38}  not true now, but forecast to be
+//       within that many minutes; outputs can then use {{projection.minutes}}, {{projection.value}}
+//       and {{projection.threshold}}
+// Any condition may add "for": 60 to require it to hold for that many seconds.
+// Pattern rules may add "onset"/"offset" (seconds) for the AI engine's pattern tracker.
+// Values are literals, {"const": "name"} from the rule set's constants, or {"metric": "path", "offset": n}
+// where the offset may itself be a {"const": ...}.
+class RuleEngine {
+    constructor(ruleSet) {
+        this.kinds = ['pattern', 'insight', 'recommendation', 'alert', 'risk'];
+        this.operators = {
+            '>': (a, b) => a > b,
+            '>=': (a, b) => a >= b,
+            '<': (a, b) => a < b,
+            '<=': (a, b) => a <= b,
+            '==': (a, b) => a === b,
+            '!=': (a, b) => a !== b
+        };
+
+        // Fields each kind of rule must provide in its output
+        this.requiredOutput = {
+            pattern: ['description', 'severity'],
+            insight: ['title', 'description', 'severity'],
+            recommendation: ['title', 'description', 'priority'],
+            alert: ['title', 'description', 'severity'],
+            risk: []
+        };
+        this.severities = ['low', 'medium', 'high', 'critical'];
+
+        this.setRuleSet(ruleSet);
+    }
+
+    static get storageKey() {
+        return 'aegisShieldRuleSet';
+    }
+
+    // The saved rule set, or the shipped default when none was saved or it no longer validates
+    static loadRuleSet() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(RuleEngine.storageKey));
+            if (saved && new RuleEngine(DEFAULT_RULE_SET).validate(saved).length === 0) {
+                return saved;
+            }
+        } catch (error) {
+            console.error('Error loading rule set:', error);
+        }
+        return DEFAULT_RULE_SET;
+    }
+
+    static saveRuleSet(ruleSet) {
+        localStorage.setItem(RuleEngine.storageKey, JSON.stringify(ruleSet));
+    }
+
+    static resetRuleSet() {
+        localStorage.removeItem(RuleEngine.storageKey);
+    }
+
+    setRuleSet(ruleSet) {
+        this.ruleSet = ruleSet;
+        this.constants = ruleSet.constants || {};
+        this.durations = new Map();
+        this.history = [];
+
+        // Keep enough samples for the longest rate-of-change window in the set
+        this.historyWindow = Math.max(60, ...ruleSet.rules.map(rule => this.getMaxWindow(rule.when)));
+    }
+
+    getMaxWindow(condition) {
+        if (!condition || typeof condition !== 'object') return 0;
+        if (condition.all || condition.any) {
+            return Math.max(0, ...(condition.all || condition.any).map(c => this.getMaxWindow(c)));
+        }
+        if (condition.not) return this.getMaxWindow(condition.not);
+        return condition.rate ? condition.window || 60 : 0;
+    }
+
+    // Returns an array of error messages; empty when the rule set is usable
+    validate(ruleSet) {
+        const errors = [];
+
+        if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+            return ['Rule set must be a JSON object'];
+        }
+        if (!Array.isArray(ruleSet.rules)) {
+            return ['Rule set needs a "rules" array'];
+        }
+
+        const constants = ruleSet.constants || {};
+        Object.entries(constants).forEach(([name, value]) => {
+            if (typeof value !== 'number' && typeof value !== 'boolean' && typeof value !== 'string') {
+                errors.push(`Constant "${name}" must be a number, boolean or string`);
+            }
+        });
+
+        if (ruleSet.riskLevels) {
+            ['critical', 'high', 'medium'].forEach(level => {
+                if (typeof ruleSet.riskLevels[level] !== 'number') {
+                    errors.push(`riskLevels.${level} must be a number`);
+                }
+            });
+        }
+
+        const ids = new Set();
+        ruleSet.rules.forEach((rule, index) => {
+            const where = `Rule ${index + 1}${rule && rule.id ? ` (${rule.id})` : ''}`;
+
+            if (!rule || typeof rule !== 'object') {
+                errors.push(`${where}: must be an object`);
+                return;
+            }
+            if (typeof rule.id !== 'string' || !rule.id) {
+                errors.push(`${where}: needs a string "id"`);
+            } else if (ids.has(rule.id)) {
+                errors.push(`${where}: duplicate id`);
+            }
+            ids.add(rule.id);
+
+            if (!this.kinds.includes(rule.kind)) {
+                errors.push(`${where}: "kind" must be one of ${this.kinds.join(', ')}`);
+                return;
+            }
+
+            if (rule.when !== undefined) {
+                this.validateCondition(rule.when, constants, `${where} when`, errors);
+            }
+
+            ['onset', 'offset'].forEach(field => {
+                if (rule[field] !== undefined && !(typeof rule[field] === 'number' && rule[field] >= 0)) {
+                    errors.push(`${where}: "${field}" must be a number of seconds`);
+                }
+            });
+
+            if (rule.kind === 'risk') {
+                this.validateValue(rule.points, constants, `${where} points`, errors);
+                return;
+            }
+
+            const output = rule.output || {};
+            this.requiredOutput[rule.kind].forEach(field => {
+                if (typeof output[field] !== 'string') {
+                    errors.push(`${where}: output.${field} must be a string`);
+                }
+            });
+            ['severity', 'priority'].forEach(field => {
+                if (typeof output[field] === 'string' && !this.severities.includes(output[field])) {
+                    errors.push(`${where}: output.${field} must be one of ${this.severities.join(', ')}`);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    validateCondition(condition, constants, where, errors) {
+        if (condition === true || condition === false) return;
+
+        if (!condition || typeof condition !== 'object' || Array.isArray(condition)) {
+            errors.push(`${where}: condition must be an object`);
+            return;
+        }
+
+        if (condition.for !== undefined && !(typeof condition.for === 'number' && condition.for >= 0)) {
+            errors.push(`${where}: "for" must be a number of seconds`);
+        }
+
+        if (condition.all || condition.any) {
+            const list = condition.all || condition.any;
+            if (!Array.isArray(list) || list.length === 0) {
+                errors.push(`${where}: "all"/"any" needs a non-empty array`);
+                return;
+            }
+            list.forEach((c, i) => this.validateCondition(c, constants, `${where}[${i}]`, errors));
+            return;
+        }
+
+        if (condition.not) {
+            this.validateCondition(condition.not, constants, `${where}.not`, errors);
+            return;
+        }
+
+        if (typeof condition.metric !== 'string' && typeof condition.rate !== 'string' &&
+            typeof condition.forecast !== 'string') {
+            errors.push(`${where}: needs "metric", "rate", "forecast", "all", "any" or "not"`);
+            return;
+        }
+        if (condition.rate && condition.window !== undefined && !(condition.window > 0)) {
+            errors.push(`${where}: "window" must be a positive number of seconds`);
+        }
+        if (condition.forecast && condition.within !== undefined && !(condition.within > 0)) {
+            errors.push(`${where}: "within" must be a positive number of minutes`);
+        }
+        if (!(condition.op in this.operators)) {
+            errors.push(`${where}: "op" must be one of ${Object.keys(this.operators).join(' ')}`);
+        }
+        this.validateValue(condition.value, constants, `${where} value`, errors);
+    }
+
+    validateValue(value, constants, where, errors) {
+        if (typeof value === 'number' || typeof value === 'boolean' || typeof value === 'string') return;
+
+        if (value && typeof value === 'object') {
+            if (typeof value.const === 'string') {
+                if (!(value.const in constants)) errors.push(`${where}: unknown constant "${value.const}"`);
+                return;
+            }
+            if (typeof value.metric === 'string') return;
+        }
+        errors.push(`${where}: must be a literal, {"const": ...} or {"metric": ...}`);
+    }
+
+    // Adds a frame to the history used for rates of change; call once per frame before evaluating
+    record(context, now = Date.now()) {
+        this.history.push({ timestamp: now, context: context });
+        while (this.history.length > 0 && this.history[0].timestamp < now - this.historyWindow * 1000) {
+            this.history.shift();
+        }
+    }
+
+    getRules(kind) {
+        return this.ruleSet.rules.filter(rule => rule.kind === kind && rule.enabled !== false);
+    }
+
+    // Runs the rules of the given kinds against the context
+    evaluate(context, now = Date.now(), kinds = this.kinds) {
+        const results = {
+            patterns: [],
+            insights: [],
+            recommendations: [],
+            alerts: [],
+            riskScore: 0
+        };
+
+        this.ruleSet.rules.forEach(rule => {
+            if (rule.enabled === false || !kinds.includes(rule.kind)) return;
+            this.projection = null;
+            if (rule.when !== undefined && !this.test(rule.when, context, now, rule.id)) return;
+
+            if (rule.kind === 'risk') {
+                results.riskScore += Number(this.resolve(rule.points, context)) || 0;
+                return;
+            }
+
+            const output = this.render(rule.output, this.projection ? { ...context, projection: this.projection } : context);
+            switch (rule.kind) {
+                case 'pattern':
+                    results.patterns.push({ name: rule.id, ...output });
+                    break;
+                case 'insight':
+                    results.insights.push({ type: rule.id, ...output });
+                    break;
+                case 'recommendation':
+                    results.recommendations.push({ type: rule.id, ...output });
+                    break;
+                case 'alert':
+                    results.alerts.push({ type: rule.id, immediateAction: false, ...output });
+                    break;
+            }
+        });
+
+        return results;
+    }
+
+    getRiskLevel(score) {
+        const levels = this.ruleSet.riskLevels || { critical: 5, high: 3, medium: 2 };
+        if (score >= levels.critical) return 'critical';
+        if (score >= levels.high) return 'high';
+        if (score >= levels.medium) return 'medium';
+        return 'low';
+    }
+
+    // Every condition carries a path so "for" durations are tracked per sub-condition
+    test(condition, context, now, path) {
+        if (condition === true || condition === false) return condition;
+
+        let result;
+        // Every branch is evaluated, never short-circuited, so each one's duration keeps counting or is reset
+        if (condition.all) {
+            result = condition.all.map((c, i) => this.test(c, context, now, `${path}.${i}`)).every(Boolean);
+        } else if (condition.any) {
+            result = condition.any.map((c, i) => this.test(c, context, now, `${path}.${i}`)).some(Boolean);
+        } else if (condition.not) {
+            result = !this.test(condition.not, context, now, `${path}.not`);
+        } else if (condition.forecast) {
+            result = this.testForecast(condition, context);
+        } else {
+            const actual = condition.rate ?
+                this.getRate(condition.rate, (condition.window || 60) * 1000, now) :
+                this.getPath(context, condition.metric);
+            const expected = this.resolve(condition.value, context);
+            result = actual !== null && actual !== undefined && this.operators[condition.op](actual, expected);
+        }
+
+        if (!condition.for) return result;
+
+        if (!result) {
+            this.durations.delete(path);
+            return false;
+        }
+        if (!this.durations.has(path)) {
+            this.durations.set(path, now);
+        }
+        return now - this.durations.get(path) >= condition.for * 1000;
+    }
+
+    // True when the metric does not meet the condition now but its forecast does within the window;
+    // the first minute it does is kept for the rule's output
+    testForecast(condition, context) {
+        const forecast = this.getPath(context, `forecast.${condition.forecast}`);
+        if (!forecast || !Array.isArray(forecast.path)) return false;
+
+        const expected = this.resolve(condition.value, context);
+        const compare = this.operators[condition.op];
+        if (compare(forecast.level, expected)) return false;
+
+        const within = condition.within || 30;
+        const index = forecast.path.slice(0, within).findIndex(value => compare(value, expected));
+        if (index === -1) return false;
+
+        this.projection = {
+            metric: condition.forecast,
+            minutes: index + 1,
+            value: forecast.path[index],
+            threshold: expected
+        };
+        return true;
+    }
+
+    resolve(value, context) {
+        if (value && typeof value === 'object') {
+            if ('const' in value) return this.constants[value.const];
+            if ('metric' in value) {
+                const resolved = this.getPath(context, value.metric);
+                const offset = this.resolve(value.offset, context);
+                return typeof resolved === 'number' && typeof offset === 'number' ? resolved + offset : resolved;
+            }
+        }
+        return value;
+    }
+
+    getPath(object, path) {
+        return path.split('.').reduce((current, key) =>
+            current === null || current === undefined ? undefined : current[key], object);
+    }
+
+    // Least-squares slope per minute over the window; null until the window is half covered
+    getRate(metric, window, now) {
+        const samples = this.history
+            .filter(sample => sample.timestamp >= now - window)
+            .map(sample => ({ t: sample.timestamp, v: this.getPath(sample.context, metric) }))
+            .filter(sample => typeof sample.v === 'number' && isFinite(sample.v));
+
+        if (samples.length < 3 || samples[samples.length - 1].t - samples[0].t < window / 2) return null;
+
+        const n = samples.length;
+        const meanT = samples.reduce((sum, s) => sum + s.t, 0) / n;
+        const meanV = samples.reduce((sum, s) => sum + s.v, 0) / n;
+        let numerator = 0;
+        let denominator = 0;
+        samples.forEach(s => {
+            numerator += (s.t - meanT) * (s.v - meanV);
+            denominator += (s.t - meanT) * (s.t - meanT);
+        });
+
+        return denominator === 0 ? 0 : (numerator / denominator) * 60000;
+    }
+
+    // Output strings may embed {{path}} or {{path:digits}}
+    render(output, context) {
+        const rendered = {};
+        Object.entries(output || {}).forEach(([key, value]) => {
+            rendered[key] = typeof value !== 'string' ? value : value.replace(/\{\{\s*([\w.]+)(?::(\d+))?\s*\}\}/g,
+                (match, path, digits) => {
+                    const resolved = path in this.constants ? this.constants[path] : this.getPath(context, path);
+                    if (typeof resolved === 'number' && digits !== undefined) return resolved.toFixed(parseInt(digits));
+                    return resolved === undefined || resolved === null ? '--' : String(resolved);
+                });
+        });
+        return rendered;
+    }
+}
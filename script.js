@@ -1,8 +1,11 @@
 // Main Application Script
 class AegisShieldApp {
     constructor() {
-        this.socket = null;
+        this.connection = null;
+        this.connectionBindings = [];
         this.isConnected = false;
+        this.dataStale = false;
+        this.effectiveInterval = null;
         this.sensorData = {
             heartRate: 0,
             temperature: 0,
@@ -12,9 +15,36 @@ class AegisShieldApp {
             flameDetected: false
         };
         this.dataHistory = [];
+        // Bumped whenever the live state is dropped, so a history load started before then is discarded
+        this.historyGeneration = 0;
+        this.forecast = {};
+        this.sensorQuality = null;
+        this.qualityIssues = new Set();
+        this.capabilities = new DeviceCapabilities();
+        this.geoTracker = new GeoTracker();
         this.charts = {};
         this.lastUpdateTime = 0;
         this.updateCount = 0;
+        this.profileManager = new ProfileManager();
+        this.profileManager.onChange(profile => this.applyProfile(profile));
+        this.aiEngine = this.profileManager.getEngine();
+        this.telemetryStore = this.profileManager.createTelemetryStore();
+        this.sessionStore = this.profileManager.createSessionStore();
+        this.sessionRecorder = new SessionRecorder(this.sessionStore);
+        this.sessionExporter = new SessionExporter();
+        this.sessionImporter = new SessionImporter();
+        this.sessionComparison = new SessionComparison(this.sessionExporter);
+        this.compareSelection = new Set();
+        this.comparedSessions = null;
+        this.compareColors = ['#00B4D8', '#FF4757', '#FFA726', '#00C853', '#B388FF', '#FFD600'];
+        this.pendingImport = null;
+        this.trendDetector = new TrendDetector();
+        this.commandChannel = new CommandChannel();
+        this.commandChannel.onUpdate(command => this.updateCommandStatus(command));
+        this.alertPolicy = new AlertPolicy({ threshold: this.getSetting('alertThreshold') });
+        this.alertPolicy.onUpdate((event, entry) => this.handleAlertEvent(event, entry));
+        this.fleetManager = new FleetManager(this.profileManager);
+        this.fleetManager.onUpdate(() => this.scheduleFleetRender());
         
         this.initializeApp();
     }
@@ -24,8 +54,14 @@ class AegisShieldApp {
         setTimeout(() => {
             document.getElementById('loadingScreen').style.display = 'none';
             document.getElementById('mainContainer').style.display = 'block';
+            this.locationMap = new LocationMap(document.getElementById('locationMap'));
             this.setupEventListeners();
             this.initializeCharts();
+            this.loadStoredHistory();
+            this.renderProfiles();
+            this.renderAlertHistory();
+            this.renderSessions();
+            this.renderRuleEditor();
             this.showNotification('System initialized successfully', 'success');
         }, 2000);
     }
@@ -53,6 +89,117 @@ class AegisShieldApp {
             }
         });
 
+        // Data source: device, simulator or replay
+        document.getElementById('simulatorScenario').innerHTML = Object.entries(SIMULATION_SCENARIOS)
+            .map(([id, scenario]) => `<option value="${id}" title="${this.escapeHTML(scenario.description)}">${scenario.label}</option>`)
+            .join('');
+
+        document.getElementById('dataSourceType').addEventListener('change', () => {
+            this.updateSourceControls();
+        });
+        this.updateSourceControls();
+
+        document.getElementById('playbackToggleBtn').addEventListener('click', () => {
+            if (!this.connection || this.connection.kind !== 'replay') return;
+            if (this.connection.playing) {
+                this.connection.pause();
+            } else {
+                this.connection.play();
+            }
+        });
+
+        document.querySelectorAll('[data-speed]').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                if (this.connection && this.connection.kind === 'replay') {
+                    this.connection.setSpeed(parseInt(e.currentTarget.dataset.speed));
+                }
+            });
+        });
+
+        document.getElementById('playbackSeek').addEventListener('change', (e) => {
+            if (!this.connection || this.connection.kind !== 'replay') return;
+            const { start, end } = this.connection.getProgress();
+            this.connection.seek(start + (end - start) * e.target.value / 1000);
+        });
+
+        // Recording sessions
+        document.getElementById('recordBtn').addEventListener('click', () => {
+            this.toggleRecording();
+        });
+
+        document.getElementById('sessionList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-session-action]');
+            if (button) {
+                this.handleSessionAction(button.dataset.sessionAction, button.dataset.sessionId);
+            }
+        });
+
+        document.getElementById('sessionList').addEventListener('change', (e) => {
+            const id = e.target.dataset.sessionCompare;
+            if (!id) return;
+            if (e.target.checked) {
+                this.compareSelection.add(id);
+            } else {
+                this.compareSelection.delete(id);
+            }
+            this.updateCompareButton();
+        });
+
+        // Importing and comparing sessions
+        document.getElementById('importSessionBtn').addEventListener('click', () => {
+            document.getElementById('importSessionFile').click();
+        });
+
+        document.getElementById('importSessionFile').addEventListener('change', (e) => {
+            this.importSessionFile(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        document.getElementById('importConfirmBtn').addEventListener('click', () => {
+            this.confirmImport();
+        });
+
+        document.getElementById('importCancelBtn').addEventListener('click', () => {
+            this.cancelImport();
+        });
+
+        document.getElementById('compareSessionsBtn').addEventListener('click', () => {
+            this.compareSessions();
+        });
+
+        document.getElementById('compareMetric').addEventListener('change', () => {
+            this.renderComparison();
+        });
+
+        document.getElementById('closeCompareBtn').addEventListener('click', () => {
+            this.closeComparison();
+        });
+
+        // Alert history filters and export
+        ['alertFilterType', 'alertFilterSeverity', 'alertFilterFrom', 'alertFilterTo'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.renderAlertHistory());
+        });
+
+        document.getElementById('exportAlertsCsvBtn').addEventListener('click', () => {
+            this.exportAlertLog('csv');
+        });
+
+        document.getElementById('exportAlertsJsonBtn').addEventListener('click', () => {
+            this.exportAlertLog('json');
+        });
+
+        // Alert acknowledge / snooze
+        document.getElementById('alertsList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-alert-action]');
+            if (!button) return;
+
+            if (button.dataset.alertAction === 'acknowledge') {
+                this.alertPolicy.acknowledge(button.dataset.alertType);
+            } else {
+                this.alertPolicy.snooze(button.dataset.alertType, this.alertPolicy.snoozeDuration, this.getSourceTime());
+            }
+        });
+
         // Emergency controls
         document.getElementById('emergencyBtn').addEventListener('click', () => {
             this.showEmergencyModal();
@@ -76,8 +223,31 @@ class AegisShieldApp {
         });
 
         // Chart controls
-        document.getElementById('chartType').addEventListener('change', (e) => {
-            this.updateChartData(e.target.value);
+        document.querySelectorAll('[data-chart-metric]').forEach(button => {
+            button.addEventListener('click', (e) => {
+                const metric = e.currentTarget.dataset.chartMetric;
+                this.realtimeChart.setVisible(metric, !this.realtimeChart.isVisible(metric));
+            });
+        });
+
+        document.getElementById('chartZoomInBtn').addEventListener('click', () => {
+            this.realtimeChart.zoom(0.5);
+        });
+
+        document.getElementById('chartZoomOutBtn').addEventListener('click', () => {
+            this.realtimeChart.zoom(2);
+        });
+
+        document.getElementById('chartLiveBtn').addEventListener('click', () => {
+            this.realtimeChart.setFollow(!this.realtimeChart.follow);
+        });
+
+        document.getElementById('analyticsRange').addEventListener('change', () => {
+            this.updateAnalytics();
+        });
+
+        document.getElementById('analyticsMetric').addEventListener('change', () => {
+            this.updateAnalytics();
         });
 
         // Settings
@@ -85,97 +255,152 @@ class AegisShieldApp {
         document.getElementById('alertThreshold').addEventListener('change', this.saveSettings.bind(this));
         document.getElementById('soundAlerts').addEventListener('change', this.saveSettings.bind(this));
         document.getElementById('autoReconnect').addEventListener('change', this.saveSettings.bind(this));
+        document.getElementById('trendWindow').addEventListener('change', this.saveSettings.bind(this));
+
+        // Fleet
+        document.getElementById('addFleetDeviceBtn').addEventListener('click', () => {
+            this.addFleetDevice();
+        });
+
+        document.getElementById('fleetEndpoint').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.addFleetDevice();
+            }
+        });
+
+        document.getElementById('fleetGrid').addEventListener('click', (e) => {
+            const tile = e.target.closest('.fleet-tile');
+            if (!tile) return;
+
+            if (e.target.closest('.fleet-remove')) {
+                this.fleetManager.removeDevice(tile.dataset.endpoint);
+            } else {
+                this.openFleetDevice(tile.dataset.endpoint);
+            }
+        });
+
+        // Profiles
+        document.getElementById('profileSelect').addEventListener('change', (e) => {
+            this.switchProfile(e.target.value);
+        });
+
+        document.getElementById('saveProfileBtn').addEventListener('click', () => {
+            this.saveProfile();
+        });
+
+        document.getElementById('newProfileBtn').addEventListener('click', () => {
+            this.createProfile();
+        });
+
+        document.getElementById('deleteProfileBtn').addEventListener('click', () => {
+            this.deleteProfile();
+        });
+
+        // Personal baseline
+        document.getElementById('startCalibrationBtn').addEventListener('click', () => {
+            this.startCalibration();
+        });
+
+        document.getElementById('resetBaselineBtn').addEventListener('click', () => {
+            this.resetBaseline();
+        });
+
+        // Diagnostics
+        document.getElementById('clearDiagnosticsBtn').addEventListener('click', () => {
+            this.clearDiagnostics();
+        });
+
+        // Settings sub-tabs
+        document.querySelectorAll('.settings-subtab').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                this.switchSettingsPanel(e.currentTarget.dataset.panel);
+            });
+        });
+
+        // Rule editor
+        document.getElementById('validateRulesBtn').addEventListener('click', () => {
+            this.parseRuleEditor();
+        });
+
+        document.getElementById('applyRulesBtn').addEventListener('click', () => {
+            this.applyRules();
+        });
+
+        document.getElementById('resetRulesBtn').addEventListener('click', () => {
+            this.resetRules();
+        });
+
+        document.getElementById('exportRulesBtn').addEventListener('click', () => {
+            this.exportRules();
+        });
+
+        document.getElementById('importRulesBtn').addEventListener('click', () => {
+            document.getElementById('importRulesFile').click();
+        });
+
+        document.getElementById('importRulesFile').addEventListener('change', (e) => {
+            this.importRules(e.target.files[0]);
+            e.target.value = '';
+        });
+
+        // Location map and geofences
+        document.getElementById('mapZoomInBtn').addEventListener('click', () => {
+            this.locationMap.setZoom(this.locationMap.zoom + 1);
+        });
+
+        document.getElementById('mapZoomOutBtn').addEventListener('click', () => {
+            this.locationMap.setZoom(this.locationMap.zoom - 1);
+        });
+
+        document.getElementById('mapFollowBtn').addEventListener('click', () => {
+            this.locationMap.setFollow(!this.locationMap.follow);
+        });
+
+        document.getElementById('clearTrailBtn').addEventListener('click', () => {
+            this.geoTracker.clearTrail();
+            this.renderLocation();
+        });
+
+        document.getElementById('drawGeofenceBtn').addEventListener('click', () => {
+            this.locationMap.startDrawing();
+            this.updateGeofenceControls();
+        });
+
+        document.getElementById('saveGeofenceBtn').addEventListener('click', () => {
+            this.saveGeofence();
+        });
+
+        document.getElementById('cancelGeofenceBtn').addEventListener('click', () => {
+            this.locationMap.cancelDrawing();
+            this.updateGeofenceControls();
+        });
+
+        document.getElementById('geofenceList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-geofence-id]');
+            if (button) {
+                this.removeGeofence(button.dataset.geofenceId);
+            }
+        });
+
+        this.locationMap.onChange(() => this.updateGeofenceControls());
 
         // Load settings
         this.loadSettings();
+        this.updateBaselineStatus();
     }
 
     initializeCharts() {
-        // Real-time Chart
-        const ctx = document.getElementById('realtimeChart').getContext('2d');
-        this.charts.realtime = new Chart(ctx, {
-            type: 'line',
-            data: {
-                labels: [],
-                datasets: [{
-                    label: 'Heart Rate',
-                    data: [],
-                    borderColor: '#00B4D8',
-                    backgroundColor: 'rgba(0, 180, 216, 0.1)',
-                    borderWidth: 2,
-                    fill: true,
-                    tension: 0.4
-                }]
-            },
-            options: {
-                responsive: true,
-                maintainAspectRatio: false,
-                plugins: {
-                    legend: {
-                        display: false
-                    }
-                },
-                scales: {
-                    x: {
-                        display: false
-                    },
-                    y: {
-                        min: 50,
-                        max: 120,
-                        grid: {
-                            color: 'rgba(255, 255, 255, 0.1)'
-                        },
-                        ticks: {
-                            color: '#B0B0B0'
-                        }
-                    }
-                }
-            }
+        // Real-time Chart; history beyond what is kept in memory comes from the wearer's telemetry store
+        this.realtimeChart = new RealtimeChart(document.getElementById('realtimeChart'), {
+            loadHistory: (metric, from, to) => this.isPersistent() ?
+                this.telemetryStore.query(metric, from, to) : Promise.resolve([])
         });
+        this.charts.realtime = this.realtimeChart.chart;
+        this.realtimeChart.onChange(() => this.updateChartControls());
+        this.updateChartControls();
 
-        // Analytics Chart
-        const analyticsCtx = document.getElementById('analyticsChart').getContext('2d');
-        this.charts.analytics = new Chart(analyticsCtx, {
-            type: 'bar',
-            data: {
-                labels: ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'],
-                datasets: [{
-                    label: 'Average Health Score',
-                    data: [85, 78, 92, 88, 76, 95, 89],
-                    backgroundColor: 'rgba(0, 180, 216, 0.8)',
-                    borderColor: '#00B4D8',
-                    borderWidth: 1
-                }]
-            },
-            options: {
-                responsive: true,
-                plugins: {
-                    legend: {
-                        labels: {
-                            color: '#FFFFFF'
-                        }
-                    }
-                },
-                scales: {
-                    x: {
-                        ticks: {
-                            color: '#B0B0B0'
-                        },
-                        grid: {
-                            color: 'rgba(255, 255, 255, 0.1)'
-                        }
-                    },
-                    y: {
-                        ticks: {
-                            color: '#B0B0B0'
-                        },
-                        grid: {
-                            color: 'rgba(255, 255, 255, 0.1)'
-                        }
-                    }
-                }
-            }
-        });
+        // Analytics Chart (populated from the telemetry store by updateAnalytics)
+        this.renderAnalyticsChart('line', [], []);
     }
 
     toggleConnection() {
@@ -187,140 +412,1330 @@ class AegisShieldApp {
     }
 
     connect() {
+        // A source that never opened (or is still retrying) is replaced, not left bound beside the new one
+        if (this.connection) {
+            this.disconnect();
+        }
+
+        const source = this.createDataSource();
+        if (!source) return;
+
+        this.updateConnectionStatus('connecting', 'Connecting...');
+
+        // A different device may provide different sensors
+        this.capabilities.reset();
+        this.renderCapabilities();
+
+        this.connection = source;
+        this.commandChannel.setEndpoint(source.endpoint);
+        this.fleetManager.setPrimary(source.kind === 'device' ? source.endpoint : null);
+        if (!source.persistent) {
+            this.startSandbox();
+        }
+        this.applyConnectionSettings();
+        this.bindConnection(this.connection);
+
+        if (this.connection.isOpen()) {
+            this.handleConnectionOpen();
+        } else {
+            this.connection.connect();
+        }
+    }
+
+    // The device at the entered address, or a simulator or replay of this wearer's recent telemetry
+    createDataSource() {
+        const type = document.getElementById('dataSourceType').value;
+
+        if (type === 'simulator') {
+            return new DeviceSimulator(document.getElementById('simulatorScenario').value, {
+                noise: parseFloat(document.getElementById('simulatorNoise').value),
+                sampleInterval: parseInt(this.getSetting('updateInterval')) || 2000
+            });
+        }
+
+        if (type === 'replay') {
+            const select = document.getElementById('replayRange');
+            if (select.value.startsWith('session:')) {
+                const store = this.sessionStore;
+                const id = select.value.slice('session:'.length);
+                return new ReplaySource(select.options[select.selectedIndex].text, async () => (await store.loadSession(id)).frames);
+            }
+
+            const range = parseInt(select.value);
+            const store = this.telemetryStore;
+            return new ReplaySource(select.options[select.selectedIndex].text.toLowerCase(), async () => {
+                const to = Date.now();
+                return ReplaySource.fromStoredFrames(await store.getRange('frames', to - range, to));
+            });
+        }
+
         const serverIP = document.getElementById('serverIP').value;
-        
         if (!serverIP) {
             this.showNotification('Please enter a server IP address', 'error');
-            return;
+            return null;
         }
 
-        this.updateConnectionStatus('connecting', 'Connecting...');
+        // Reuse the fleet's socket when the device is already being watched
+        return this.fleetManager.getConnection(serverIP) || new DeviceConnection(serverIP);
+    }
 
-        try {
-            this.socket = new WebSocket(serverIP);
-            
-            this.socket.onopen = () => {
-                this.isConnected = true;
-                this.updateConnectionStatus('connected', 'Connected');
-                this.showNotification('Connected to sensor server', 'success');
-                this.startDataRateCalculation();
-            };
+    updateSourceControls() {
+        const type = document.getElementById('dataSourceType').value;
+        document.querySelectorAll('[data-source-type]').forEach(element => {
+            element.style.display = element.dataset.sourceType === type ? '' : 'none';
+        });
+    }
 
-            this.socket.onmessage = (event) => {
-                this.handleSensorData(event.data);
-            };
+    // Simulated and replayed readings are analysed by a throwaway engine and not stored, so they never
+    // reach the wearer's baseline, patterns or telemetry history; their alerts are logged with their source
+    startSandbox() {
+        this.aiEngine = new AIEngine({ baselineKey: null });
+        this.resetLiveState();
+        this.updateBaselineStatus();
+    }
 
-            this.socket.onclose = () => {
-                this.isConnected = false;
-                this.updateConnectionStatus('disconnected', 'Disconnected');
-                this.showNotification('Connection lost', 'warning');
-                
-                // Auto-reconnect if enabled
-                if (this.getSetting('autoReconnect')) {
-                    setTimeout(() => this.reconnect(), 5000);
-                }
-            };
+    stopSandbox() {
+        this.aiEngine = this.profileManager.getEngine();
+        this.resetLiveState();
+        this.updateBaselineStatus();
+        this.updateCharts();
+        this.loadStoredHistory();
+    }
 
-            this.socket.onerror = (error) => {
-                this.showNotification('Connection error: ' + error, 'error');
-                this.updateConnectionStatus('error', 'Connection Failed');
-            };
+    // Drops everything derived from the readings so far; a replay does this whenever it seeks
+    resetLiveState() {
+        this.trendDetector.reset();
+        this.alertPolicy.reset();
+        this.geoTracker.reset();
+        this.dataHistory = [];
+        this.historyGeneration++;
+        if (this.realtimeChart) {
+            this.realtimeChart.clearHistory();
+        }
+        this.renderActiveAlerts();
+    }
 
-        } catch (error) {
-            this.showNotification('Failed to connect: ' + error, 'error');
-            this.updateConnectionStatus('error', 'Connection Failed');
+    handleReplaySeek() {
+        this.aiEngine = new AIEngine({ baselineKey: null });
+        this.resetLiveState();
+        this.updateCharts();
+    }
+
+    updatePlayback(progress) {
+        const source = this.connection;
+        const replay = source.kind === 'replay';
+        const clock = ms => {
+            const seconds = Math.max(0, Math.round(ms / 1000));
+            return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+        };
+
+        document.getElementById('playbackBar').style.display = '';
+        document.getElementById('playbackLabel').textContent = source.label;
+        document.querySelectorAll('[data-playback]').forEach(element => {
+            element.style.display = replay ? '' : 'none';
+        });
+
+        const seek = document.getElementById('playbackSeek');
+        seek.disabled = !replay;
+
+        if (replay) {
+            const length = progress.end - progress.start;
+            seek.value = length > 0 ? Math.round((progress.position - progress.start) / length * 1000) : 0;
+            document.getElementById('playbackTime').textContent =
+                `${new Date(progress.position).toLocaleTimeString()} · ${clock(progress.position - progress.start)} / ${clock(length)}`;
+
+            const toggle = document.getElementById('playbackToggleBtn');
+            toggle.innerHTML = `<i class="fas fa-${progress.playing ? 'pause' : 'play'}"></i>`;
+            toggle.title = progress.playing ? 'Pause' : 'Play';
+            document.querySelectorAll('[data-speed]').forEach(btn => {
+                btn.classList.toggle('active', parseInt(btn.dataset.speed) === progress.speed);
+            });
+        } else {
+            seek.value = Math.round(progress.position / progress.duration * 1000);
+            document.getElementById('playbackTime').textContent =
+                `${clock(progress.position * 1000)} / ${clock(progress.duration * 1000)}${progress.loop ? ' (looping)' : ''}`;
         }
     }
 
-    disconnect() {
-        if (this.socket) {
-            this.socket.close();
-            this.socket = null;
+    bindConnection(connection) {
+        this.connectionBindings = [
+            connection.on('open', () => this.handleConnectionOpen()),
+            connection.on('close', () => this.handleConnectionClose()),
+            connection.on('reconnecting', (attempt, delay) => {
+                const limit = isFinite(connection.maxAttempts) ? `/${connection.maxAttempts}` : '';
+                this.updateConnectionStatus('connecting', `Reconnecting in ${Math.ceil(delay / 1000)}s (${attempt}${limit})`);
+            }),
+            connection.on('giveup', attempts => this.handleReconnectGiveUp(attempts)),
+            connection.on('stale', age => this.setDataStale(true, age)),
+            connection.on('fresh', () => this.setDataStale(false)),
+            connection.on('error', (error) => {
+                this.showNotification('Connection error: ' + (error.message || error.type || error), 'error');
+                this.updateConnectionStatus('error', 'Connection Failed');
+            }),
+            connection.on('telemetry', frame => this.handleSensorData(frame)),
+            connection.on('handshake', frame => this.handleHandshake(frame)),
+            connection.on('ack', frame => this.commandChannel.handleAck(frame)),
+            connection.on('alert', frame => this.handleDeviceAlert(frame)),
+            connection.on('unknown', (rawData, reason) => this.logDiagnostic('warning', reason, rawData)),
+            connection.on('progress', progress => this.updatePlayback(progress)),
+            connection.on('seek', () => this.handleReplaySeek()),
+            connection.on('ended', () => this.showNotification('Replay finished', 'info'))
+        ];
+    }
+
+    handleConnectionOpen() {
+        this.isConnected = true;
+        this.updateConnectionStatus('connected', this.getConnectedText());
+        this.showNotification('Connected to sensor server', 'success');
+        this.startDataRateCalculation();
+
+        this.sessionRecorder.addSource(this.connection.label);
+        if (this.connection.kind === 'device') {
+            this.profileManager.addDevice(this.profileManager.activeProfileId, this.connection.endpoint);
+        } else {
+            this.updatePlayback(this.connection.getProgress());
         }
+
+        // A recording cannot act on commands; they stay queued and fail once another source connects
+        if (this.connection.interactive) {
+            this.commandChannel.attach(message => this.connection.send(message), this.connection.endpoint);
+            this.sendDeviceConfig();
+        }
+    }
+
+    getConnectedText() {
+        const texts = { simulator: 'Simulating', replay: 'Replaying' };
+        return texts[this.connection.kind] || 'Connected';
+    }
+
+    // The connection schedules its own reconnects with backoff
+    handleConnectionClose() {
+        const wasConnected = this.isConnected;
         this.isConnected = false;
+        this.commandChannel.detach();
+        this.setDataStale(false);
+        this.setEffectiveInterval(null);
         this.updateConnectionStatus('disconnected', 'Disconnected');
-        this.showNotification('Disconnected from server', 'info');
+
+        if (wasConnected) {
+            this.showNotification('Connection lost', 'warning');
+        }
     }
 
-    reconnect() {
-        this.disconnect();
-        setTimeout(() => this.connect(), 1000);
+    handleReconnectGiveUp(attempts) {
+        this.updateConnectionStatus('error', 'Connection Lost');
+        this.showNotification(`Could not reach the device after ${attempts} attempts`, 'error');
+        this.addToAlertHistory({
+            type: 'connection_lost',
+            title: 'Device Unreachable',
+            description: `Gave up reconnecting to ${this.connection.endpoint} after ${attempts} attempts`,
+            severity: 'high',
+            icon: 'fas fa-unlink',
+            timestamp: new Date()
+        });
     }
 
-    handleSensorData(rawData) {
-    try {
-        const sensorData = JSON.parse(rawData);
-        this.sensorData = { ...this.sensorData, ...sensorData };
-        this.updateDataRate();
-        this.updateDashboard();
-        this.processWithAI(sensorData);
-        
-        // Add to history for charts
-        this.dataHistory.push({
-            timestamp: new Date(),
-            ...sensorData
+    // Fleet connections always reconnect; the dashboard's own connection follows the setting
+    applyConnectionSettings() {
+        if (!this.connection) return;
+
+        // Until the device confirms a change it keeps sending at the rate it last applied
+        this.connection.setExpectedInterval(this.effectiveInterval || parseInt(this.getSetting('updateInterval')) || 2000);
+        if (this.fleetManager.getConnection(this.connection.endpoint) !== this.connection) {
+            this.connection.autoReconnect = this.getSetting('autoReconnect') !== false;
+        }
+    }
+
+    // Asks the device to sample at the configured interval; the ack reports what it applied
+    sendDeviceConfig() {
+        if (!this.isConnected) return;
+
+        const config = {
+            sampleInterval: parseInt(this.getSetting('updateInterval')) || 2000
+        };
+        this.commandChannel.send('config', config);
+        document.getElementById('effectiveInterval').textContent = `Applying ${config.sampleInterval / 1000}s...`;
+    }
+
+    handleConfigStatus(command) {
+        if (command.status === 'acknowledged') {
+            const applied = command.response.sampleInterval;
+            this.setEffectiveInterval(typeof applied === 'number' ? applied : command.payload.sampleInterval);
+
+            if (typeof applied === 'number' && applied !== command.payload.sampleInterval) {
+                this.showNotification(`Device limited the update interval to ${applied / 1000}s`, 'warning');
+            }
+        } else if (command.status === 'failed') {
+            document.getElementById('effectiveInterval').textContent = 'Not confirmed by device';
+            this.logDiagnostic('warning', 'Device did not confirm the sample interval', command.payload);
+        }
+    }
+
+    setEffectiveInterval(interval) {
+        this.effectiveInterval = interval;
+        document.getElementById('effectiveInterval').textContent = interval ?
+            `${interval / 1000}s (${(1000 / interval).toFixed(2)} Hz)` :
+            'Not connected';
+
+        if (interval && this.connection) {
+            this.connection.setExpectedInterval(interval);
+        }
+    }
+
+    // Greys out the vitals while no frames arrive so frozen values are not mistaken for live ones
+    setDataStale(stale, age = 0) {
+        if (this.dataStale === stale) return;
+        this.dataStale = stale;
+
+        document.querySelectorAll('.vital-card').forEach(card => card.classList.toggle('stale', stale));
+
+        if (!stale) {
+            if (this.isConnected) {
+                this.updateConnectionStatus('connected', this.getConnectedText());
+            }
+            return;
+        }
+
+        this.updateConnectionStatus('stale', 'No Data');
+        this.showNotification(`No sensor data for ${Math.round(age / 1000)}s`, 'warning');
+        this.addToAlertHistory({
+            type: 'data_stale',
+            title: 'Sensor Data Stale',
+            description: `No telemetry received for ${Math.round(age / 1000)} seconds`,
+            severity: 'high',
+            icon: 'fas fa-hourglass-half',
+            timestamp: new Date()
+        });
+
+        if (this.getSetting('soundAlerts')) {
+            this.playAlertSound();
+        }
+    }
+
+    disconnect() {
+        this.commandChannel.detach();
+        if (this.connection) {
+            this.connectionBindings.forEach(unbind => unbind());
+            this.connectionBindings = [];
+
+            // Leave the socket open when the fleet view is still watching this device
+            if (this.fleetManager.getConnection(this.connection.endpoint) !== this.connection) {
+                this.connection.disconnect();
+            }
+
+            const sandboxed = !this.connection.persistent;
+            this.connection = null;
+            if (sandboxed) {
+                document.getElementById('playbackBar').style.display = 'none';
+                this.stopSandbox();
+            }
+        }
+        this.fleetManager.setPrimary(null);
+        this.isConnected = false;
+        this.updateConnectionStatus('disconnected', 'Disconnected');
+        this.showNotification('Disconnected from server', 'info');
+    }
+
+    reconnect() {
+        this.disconnect();
+        setTimeout(() => this.connect(), 1000);
+    }
+
+    handleSensorData(frame) {
+        // The router has already parsed the frame; drop routing metadata before merging
+        const { type, ...rawData } = frame;
+
+        const now = this.getSourceTime();
+        this.sessionRecorder.recordFrame(rawData, now);
+
+        // The AI engine validates the frame; the dashboard shows its checked reading with quality flags
+        const analysis = this.processWithAI(rawData, now);
+        const sensorData = TelemetryValidator.getUsable(analysis.reading, analysis.quality);
+        if (this.capabilities.observe(analysis.reading, analysis.quality.renamed)) {
+            this.renderCapabilities();
+        }
+        this.trendDetector.addFrame(sensorData, now);
+        this.updateDataRate();
+        this.updateDashboard();
+
+        // History, trends and charts only keep values that passed validation
+        if (this.isPersistent()) {
+            this.telemetryStore.addFrame({ ...sensorData, quality: analysis.quality.level }).catch(error => {
+                console.error('Error storing telemetry:', error);
+            });
+        }
+        
+        // Add to history for charts (the device timestamp is seconds since boot, not wall time)
+        this.dataHistory.push({
+            ...sensorData,
+            timestamp: new Date(now),
+            anomalies: analysis.anomaly.findings.map(finding => finding.metric)
         });
         
         // Keep only last 100 points
         if (this.dataHistory.length > 100) {
             this.dataHistory.shift();
         }
-        
-        this.updateCharts();
-        this.updateGPSStatus(sensorData); // NEW: Update GPS display
-        this.updateExtendedSensors(sensorData); // NEW: Update additional sensors
-        
-    } catch (error) {
-        console.error('Error parsing sensor data:', error);
+        
+        this.updateCharts();
+        this.updateGPSStatus(sensorData); // NEW: Update GPS display
+        if (document.getElementById('location').classList.contains('active')) {
+            this.renderLocation();
+        }
+        this.updateExtendedSensors(sensorData); // NEW: Update additional sensors
+        if (this.sessionRecorder.isRecording()) {
+            this.updateRecordingStatus();
+        }
+    }
+
+    switchSettingsPanel(panel) {
+        document.querySelectorAll('.settings-subtab').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.panel === panel);
+        });
+        document.querySelectorAll('.settings-panel').forEach(element => {
+            element.classList.toggle('active', element.dataset.panel === panel);
+        });
+    }
+
+    renderRuleEditor(ruleSet = RuleEngine.loadRuleSet()) {
+        document.getElementById('ruleSetEditor').value = JSON.stringify(ruleSet, null, 2);
+        this.showRuleStatus([], ruleSet);
+    }
+
+    // Returns the parsed rule set when it is valid, null otherwise; either way the status shows why
+    parseRuleEditor() {
+        let ruleSet;
+        try {
+            ruleSet = JSON.parse(document.getElementById('ruleSetEditor').value);
+        } catch (error) {
+            this.showRuleStatus(['Invalid JSON: ' + error.message]);
+            return null;
+        }
+
+        const errors = this.aiEngine.ruleEngine.validate(ruleSet);
+        this.showRuleStatus(errors, ruleSet);
+        return errors.length === 0 ? ruleSet : null;
+    }
+
+    showRuleStatus(errors, ruleSet) {
+        const status = document.getElementById('ruleSetStatus');
+        status.className = `rule-status ${errors.length === 0 ? 'valid' : 'invalid'}`;
+        status.textContent = errors.length === 0 ?
+            `${ruleSet.name || 'Rule set'}: ${ruleSet.rules.length} rules, valid` :
+            errors.slice(0, 10).join('\n') + (errors.length > 10 ? `\n...and ${errors.length - 10} more` : '');
+    }
+
+    applyRules() {
+        const ruleSet = this.parseRuleEditor();
+        if (!ruleSet) {
+            this.showNotification('Rule set has errors, not applied', 'error');
+            return;
+        }
+
+        RuleEngine.saveRuleSet(ruleSet);
+        this.setRuleSetForAllEngines(ruleSet);
+        this.showNotification('Rules applied', 'success');
+    }
+
+    resetRules() {
+        if (!confirm('Replace the current rules with the built-in defaults?')) return;
+
+        RuleEngine.resetRuleSet();
+        this.setRuleSetForAllEngines(DEFAULT_RULE_SET);
+        this.renderRuleEditor(DEFAULT_RULE_SET);
+        this.showNotification('Default rules restored', 'info');
+    }
+
+    // Every wearer's engine and every fleet device scores with the same rules
+    setRuleSetForAllEngines(ruleSet) {
+        this.profileManager.engines.forEach(engine => engine.setRuleSet(ruleSet));
+        this.aiEngine.setRuleSet(ruleSet);
+        this.fleetManager.devices.forEach(device => {
+            if (device.engine) device.engine.setRuleSet(ruleSet);
+        });
+    }
+
+    exportRules() {
+        const ruleSet = this.parseRuleEditor();
+        if (!ruleSet) {
+            this.showNotification('Fix the rule errors before exporting', 'error');
+            return;
+        }
+
+        const name = (ruleSet.name || 'rules').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+        this.downloadFile(`aegis-${name}.json`, JSON.stringify(ruleSet, null, 2), 'application/json');
+    }
+
+    // Imported rules land in the editor for review; they are only used once applied
+    importRules(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            document.getElementById('ruleSetEditor').value = reader.result;
+            if (this.parseRuleEditor()) {
+                this.showNotification(`Imported ${file.name}, review and apply`, 'info');
+            } else {
+                this.showNotification(`${file.name} has errors`, 'error');
+            }
+        };
+        reader.onerror = () => this.showNotification('Could not read ' + file.name, 'error');
+        reader.readAsText(file);
+    }
+
+    addFleetDevice() {
+        const input = document.getElementById('fleetEndpoint');
+        const endpoint = input.value.trim();
+
+        if (!endpoint) {
+            this.showNotification('Please enter a device address', 'error');
+            return;
+        }
+
+        if (!this.fleetManager.addDevice(endpoint)) {
+            this.showNotification('Device is already in the fleet', 'warning');
+            return;
+        }
+        input.value = '';
+    }
+
+    // Many devices report every couple of seconds; batch their updates into one render per frame
+    scheduleFleetRender() {
+        if (this.fleetRenderPending || !document.getElementById('fleet').classList.contains('active')) return;
+
+        this.fleetRenderPending = true;
+        requestAnimationFrame(() => {
+            this.fleetRenderPending = false;
+            this.renderFleet();
+        });
+    }
+
+    renderFleet() {
+        const grid = document.getElementById('fleetGrid');
+        const devices = this.fleetManager.getDevicesByRisk();
+
+        document.getElementById('fleetCount').textContent = devices.length;
+
+        if (devices.length === 0) {
+            grid.innerHTML = `
+                <div class="no-alerts">
+                    <i class="fas fa-users"></i>
+                    <p>No devices in the fleet yet</p>
+                </div>
+            `;
+            return;
+        }
+
+        grid.innerHTML = devices.map(device => {
+            const profile = this.fleetManager.getProfileFor(device.endpoint);
+            const data = device.sensorData || {};
+            const risk = device.analysis ? device.analysis.riskLevel : 'unknown';
+            const value = (v, digits = 0) => typeof v === 'number' ? v.toFixed(digits) : '--';
+
+            return `
+                <div class="fleet-tile risk-${risk}${device.connection.stale ? ' stale' : ''}" data-endpoint="${this.escapeHTML(device.endpoint)}">
+                    <div class="fleet-tile-header">
+                        <div class="status-dot ${device.connection.status}"></div>
+                        <div class="fleet-name">
+                            <div>${this.escapeHTML(profile ? profile.name : device.endpoint)}</div>
+                            <small>${this.escapeHTML(device.endpoint)}</small>
+                        </div>
+                        <button class="btn-icon fleet-remove" title="Remove from fleet">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </div>
+                    <div class="fleet-vitals">
+                        <span><i class="fas fa-heart"></i> ${value(data.heartRate)}</span>
+                        <span><i class="fas fa-thermometer-half"></i> ${value(data.temperature, 1)}</span>
+                        <span><i class="fas fa-wind"></i> ${value(data.gasLevel)}</span>
+                    </div>
+                    <div class="fleet-tile-footer">
+                        <span class="fleet-risk ${risk}">${risk}</span>
+                        <span>${device.connection.getDataRate().toFixed(1)} Hz</span>
+                        <span>${device.lastUpdate ? new Date(device.lastUpdate).toLocaleTimeString() : 'No data'}</span>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    openFleetDevice(endpoint) {
+        const profile = this.fleetManager.getProfileFor(endpoint);
+        if (profile && profile.id !== this.profileManager.activeProfileId) {
+            this.switchProfile(profile.id);
+        } else if (this.isConnected || this.connection) {
+            this.disconnect();
+        }
+
+        document.getElementById('dataSourceType').value = 'device';
+        this.updateSourceControls();
+        document.getElementById('serverIP').value = endpoint;
+        this.connect();
+        this.switchTab('dashboard');
+    }
+
+    escapeHTML(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    renderProfiles() {
+        const active = this.profileManager.getActiveProfile();
+        const select = document.getElementById('profileSelect');
+        select.innerHTML = '';
+        this.profileManager.profiles.forEach(profile => {
+            const option = document.createElement('option');
+            option.value = profile.id;
+            option.textContent = profile.name;
+            option.selected = profile.id === active.id;
+            select.appendChild(option);
+        });
+
+        document.getElementById('deviceEndpoints').innerHTML = active.devices
+            .map(device => `<option value="${this.escapeHTML(device)}"></option>`)
+            .join('');
+
+        document.getElementById('profileName').value = active.name;
+        document.getElementById('profileAge').value = active.age || '';
+        document.getElementById('profileNotes').value = active.medicalNotes;
+        document.getElementById('profileContacts').value = active.emergencyContacts
+            .map(contact => `${contact.name}, ${contact.phone}`)
+            .join('\n');
+        document.getElementById('profileDevices').value = active.devices.join('\n');
+    }
+
+    switchProfile(id) {
+        // Never let a queued emergency for one wearer reach another wearer's device
+        if (this.commandChannel.hasPending()) {
+            this.commandChannel.cancelPending();
+        }
+        if (this.isConnected) {
+            this.disconnect();
+        }
+        // A recording belongs to one wearer; it ends before the store is swapped
+        if (this.sessionRecorder.isRecording()) {
+            this.toggleRecording();
+        }
+        this.profileManager.setActiveProfile(id);
+    }
+
+    applyProfile(profile) {
+        this.telemetryStore.close();
+        this.aiEngine = this.profileManager.getEngine(profile.id);
+        this.telemetryStore = this.profileManager.createTelemetryStore(profile.id);
+        this.sessionStore.close();
+        this.sessionStore = this.profileManager.createSessionStore(profile.id);
+        this.sessionRecorder.setStore(this.sessionStore);
+        this.compareSelection.clear();
+        this.closeComparison();
+        this.cancelImport();
+        this.resetLiveState();
+
+        this.loadSettings();
+        this.renderProfiles();
+        this.renderAlertHistory();
+        this.updateBaselineStatus();
+        this.loadStoredHistory();
+        this.renderSessions();
+        this.showNotification(`Switched to ${profile.name}`, 'info');
+    }
+
+    saveProfile() {
+        const parseLines = value => value.split('\n').map(line => line.trim()).filter(Boolean);
+        const age = parseInt(document.getElementById('profileAge').value);
+
+        this.profileManager.updateProfile(this.profileManager.activeProfileId, {
+            name: document.getElementById('profileName').value.trim() || 'Unnamed Wearer',
+            age: isNaN(age) ? null : age,
+            medicalNotes: document.getElementById('profileNotes').value.trim(),
+            emergencyContacts: parseLines(document.getElementById('profileContacts').value).map(line => {
+                const [name, ...phone] = line.split(',');
+                return { name: name.trim(), phone: phone.join(',').trim() };
+            }),
+            devices: parseLines(document.getElementById('profileDevices').value)
+        });
+
+        this.renderProfiles();
+        this.loadSettings();
+        this.showNotification('Profile saved', 'success');
+    }
+
+    createProfile() {
+        const profile = this.profileManager.createProfile();
+        this.switchProfile(profile.id);
+    }
+
+    deleteProfile() {
+        const profile = this.profileManager.getActiveProfile();
+        const next = this.profileManager.profiles.find(p => p.id !== profile.id);
+        if (!next) {
+            this.showNotification('At least one profile is required', 'error');
+            return;
+        }
+        if (!confirm(`Delete ${profile.name} and all of their history?`)) return;
+
+        try {
+            this.switchProfile(next.id);
+            this.profileManager.deleteProfile(profile.id);
+            this.renderProfiles();
+            this.showNotification(`${profile.name} deleted`, 'info');
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+        }
+    }
+
+    async loadStoredHistory() {
+        const generation = this.historyGeneration;
+        try {
+            const [frames, analyses] = await Promise.all([
+                this.telemetryStore.getRecentFrames(100),
+                this.telemetryStore.getRecentAnalyses(1000)
+            ]);
+            // The profile was switched, a sandbox started or a replay sought while the store was read
+            if (generation !== this.historyGeneration) return;
+
+            this.dataHistory = frames.map(frame => ({ ...frame, timestamp: new Date(frame.timestamp) }));
+            this.dataHistory.forEach(frame => this.trendDetector.addFrame(frame, frame.timestamp.getTime()));
+            this.aiEngine.loadHistory(analyses, frames);
+            this.updateCharts();
+        } catch (error) {
+            if (generation !== this.historyGeneration) return;
+            console.error('Error loading stored history:', error);
+            this.showNotification('Stored history unavailable: ' + error.message, 'warning');
+        }
+    }
+
+    renderAnalyticsChart(type, labels, datasets, stacked = false) {
+        if (this.charts.analytics) {
+            this.charts.analytics.destroy();
+        }
+
+        const axis = {
+            stacked: stacked,
+            ticks: {
+                color: '#B0B0B0'
+            },
+            grid: {
+                color: 'rgba(255, 255, 255, 0.1)'
+            }
+        };
+
+        const analyticsCtx = document.getElementById('analyticsChart').getContext('2d');
+        this.charts.analytics = new Chart(analyticsCtx, {
+            type: type,
+            data: {
+                labels: labels,
+                datasets: datasets
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    legend: {
+                        labels: {
+                            color: '#FFFFFF',
+                            // The min/max band edges are explained by the band itself
+                            filter: item => !item.text.startsWith('Range')
+                        }
+                    }
+                },
+                scales: {
+                    x: axis,
+                    y: stacked ? { ...axis, max: 100 } : axis
+                }
+            }
+        });
+    }
+
+    async updateAnalytics() {
+        const ranges = {
+            hour: { span: 60 * 60 * 1000, resolution: 'minute' },
+            day: { span: 24 * 60 * 60 * 1000, resolution: 'hour' },
+            week: { span: 7 * 24 * 60 * 60 * 1000, resolution: 'day' },
+            month: { span: 30 * 24 * 60 * 60 * 1000, resolution: 'day' }
+        };
+
+        const range = ranges[document.getElementById('analyticsRange').value];
+        const metric = document.getElementById('analyticsMetric').value;
+        const now = Date.now();
+        const from = now - range.span;
+
+        try {
+            const [current, previous] = await Promise.all([
+                this.telemetryStore.getSeries(metric, from, now, range.resolution),
+                this.telemetryStore.getSeries(metric, from - range.span, from, range.resolution)
+            ]);
+
+            const labels = current.map(entry => this.formatBucketLabel(entry.timestamp, range.resolution));
+
+            if (metric === 'posture') {
+                this.renderPostureDistribution(labels, current);
+            } else {
+                this.renderMetricBands(labels, current, previous);
+            }
+
+            this.updateAnalyticsComparison(metric, current, previous);
+        } catch (error) {
+            console.error('Error loading analytics:', error);
+            this.showNotification('Analytics unavailable: ' + error.message, 'warning');
+        }
+    }
+
+    renderMetricBands(labels, current, previous) {
+        const pick = (series, key) => series.map(entry => entry.point ? entry.point[key] : null);
+
+        this.renderAnalyticsChart('line', labels, [
+            {
+                label: 'Range (max)',
+                data: pick(current, 'max'),
+                borderColor: 'transparent',
+                pointRadius: 0,
+                fill: false
+            },
+            {
+                label: 'Range (min)',
+                data: pick(current, 'min'),
+                borderColor: 'transparent',
+                backgroundColor: 'rgba(0, 180, 216, 0.15)',
+                pointRadius: 0,
+                fill: '-1'
+            },
+            {
+                label: 'Average',
+                data: pick(current, 'avg'),
+                borderColor: '#00B4D8',
+                backgroundColor: '#00B4D8',
+                borderWidth: 2,
+                tension: 0.3
+            },
+            {
+                label: 'Previous Period (avg)',
+                data: pick(previous, 'avg').slice(0, labels.length),
+                borderColor: '#B0B0B0',
+                backgroundColor: '#B0B0B0',
+                borderWidth: 1,
+                borderDash: [6, 4],
+                pointRadius: 0,
+                tension: 0.3
+            }
+        ]);
+    }
+
+    renderPostureDistribution(labels, current) {
+        const share = (entry, posture) => {
+            if (!entry.point || !entry.point.counts) return null;
+            return Math.round((entry.point.counts[posture] || 0) / entry.point.count * 100);
+        };
+
+        const colors = ['#00C853', '#FFA726', '#FF4757'];
+        this.renderAnalyticsChart('bar', labels, [0, 1, 2].map(posture => ({
+            label: this.getPostureText(posture) + ' (%)',
+            data: current.map(entry => share(entry, posture)),
+            backgroundColor: colors[posture]
+        })), true);
+    }
+
+    updateAnalyticsComparison(metric, current, previous) {
+        const container = document.getElementById('analyticsComparison');
+        const summarize = series => {
+            const points = series.filter(entry => entry.point).map(entry => entry.point);
+            const count = points.reduce((total, point) => total + point.count, 0);
+            if (count === 0) return null;
+
+            return {
+                avg: points.reduce((total, point) => total + point.avg * point.count, 0) / count,
+                min: Math.min(...points.map(point => point.min)),
+                max: Math.max(...points.map(point => point.max)),
+                goodShare: points.reduce((total, point) => total + ((point.counts || {})[0] || 0), 0) / count * 100
+            };
+        };
+
+        const now = summarize(current);
+        const before = summarize(previous);
+
+        if (!now) {
+            container.textContent = 'No data recorded in this period';
+            return;
+        }
+
+        const key = metric === 'posture' ? 'goodShare' : 'avg';
+        const digits = metric === 'temperature' ? 1 : 0;
+        const headline = metric === 'posture' ?
+            `Good posture ${now.goodShare.toFixed(0)}% of the time` :
+            `Average ${now.avg.toFixed(digits)} (min ${now.min.toFixed(digits)} · max ${now.max.toFixed(digits)})`;
+
+        if (!before) {
+            container.textContent = `${headline} · no data for the previous period`;
+            return;
+        }
+
+        const delta = now[key] - before[key];
+        const sign = delta > 0 ? '+' : '';
+        container.textContent = `${headline} · ${sign}${delta.toFixed(digits)} vs previous period (${before[key].toFixed(digits)})`;
+    }
+
+    formatBucketLabel(timestamp, resolution) {
+        const date = new Date(timestamp);
+        if (resolution === 'day') {
+            return date.toLocaleDateString([], { weekday: 'short', day: 'numeric', month: 'short' });
+        }
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    async updatePerformanceMetrics() {
+        const container = document.getElementById('performanceMetrics');
+        const metrics = [
+            { key: 'overallHealth', label: 'Health Score', unit: '%', digits: 0 },
+            { key: 'heartRate', label: 'Heart Rate', unit: 'BPM', digits: 0 },
+            { key: 'temperature', label: 'Temperature', unit: '°C', digits: 1 },
+            { key: 'gasLevel', label: 'Gas Level', unit: 'PPM', digits: 0 }
+        ];
+
+        try {
+            const since = Date.now() - 24 * 60 * 60 * 1000;
+            const summaries = await Promise.all(metrics.map(metric => this.telemetryStore.summarize(metric.key, since)));
+
+            container.innerHTML = metrics.map((metric, index) => {
+                const summary = summaries[index];
+                const format = value => summary ? value.toFixed(metric.digits) : '--';
+                return `
+                    <div class="metric-item">
+                        <div class="metric-label">${metric.label} (24h)</div>
+                        <div class="metric-value">${format(summary && summary.avg)} <span>${metric.unit}</span></div>
+                        <div class="metric-range">min ${format(summary && summary.min)} · max ${format(summary && summary.max)}</div>
+                    </div>
+                `;
+            }).join('');
+        } catch (error) {
+            console.error('Error loading performance metrics:', error);
+        }
+    }
+
+    handleHandshake(frame) {
+        this.logDiagnostic('info', `Device handshake: ${frame.status}`, frame);
+        this.capabilities.applyHandshake(frame);
+        this.renderCapabilities();
+
+        if (typeof frame.sampleInterval === 'number') {
+            this.setEffectiveInterval(frame.sampleInterval);
+        }
+    }
+
+    // Lists the device's sensors and greys out every widget whose sensor it does not have
+    renderCapabilities() {
+        const capabilities = this.capabilities;
+        const known = capabilities.isKnown();
+        const container = document.getElementById('capabilityReport');
+
+        const version = capabilities.schemaVersion;
+        let schema = version === null ? 'Schema: --' : `Schema: v${version}`;
+        if (version !== null && version > TELEMETRY_SCHEMA.version) {
+            schema += ` (app supports v${TELEMETRY_SCHEMA.version}, unknown fields are ignored)`;
+        } else if (capabilities.renamed.size > 0) {
+            schema += ` (legacy fields mapped: ${[...capabilities.renamed].join(', ')})`;
+        }
+        document.getElementById('capabilitySchema').textContent = schema;
+        document.getElementById('capabilityFirmware').textContent = `Firmware: ${capabilities.firmware || '--'}`;
+
+        if (!known) {
+            container.innerHTML = '<div class="capability-empty">Connect a device to see which sensors it provides</div>';
+        } else {
+            container.innerHTML = '';
+            capabilities.getReport().forEach(entry => {
+                const source = entry.observed ? 'reporting' : entry.declared ? 'declared, no data yet' : 'not provided';
+                const item = document.createElement('div');
+                item.className = `capability-item ${entry.present ? 'present' : 'missing'}`;
+                item.innerHTML = `
+                    <i class="fas ${entry.present ? 'fa-check-circle' : 'fa-times-circle'}"></i>
+                    <span class="capability-label">${this.escapeHTML(entry.label)}</span>
+                    <span class="capability-source">${source}</span>
+                `;
+                item.title = `Fields: ${entry.fields.join(', ')}`;
+                container.appendChild(item);
+            });
+        }
+
+        document.querySelectorAll('[data-sensor]').forEach(element => {
+            element.classList.toggle('sensor-missing', known && !capabilities.has(element.dataset.sensor));
+        });
+    }
+
+    renderLocation() {
+        const fix = this.geoTracker.getLastFix();
+        const geofences = this.geoTracker.getGeofences();
+
+        this.locationMap.render({
+            trail: this.geoTracker.getTrail(),
+            fix: fix,
+            geofences: geofences,
+            insideIds: new Set(geofences.filter(fence => this.geoTracker.isInside(fence.id)).map(fence => fence.id))
+        });
+
+        document.getElementById('locationStatus').textContent = fix ?
+            `${this.formatLocation(fix)} · ${this.geoTracker.getTrail().length} trail points` :
+            'No GPS fix yet';
+
+        this.renderGeofenceList();
+        this.updateGeofenceControls();
+    }
+
+    formatLocation(fix) {
+        const satellites = fix.satellites !== null ? `, ${fix.satellites} sats` : '';
+        return `${fix.latitude.toFixed(6)}, ${fix.longitude.toFixed(6)} (fix ${new Date(fix.fixAt).toLocaleTimeString()}${satellites})`;
+    }
+
+    renderGeofenceList() {
+        const list = document.getElementById('geofenceList');
+        const geofences = this.geoTracker.getGeofences();
+
+        if (geofences.length === 0) {
+            list.innerHTML = '<div class="capability-empty">No geofences defined</div>';
+            return;
+        }
+
+        list.innerHTML = '';
+        geofences.forEach(fence => {
+            const inside = this.geoTracker.isInside(fence.id);
+            const state = inside === null ? 'unknown' : inside ? 'inside' : 'outside';
+            const item = document.createElement('div');
+            item.className = `geofence-item ${fence.alertOn}`;
+            item.innerHTML = `
+                <i class="fas ${fence.alertOn === 'exit' ? 'fa-shield-alt' : 'fa-radiation'}"></i>
+                <span class="geofence-name">${this.escapeHTML(fence.name)}</span>
+                <span class="geofence-state">${fence.alertOn === 'exit' ? 'Safe zone' : 'Hazard zone'} · ${state}</span>
+                <button class="btn-icon" data-geofence-id="${this.escapeHTML(fence.id)}" title="Delete geofence">
+                    <i class="fas fa-trash"></i>
+                </button>
+            `;
+            list.appendChild(item);
+        });
+    }
+
+    updateGeofenceControls() {
+        const drawing = this.locationMap.isDrawing();
+        const corners = drawing ? this.locationMap.draft.length : 0;
+
+        document.getElementById('drawGeofenceBtn').disabled = drawing;
+        document.getElementById('saveGeofenceBtn').disabled = corners < 3;
+        document.getElementById('cancelGeofenceBtn').disabled = !drawing;
+        document.getElementById('mapFollowBtn').classList.toggle('active', this.locationMap.follow);
+        document.getElementById('geofenceHint').textContent = drawing ?
+            `${corners} corner${corners === 1 ? '' : 's'} placed, click Save when done` :
+            'Click Draw, then click the map to place at least three corners';
+    }
+
+    saveGeofence() {
+        const points = this.locationMap.finishDrawing();
+        if (!points) {
+            this.showNotification('A geofence needs at least three corners', 'error');
+            return;
+        }
+
+        const name = document.getElementById('geofenceName').value.trim() || `Zone ${this.geoTracker.getGeofences().length + 1}`;
+        this.geoTracker.addGeofence({
+            name: name,
+            points: points,
+            alertOn: document.getElementById('geofenceType').value
+        });
+        document.getElementById('geofenceName').value = '';
+        this.saveGeofences();
+        this.renderLocation();
+        this.showNotification(`Geofence "${name}" saved`, 'success');
+    }
+
+    removeGeofence(id) {
+        this.geoTracker.removeGeofence(id);
+        this.saveGeofences();
+        this.renderLocation();
+    }
+
+    // Geofences belong to the wearer, so they are kept with the profile's settings
+    saveGeofences() {
+        this.profileManager.updateSettings(this.profileManager.activeProfileId, {
+            geofences: this.geoTracker.getGeofences()
+        });
+    }
+
+    // Last known position for emergency events, so responders know where to go even after the fix is lost
+    getLocationDetails() {
+        const fix = this.geoTracker.getLastFix();
+        return {
+            location: fix,
+            locationText: fix ? `Last known position ${this.formatLocation(fix)}` : 'No GPS fix recorded'
+        };
+    }
+
+    handleDeviceAlert(frame) {
+        const deviceAlerts = {
+            EMERGENCY_MANUAL_TRIGGER: {
+                title: 'Device Emergency Activated',
+                description: 'The wearable is sounding its emergency alarm',
+                icon: 'fas fa-bell'
+            },
+            SOS_SIGNAL_SENT: {
+                title: 'Device SOS Broadcast',
+                description: 'The wearable is broadcasting its SOS pattern',
+                icon: 'fas fa-crosshairs'
+            }
+        };
+
+        // Any other text comes straight from the device and is only ever shown as text
+        const alert = Object.prototype.hasOwnProperty.call(deviceAlerts, frame.alert) ? deviceAlerts[frame.alert] : {
+            title: 'Device Alert',
+            description: frame.alert,
+            icon: 'fas fa-exclamation-triangle'
+        };
+
+        const { location, locationText } = this.getLocationDetails();
+        this.showNotification(alert.title, 'error');
+        this.addToAlertHistory({
+            type: 'device_alert',
+            severity: 'critical',
+            timestamp: new Date(this.getSourceTime()),
+            ...alert,
+            description: `${alert.description}. ${locationText}`,
+            location: location
+        });
+    }
+
+    logDiagnostic(level, message, frame) {
+        const log = document.getElementById('diagnosticsLog');
+        if (!log) return;
+
+        const placeholder = log.querySelector('.diagnostics-empty');
+        if (placeholder) placeholder.remove();
+
+        const raw = typeof frame === 'string' ? frame : JSON.stringify(frame);
+        const entry = document.createElement('div');
+        entry.className = `diagnostic-entry ${level}`;
+        entry.innerHTML = `
+            <span class="diagnostic-time">${new Date().toLocaleTimeString()}</span>
+            <span class="diagnostic-message"></span>
+            <code class="diagnostic-frame"></code>
+        `;
+        // Frames come straight off the wire, never render them as HTML
+        entry.querySelector('.diagnostic-message').textContent = message;
+        entry.querySelector('.diagnostic-frame').textContent = raw;
+        log.insertBefore(entry, log.firstChild);
+
+        // Keep only the last 50 entries
+        while (log.children.length > 50) {
+            log.removeChild(log.lastChild);
+        }
+    }
+
+    clearDiagnostics() {
+        document.getElementById('diagnosticsLog').innerHTML = `
+            <div class="diagnostics-empty">No diagnostics recorded</div>
+        `;
+    }
+
+    // A replay reports when the frame was recorded, so time-based analysis runs on the recorded clock
+    getSourceTime() {
+        return this.connection ? this.connection.now() : Date.now();
+    }
+
+    // Only readings from a real device belong in the wearer's stored history
+    isPersistent() {
+        return !this.connection || this.connection.persistent;
+    }
+
+    processWithAI(sensorData, now = Date.now()) {
+        const analysis = this.aiEngine.analyzeSensorData(sensorData, now);
+        this.sessionRecorder.recordAnalysis(analysis, now);
+        this.sensorData = { ...this.sensorData, ...analysis.reading };
+        this.updateSensorQuality(analysis.quality, sensorData);
+
+        if (this.connection) {
+            this.fleetManager.recordAnalysis(this.connection.endpoint, { ...this.sensorData }, analysis);
+        }
+
+        if (this.isPersistent()) {
+            this.telemetryStore.addAnalysis(analysis).catch(error => {
+                console.error('Error storing analysis:', error);
+            });
+        }
+        
+        // Update health scores
+        this.updateHealthScores(analysis);
+        
+        this.updateHRV(analysis.hrv);
+        this.updateForecast(analysis.forecast);
+
+        if (analysis.baselineEvent) {
+            this.notifyCalibration(analysis.baselineEvent);
+        }
+        this.updateBaselineStatus();
+
+        // Generate insights and recommendations
+        this.updateAIInsights(analysis);
+        this.updatePatterns(analysis);
+        
+        // Check for alerts; geofence alerts go through the same policy as the AI's
+        const geofenceAlerts = this.geoTracker.update(TelemetryValidator.getUsable(analysis.reading, analysis.quality), now);
+        this.handleAlerts([...analysis.alerts, ...geofenceAlerts], now);
+
+        return analysis;
+    }
+
+    updateDashboard() {
+    // Update vital signs (existing); fields that failed validation show as --
+    const format = (value, digits) => typeof value === 'number' ? value.toFixed(digits) : '--';
+    document.getElementById('heartRateValue').textContent = format(this.sensorData.heartRate, 0);
+    document.getElementById('temperatureValue').textContent = format(this.sensorData.temperature, 1);
+    document.getElementById('gasLevelValue').textContent = format(this.sensorData.gasLevel, 0);
+    document.getElementById('postureValue').textContent = typeof this.sensorData.posture === 'number' ?
+        this.getPostureText(this.sensorData.posture) : '--';
+
+    // Update trends (existing)
+    this.updateTrends();
+
+    // Update last update time (existing)
+    document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString();
+    
+    // NEW: Update client count if available
+    if (this.sensorData.clientCount !== undefined) {
+        const clientElement = document.getElementById('clientCount');
+        if (clientElement) {
+            clientElement.textContent = this.sensorData.clientCount;
+        }
+    }
+}
+
+    // Marks vitals whose reading is suspect or bad and logs each sensor fault once when it appears
+    updateSensorQuality(quality, frame) {
+        this.sensorQuality = quality;
+
+        document.querySelectorAll('.vital-item[data-type]').forEach(item => {
+            const field = item.dataset.type;
+            const level = quality.fields[field] || 'good';
+            const issues = quality.issues.filter(issue => issue.field === field && issue.code !== 'missing');
+
+            item.classList.toggle('quality-suspect', level === 'suspect');
+            item.classList.toggle('quality-bad', level === 'bad');
+            item.title = issues.map(issue => issue.message).join('\n');
+        });
+
+        const current = new Set(quality.issues.map(issue => `${issue.field}:${issue.code}`));
+        quality.issues.forEach(issue => {
+            if (!this.qualityIssues.has(`${issue.field}:${issue.code}`)) {
+                this.logDiagnostic(issue.level === 'bad' ? 'warning' : 'info', issue.message, frame);
+            }
+        });
+        this.qualityIssues = current;
+    }
+
+    updateHealthScores(analysis) {
+        const breakdown = analysis.breakdown;
+        const bars = {
+            cardiovascular: { fill: 'cardioScore', value: 'cardioValue' },
+            respiratory: { fill: 'respiratoryScore', value: 'respiratoryValue' },
+            stress: { fill: 'stressScore', value: 'stressValue' }
+        };
+        
+        const percent = score => typeof score === 'number' ? score + '%' : '--';
+        document.getElementById('healthScore').textContent = percent(analysis.overallHealth);
+
+        Object.entries(bars).forEach(([key, ids]) => {
+            const fill = document.getElementById(ids.fill);
+            fill.style.width = (breakdown[key].score || 0) + '%';
+            document.getElementById(ids.value).textContent = percent(breakdown[key].score);
+
+            // Explain the sub-score on hover
+            fill.closest('.breakdown-item').title = breakdown[key].factors.join('\n');
+        });
+    }
+
+    updateHRV(hrv) {
+        const format = (value, digits) => value === null ? '--' : value.toFixed(digits);
+
+        document.getElementById('sdnnValue').textContent = format(hrv.sdnn, 0);
+        document.getElementById('rmssdValue').textContent = format(hrv.rmssd, 0);
+        document.getElementById('pnn50Value').textContent = format(hrv.pnn50, 1);
+        document.getElementById('hrvSource').textContent = hrv.sdnn === null ?
+            'Collecting beats...' :
+            hrv.source === 'rr' ?
+                `From ${hrv.samples} RR intervals (5 min window)` :
+                `Approximated from ${hrv.samples} BPM readings`;
+    }
+
+    startCalibration() {
+        const baseline = this.aiEngine.personalBaseline;
+
+        if (baseline.isCalibrating()) {
+            baseline.cancelCalibration();
+            this.showNotification('Calibration cancelled', 'info');
+        } else {
+            const duration = parseInt(document.getElementById('calibrationDuration').value);
+            baseline.startCalibration(duration, this.getSourceTime());
+            this.showNotification('Calibration started, the wearer should stay at rest', 'info');
+        }
+        this.updateBaselineStatus();
+    }
+
+    notifyCalibration(event) {
+        const { rejected } = this.aiEngine.personalBaseline.lastCalibration;
+        const sensors = rejected.map(metric => TELEMETRY_SCHEMA.fields[metric].label.toLowerCase()).join(' and ');
+
+        if (event === 'calibrated') {
+            this.showNotification('Calibration complete, scoring against the personal baseline', 'success');
+        } else if (event === 'partial') {
+            this.showNotification(`Calibration complete except ${sensors}: not enough plausible readings, ` +
+                'it keeps its previous range', 'warning');
+        } else {
+            this.showNotification(`Calibration failed: not enough plausible ${sensors} readings`, 'error');
+        }
     }
-}
 
-    processWithAI(sensorData) {
-        const analysis = aiEngine.analyzeSensorData(sensorData);
-        
-        // Update health scores
-        this.updateHealthScores(analysis);
-        
-        // Generate insights and recommendations
-        this.updateAIInsights(analysis);
-        
-        // Check for alerts
-        this.handleAlerts(analysis.alerts);
+    resetBaseline() {
+        this.aiEngine.personalBaseline.reset();
+        this.showNotification('Personal baseline cleared, using population ranges', 'info');
+        this.updateBaselineStatus();
     }
 
-    updateDashboard() {
-    // Update vital signs (existing)
-    document.getElementById('heartRateValue').textContent = Math.round(this.sensorData.heartRate);
-    document.getElementById('temperatureValue').textContent = this.sensorData.temperature.toFixed(1);
-    document.getElementById('gasLevelValue').textContent = this.sensorData.gasLevel;
-    document.getElementById('postureValue').textContent = this.getPostureText(this.sensorData.posture);
+    updateBaselineStatus() {
+        const baseline = this.aiEngine.personalBaseline;
+        const status = document.getElementById('baselineStatus');
+        const button = document.getElementById('startCalibrationBtn');
+
+        if (baseline.isCalibrating()) {
+            const progress = baseline.getCalibrationProgress(this.getSourceTime());
+            const readings = Object.entries(progress.samples)
+                .map(([metric, count]) => `${count} ${TELEMETRY_SCHEMA.fields[metric].label.toLowerCase()}`)
+                .join(', ');
+            status.textContent = `Calibrating: ${Math.round(progress.progress * 100)}% ` +
+                `(${Math.ceil(progress.remaining / 60000)} min left, ${readings} readings)`;
+            button.innerHTML = '<i class="fas fa-stop"></i> Cancel Calibration';
+            return;
+        }
 
-    // Update trends (existing)
-    this.updateTrends();
+        button.innerHTML = '<i class="fas fa-play"></i> Start Calibration';
 
-    // Update last update time (existing)
-    document.getElementById('lastUpdate').textContent = new Date().toLocaleTimeString();
-    
-    // NEW: Update client count if available
-    if (this.sensorData.clientCount !== undefined) {
-        const clientElement = document.getElementById('clientCount');
-        if (clientElement) {
-            clientElement.textContent = this.sensorData.clientCount;
+        if (!baseline.isCalibrated()) {
+            status.textContent = 'Not calibrated, scoring against population ranges';
+            return;
         }
+
+        // A sensor rejected at calibration is still scored against the population range
+        const hr = this.aiEngine.getBaseline('heartRate');
+        const temp = this.aiEngine.getBaseline('temperature');
+        const source = range => range.personal ? '' : ' (population)';
+        status.textContent = `Heart rate ${Math.round(hr.min)}-${Math.round(hr.max)} BPM (rest ${Math.round(hr.optimal)})${source(hr)}, ` +
+            `temperature ${temp.min.toFixed(1)}-${temp.max.toFixed(1)}°C${source(temp)}`;
     }
-}
 
-    updateHealthScores(analysis) {
-        const breakdown = aiEngine.getHealthBreakdown(analysis.overallHealth);
-        
-        document.getElementById('healthScore').textContent = analysis.overallHealth + '%';
-        document.getElementById('cardioScore').style.width = breakdown.cardiovascular + '%';
-        document.getElementById('respiratoryScore').style.width = breakdown.respiratory + '%';
-        document.getElementById('stressScore').style.width = breakdown.stress + '%';
-        
-        document.getElementById('cardioValue').textContent = Math.round(breakdown.cardiovascular) + '%';
-        document.getElementById('respiratoryValue').textContent = Math.round(breakdown.respiratory) + '%';
-        document.getElementById('stressValue').textContent = Math.round(breakdown.stress) + '%';
+    updateForecast(forecast) {
+        this.forecast = forecast || {};
+
+        const element = document.getElementById('healthForecast');
+        const health = this.forecast.overallHealth;
+        if (!health) {
+            element.textContent = 'Forecast: collecting data...';
+            return;
+        }
+
+        element.textContent = `Forecast: ${Math.round(health.h15.value)}% in 15 min, ` +
+            `${Math.round(health.h30.value)}% in 30 min (${Math.round(health.h30.lower)}-${Math.round(health.h30.upper)}%)`;
     }
 
     updateAIInsights(analysis) {
@@ -344,16 +1759,54 @@ class AegisShieldApp {
         });
     }
 
+    updatePatterns(analysis) {
+        const activeContainer = document.getElementById('activePatterns');
+        const episodesContainer = document.getElementById('patternEpisodes');
+        const label = name => name.replace(/_pattern$/, '').replace(/_/g, ' ');
+
+        activeContainer.innerHTML = analysis.patterns.length === 0 ?
+            '<div class="pattern-empty">No sustained patterns</div>' :
+            analysis.patterns.map(pattern => `
+                <div class="pattern-item ${pattern.severity} ${pattern.state === 'offset' ? 'ending' : ''}">
+                    <div>
+                        <strong>${this.escapeHTML(label(pattern.name))}</strong>
+                        <div>${this.escapeHTML(pattern.description)}</div>
+                    </div>
+                    <span class="pattern-duration">${this.formatDuration(pattern.duration)}${pattern.episodes > 0 ? ` · ${pattern.episodes} earlier` : ''}</span>
+                </div>
+            `).join('');
+
+        const episodes = this.aiEngine.getPatternEpisodes().slice(0, 5);
+        episodesContainer.innerHTML = episodes.length === 0 ?
+            '<div class="pattern-empty">No episodes yet</div>' :
+            episodes.map(episode => `
+                <div class="pattern-item">
+                    <strong>${this.escapeHTML(label(episode.name))}</strong>
+                    <span class="pattern-duration">
+                        ${new Date(episode.start).toLocaleTimeString()} - ${new Date(episode.end).toLocaleTimeString()}
+                        (${this.formatDuration(episode.duration)})
+                    </span>
+                </div>
+            `).join('');
+    }
+
+    formatDuration(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return `${Math.round(ms / 1000)}s`;
+        if (minutes < 60) return `${minutes} min`;
+        return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+    }
+
     createInsightElement(insight) {
         const div = document.createElement('div');
         div.className = `insight-item ${insight.severity}`;
         div.innerHTML = `
             <div class="insight-icon">
-                <i class="${insight.icon}"></i>
+                <i class="${this.escapeHTML(insight.icon || 'fas fa-lightbulb')}"></i>
             </div>
             <div class="insight-content">
-                <h4>${insight.title}</h4>
-                <p>${insight.description}</p>
+                <h4>${this.escapeHTML(insight.title)}</h4>
+                <p>${this.escapeHTML(insight.description)}</p>
             </div>
             <div class="insight-severity ${insight.severity}">
                 ${insight.severity.toUpperCase()}
@@ -367,49 +1820,131 @@ class AegisShieldApp {
         div.className = `recommendation-item ${recommendation.priority}`;
         div.innerHTML = `
             <div class="recommendation-icon">
-                <i class="${recommendation.icon}"></i>
+                <i class="${this.escapeHTML(recommendation.icon || 'fas fa-lightbulb')}"></i>
             </div>
             <div class="recommendation-content">
-                <h4>${recommendation.title}</h4>
-                <p>${recommendation.description}</p>
+                <h4>${this.escapeHTML(recommendation.title)}</h4>
+                <p>${this.escapeHTML(recommendation.description)}</p>
             </div>
         `;
         return div;
     }
 
-    handleAlerts(alerts) {
+    handleAlerts(alerts, now = Date.now()) {
+        this.alertPolicy.evaluate(alerts, now);
+        this.renderActiveAlerts();
+    }
+
+    // Toasts and sounds fire on state changes only, never on every frame that repeats an alert
+    handleAlertEvent(event, entry) {
+        const alert = entry.alert;
+        this.logAlertEvent(event, entry);
+
+        if (event === 'raised') {
+            this.showNotification(alert.title + ': ' + alert.description,
+                entry.severity === 'critical' || entry.severity === 'high' ? 'error' : 'warning');
+
+            if (this.getSetting('soundAlerts') && (entry.severity === 'critical' || alert.immediateAction)) {
+                this.playAlertSound();
+            }
+        } else if (event === 'escalated') {
+            this.showNotification(`Unacknowledged: ${alert.title} (escalated to ${entry.severity})`, 'error');
+
+            if (this.getSetting('soundAlerts')) {
+                this.playAlertSound();
+            }
+        }
+
+        if (event !== 'updated') {
+            if (event !== 'raised') {
+                this.renderActiveAlerts();
+            }
+            this.renderAlertHistory();
+        }
+    }
+
+    // One log entry per alert, updated through its lifecycle. The stored log is rewritten on state changes
+    // only; the reading count and last-seen time of a repeating alert catch up at its next change.
+    // Every time in the entry is on the data source's clock, the one raisedAt comes from.
+    logAlertEvent(event, entry) {
+        if (event === 'updated') return;
+
+        const now = this.getSourceTime();
+        this.sessionRecorder.recordAlert(event, { ...entry.alert, type: entry.type, severity: entry.severity }, now);
+
+        if (event === 'raised' && entry.occurrences === 1) {
+            this.profileManager.addAlertLogEntry({
+                id: entry.id,
+                type: entry.type,
+                title: entry.alert.title,
+                description: entry.alert.description,
+                severity: entry.severity,
+                icon: entry.alert.icon,
+                state: entry.state,
+                timestamp: entry.raisedAt,
+                raisedAt: entry.raisedAt,
+                updatedAt: entry.raisedAt,
+                occurrences: 1,
+                vitals: this.getVitalsSnapshot(),
+                source: this.getAlertSource()
+            });
+            return;
+        }
+
+        const changes = {
+            state: event === 'cleared' ? 'cleared' : entry.state,
+            severity: entry.severity,
+            updatedAt: entry.lastSeenAt,
+            occurrences: entry.occurrences
+        };
+        if (event !== 'raised') {
+            changes[`${event}At`] = now;
+        }
+        this.profileManager.updateAlertLogEntry(entry.id, changes);
+    }
+
+    renderActiveAlerts() {
         const alertsList = document.getElementById('alertsList');
-        const alertCount = document.getElementById('alertCount');
-        
-        // Clear previous alerts
-        alertsList.innerHTML = '';
-        
-        if (alerts.length === 0) {
+        const entries = this.alertPolicy.getActive();
+
+        document.getElementById('alertCount').textContent = this.alertPolicy.getUnacknowledgedCount();
+
+        if (entries.length === 0) {
             alertsList.innerHTML = `
                 <div class="no-alerts">
                     <i class="fas fa-check-circle"></i>
                     <p>All systems normal</p>
                 </div>
             `;
-            alertCount.textContent = '0';
             return;
         }
 
-        alertCount.textContent = alerts.length;
-
-        alerts.forEach(alert => {
-            const alertElement = this.createAlertElement(alert);
-            alertsList.appendChild(alertElement);
-            
-            // Show notification for high severity alerts
-            if (alert.severity === 'critical' || alert.immediateAction) {
-                this.showNotification(alert.title + ': ' + alert.description, 'error');
-                
-                // Play sound alert if enabled
-                if (this.getSetting('soundAlerts')) {
-                    this.playAlertSound();
-                }
+        alertsList.innerHTML = '';
+        entries.forEach(entry => {
+            const alertElement = this.createAlertElement({
+                ...entry.alert,
+                severity: entry.severity,
+                timestamp: new Date(entry.raisedAt)
+            });
+            alertElement.classList.add(entry.state);
+
+            const actions = document.createElement('div');
+            actions.className = 'alert-actions';
+            if (entry.state === 'active' || entry.state === 'escalated') {
+                actions.innerHTML = `
+                    <button class="btn-icon" data-alert-action="acknowledge" data-alert-type="${this.escapeHTML(entry.type)}" title="Acknowledge">
+                        <i class="fas fa-check"></i>
+                    </button>
+                    <button class="btn-icon" data-alert-action="snooze" data-alert-type="${this.escapeHTML(entry.type)}" title="Snooze for 5 minutes">
+                        <i class="fas fa-bell-slash"></i>
+                    </button>
+                `;
+            } else {
+                actions.innerHTML = `<span class="alert-state">${entry.state === 'snoozed' ?
+                    'Snoozed until ' + new Date(entry.snoozedUntil).toLocaleTimeString() : 'Acknowledged'}</span>`;
             }
+            alertElement.insertBefore(actions, alertElement.querySelector('.alert-time'));
+            alertsList.appendChild(alertElement);
         });
     }
 
@@ -418,52 +1953,90 @@ class AegisShieldApp {
         div.className = `alert-item ${alert.severity}`;
         div.innerHTML = `
             <div class="alert-icon">
-                <i class="${alert.icon}"></i>
+                <i class="${this.escapeHTML(alert.icon || 'fas fa-exclamation-triangle')}"></i>
             </div>
             <div class="alert-content">
-                <div class="alert-title">${alert.title}</div>
-                <div class="alert-description">${alert.description}</div>
+                <div class="alert-title">${this.escapeHTML(alert.title)}</div>
+                <div class="alert-description">${this.escapeHTML(alert.description)}</div>
             </div>
-            <div class="alert-time">${new Date().toLocaleTimeString()}</div>
+            ${alert.commandId ? `<div class="command-status ${alert.commandStatus || 'pending'}">${this.getCommandStatusLabel(alert)}</div>` : ''}
+            <div class="alert-time">${(alert.timestamp || new Date()).toLocaleTimeString()}</div>
         `;
+        if (alert.commandId) {
+            div.dataset.commandId = alert.commandId;
+        }
         return div;
     }
 
     updateTrends() {
-        // This would compare current values with previous values
-        // For now, we'll simulate trends
-        const trends = {
-            heartRate: Math.random() > 0.5 ? 'up' : 'down',
-            temperature: Math.random() > 0.5 ? 'up' : 'down',
-            gasLevel: Math.random() > 0.5 ? 'up' : 'down',
-            posture: 'stable'
+        const units = {
+            heartRate: 'BPM',
+            temperature: '°C',
+            gasLevel: 'PPM',
+            posture: 'levels'
         };
 
-        Object.keys(trends).forEach(type => {
+        Object.keys(units).forEach(type => {
             const trendElement = document.getElementById(`${type}Trend`);
-            const trend = trends[type];
-            
-            trendElement.className = `vital-trend ${trend}`;
-            trendElement.innerHTML = trend === 'up' ? 
+            const trend = this.trendDetector.getTrend(type);
+            const icon = trend.direction === 'up' ? 
                 '<i class="fas fa-arrow-up"></i>' : 
-                trend === 'down' ? 
+                trend.direction === 'down' ? 
                 '<i class="fas fa-arrow-down"></i>' : 
                 '<i class="fas fa-minus"></i>';
+
+            trendElement.className = `vital-trend ${trend.direction}`;
+
+            if (trend.ratePerMinute === null) {
+                trendElement.innerHTML = icon;
+                trendElement.title = 'Collecting samples...';
+                return;
+            }
+
+            const digits = type === 'temperature' || type === 'posture' ? 2 : 1;
+            const rate = (trend.ratePerMinute > 0 ? '+' : '') + trend.ratePerMinute.toFixed(digits);
+            trendElement.innerHTML = `${icon}<span class="trend-rate">${rate}/min</span>`;
+            trendElement.title = `${rate} ${units[type]}/min over the last ${trend.samples} samples`;
         });
     }
 
     updateCharts() {
-        if (this.dataHistory.length === 0) return;
+        if (!this.realtimeChart) return;
+
+        this.realtimeChart.setLive(this.dataHistory);
+        this.realtimeChart.setForecast(this.forecast, this.aiEngine.forecaster.horizons);
+        this.realtimeChart.setBands(this.getBaselineRanges());
+        this.realtimeChart.setAnnotations(this.getChartAnnotations());
+        this.realtimeChart.render();
+    }
+
+    // Alerts and events from the log, marked on the chart where they were raised
+    getChartAnnotations() {
+        const colors = { critical: '#FF4757', high: '#FF6B6B', medium: '#FFA726', low: '#00B4D8' };
+        return this.profileManager.getAlertLog().map(entry => ({
+            timestamp: entry.raisedAt || entry.timestamp,
+            label: entry.source ? `${entry.title} (${entry.source})` : entry.title,
+            color: colors[entry.severity] || colors.medium
+        }));
+    }
 
-        const chartType = document.getElementById('chartType').value;
-        const labels = this.dataHistory.map((_, index) => index);
-        const data = this.dataHistory.map(item => item[chartType]);
+    updateChartControls() {
+        const chart = this.realtimeChart;
+        document.querySelectorAll('[data-chart-metric]').forEach(button => {
+            const metric = button.dataset.chartMetric;
+            const visible = chart.isVisible(metric);
+            button.classList.toggle('active', visible);
+            button.style.borderColor = visible ? chart.metrics[metric].color : '';
+        });
+        document.getElementById('chartLiveBtn').classList.toggle('active', chart.follow);
 
-        this.charts.realtime.data.labels = labels;
-        this.charts.realtime.data.datasets[0].data = data;
-        this.charts.realtime.data.datasets[0].label = this.getChartLabel(chartType);
-        this.charts.realtime.update('none');
+        const { min, max } = chart.getRange();
+        const span = chart.formatSpan();
+        document.getElementById('chartRange').textContent = chart.follow ?
+            `Live · ${span} window · scroll to zoom, drag to look back` :
+            `${new Date(min).toLocaleString()} – ${new Date(max).toLocaleString()} · ${span} window`;
     }
+
     updateGPSStatus(sensorData) {
     const gpsStatus = document.getElementById('gpsStatus');
     
@@ -471,7 +2044,9 @@ class AegisShieldApp {
         gpsStatus.innerHTML = `<i class="fas fa-location-arrow"></i> GPS: ${sensorData.latitude.toFixed(6)}, ${sensorData.longitude.toFixed(6)}`;
         gpsStatus.style.color = 'var(--success)';
     } else {
-        gpsStatus.innerHTML = `<i class="fas fa-location-arrow"></i> GPS: Searching... (${sensorData.satellites || 0} sats)`;
+        const lastFix = this.geoTracker.getLastFix();
+        const since = lastFix ? `, last fix ${new Date(lastFix.fixAt).toLocaleTimeString()}` : '';
+        gpsStatus.innerHTML = `<i class="fas fa-location-arrow"></i> GPS: Searching... (${sensorData.satellites || 0} sats${since})`;
         gpsStatus.style.color = 'var(--warning)';
     }
 }
@@ -479,7 +2054,7 @@ updateExtendedSensors(sensorData) {
     // Update additional sensor displays if they exist
     const elements = {
         'humidityValue': sensorData.humidity,
-        'stressValue': sensorData.stressLevel,
+        'stressLevelValue': sensorData.stressLevel,
         'motionValue': sensorData.motionDetected
     };
     
@@ -516,20 +2091,6 @@ updateExtendedSensors(sensorData) {
     }
 }
 
-    updateChartData(type) {
-        // Chart update is handled in updateCharts()
-        this.updateCharts();
-    }
-
-    getChartLabel(type) {
-        const labels = {
-            heartRate: 'Heart Rate (BPM)',
-            temperature: 'Temperature (°C)',
-            gasLevel: 'Gas Level (PPM)'
-        };
-        return labels[type] || type;
-    }
-
     getPostureText(posture) {
         const postures = ['Good', 'Fair', 'Poor'];
         return postures[posture] || 'Unknown';
@@ -556,7 +2117,7 @@ updateExtendedSensors(sensorData) {
         connectBtn.style.background = 'var(--gradient-danger)';
         
         // Show connected notification with IP
-        this.showNotification(`Connected to ${this.socket.url}`, 'success');
+        this.showNotification(`Connected to ${this.connection.endpoint}`, 'success');
     } else {
         connectBtn.innerHTML = '<i class="fas fa-plug"></i> Connect';
         connectBtn.style.background = 'var(--gradient-primary)';
@@ -576,6 +2137,7 @@ updateExtendedSensors(sensorData) {
         if (elapsed >= 1) {
             const rate = (this.updateCount / elapsed).toFixed(1);
             document.getElementById('dataRate').textContent = rate + ' Hz';
+            document.getElementById('measuredRate').textContent = rate + ' Hz';
             this.updateCount = 0;
             this.lastUpdateTime = now;
         }
@@ -593,6 +2155,34 @@ updateExtendedSensors(sensorData) {
             content.classList.remove('active');
         });
         document.getElementById(tabName).classList.add('active');
+
+        if (tabName === 'fleet') {
+            this.renderFleet();
+        }
+
+        if (tabName === 'location') {
+            this.renderLocation();
+        }
+
+        if (tabName === 'sessions') {
+            this.renderSessions();
+        }
+
+        if (tabName === 'analytics') {
+            this.updateAnalytics();
+            this.updatePerformanceMetrics();
+        }
+    }
+
+    getCommandStatusLabel(entry) {
+        switch (entry.commandStatus) {
+            case 'acknowledged':
+                return `Acknowledged (${entry.roundTripTime} ms)`;
+            case 'failed':
+                return 'Failed';
+            default:
+                return entry.commandAttempts > 1 ? `Retrying (${entry.commandAttempts})` : 'Pending';
+        }
     }
 
     showEmergencyModal() {
@@ -604,37 +2194,618 @@ updateExtendedSensors(sensorData) {
     }
 
     confirmEmergency() {
-        // Simulate emergency broadcast
-        this.showNotification('Emergency alert broadcasted to response team', 'error');
+        const command = this.commandChannel.send('emergency');
+        this.showNotification(this.isConnected ?
+            'Emergency alert sent to device' :
+            'Emergency alert queued until the device reconnects', 'error');
         this.hideEmergencyModal();
         
         // Add to alert history
+        const { location, locationText } = this.getLocationDetails();
         this.addToAlertHistory({
             type: 'manual_emergency',
             title: 'Manual Emergency Triggered',
-            description: 'User initiated emergency protocol',
+            description: `User initiated emergency protocol. ${locationText}`,
+            location: location,
             severity: 'critical',
+            icon: 'fas fa-bell',
+            commandId: command.id,
             timestamp: new Date()
         });
     }
 
     triggerSOS() {
-        this.showNotification('SOS signal broadcasted with location data', 'error');
+        const command = this.commandChannel.send('sos');
+        this.showNotification(this.isConnected ?
+            'SOS signal sent to device' :
+            'SOS signal queued until the device reconnects', 'error');
         
         // Add to alert history
+        const { location, locationText } = this.getLocationDetails();
         this.addToAlertHistory({
             type: 'sos_signal',
             title: 'SOS Signal Sent',
-            description: 'Emergency SOS broadcast initiated',
+            description: `Emergency SOS broadcast initiated. ${locationText}`,
+            location: location,
             severity: 'critical',
+            icon: 'fas fa-crosshairs',
+            commandId: command.id,
             timestamp: new Date()
         });
     }
 
+    updateCommandStatus(command) {
+        if (command.type === 'config') {
+            this.handleConfigStatus(command);
+            return;
+        }
+
+        const entry = {
+            commandStatus: command.status,
+            commandAttempts: command.attempts,
+            roundTripTime: command.roundTripTime
+        };
+        this.profileManager.updateAlertLogEntry(command.id, entry);
+
+        const element = document.querySelector(`[data-command-id="${command.id}"] .command-status`);
+        if (element) {
+            element.className = `command-status ${command.status}`;
+            element.textContent = this.getCommandStatusLabel(entry);
+        }
+
+        if (command.status === 'acknowledged') {
+            document.getElementById('responseTime').textContent = `Response: ${command.roundTripTime} ms`;
+            this.showNotification(`Device acknowledged ${command.type.toUpperCase()} command`, 'success');
+        } else if (command.status === 'failed') {
+            document.getElementById('responseTime').textContent = 'Response: no acknowledgement';
+            this.showNotification(`Device did not acknowledge ${command.type.toUpperCase()} command`, 'error');
+        }
+    }
+
     addToAlertHistory(alert) {
+        const entry = {
+            ...alert,
+            id: alert.commandId || `alert-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+            timestamp: alert.timestamp.getTime(),
+            raisedAt: alert.timestamp.getTime(),
+            vitals: this.isConnected ? this.getVitalsSnapshot() : null,
+            source: this.getAlertSource()
+        };
+        this.profileManager.addAlertLogEntry(entry);
+        this.sessionRecorder.recordAlert('raised', entry, entry.timestamp);
+        this.renderAlertHistory();
+    }
+
+    // Alerts from the simulator or a replay are marked so they are not mistaken for the wearer's own
+    getAlertSource() {
+        return this.isPersistent() ? undefined : this.connection.label;
+    }
+
+    // Scalar readings only; beat arrays and nested sensor objects would bloat the log
+    getVitalsSnapshot() {
+        const vitals = {};
+        Object.entries(this.sensorData).forEach(([key, value]) => {
+            if (value === null || typeof value !== 'object') vitals[key] = value;
+        });
+        return vitals;
+    }
+
+    getAlertLogFilters() {
+        const from = document.getElementById('alertFilterFrom').value;
+        const to = document.getElementById('alertFilterTo').value;
+        return {
+            type: document.getElementById('alertFilterType').value,
+            severity: document.getElementById('alertFilterSeverity').value,
+            // Date inputs are local calendar days; "to" includes the whole day
+            from: from ? new Date(from + 'T00:00').getTime() : null,
+            to: to ? new Date(to + 'T00:00').getTime() + 24 * 60 * 60 * 1000 : null
+        };
+    }
+
+    getFilteredAlertLog() {
+        const filters = this.getAlertLogFilters();
+        return this.profileManager.getAlertLog().filter(entry =>
+            (!filters.type || entry.type === filters.type) &&
+            (!filters.severity || entry.severity === filters.severity) &&
+            (filters.from === null || entry.timestamp >= filters.from) &&
+            (filters.to === null || entry.timestamp < filters.to));
+    }
+
+    renderAlertHistory() {
         const historyContainer = document.getElementById('alertHistory');
-        const alertElement = this.createAlertElement(alert);
-        historyContainer.insertBefore(alertElement, historyContainer.firstChild);
+        const log = this.profileManager.getAlertLog();
+        const entries = this.getFilteredAlertLog();
+
+        // Keep the type filter in step with the types actually present in the log
+        const typeSelect = document.getElementById('alertFilterType');
+        const types = [...new Set(log.map(entry => entry.type))].sort();
+        const selectedType = typeSelect.value;
+        typeSelect.innerHTML = '<option value="">All Types</option>' +
+            types.map(type => `<option value="${this.escapeHTML(type)}">${this.escapeHTML(type.replace(/_/g, ' '))}</option>`).join('');
+        typeSelect.value = types.includes(selectedType) ? selectedType : '';
+
+        document.getElementById('alertFilterCount').textContent = `${entries.length} of ${log.length}`;
+        historyContainer.innerHTML = '';
+
+        entries.forEach(entry => {
+            historyContainer.appendChild(this.createAlertLogElement(entry));
+        });
+    }
+
+    createAlertLogElement(entry) {
+        const element = this.createAlertElement({
+            ...entry,
+            timestamp: new Date(entry.timestamp)
+        });
+        const content = element.querySelector('.alert-content');
+        const time = value => new Date(value).toLocaleTimeString();
+
+        const lifecycle = [];
+        if (entry.raisedAt) lifecycle.push(`Raised ${new Date(entry.raisedAt).toLocaleDateString()} ${time(entry.raisedAt)}`);
+        if (entry.escalatedAt) lifecycle.push(`escalated ${time(entry.escalatedAt)}`);
+        if (entry.acknowledgedAt) lifecycle.push(`acknowledged ${time(entry.acknowledgedAt)}`);
+        if (entry.snoozedAt) lifecycle.push(`snoozed ${time(entry.snoozedAt)}`);
+        if (entry.clearedAt) lifecycle.push(`cleared ${time(entry.clearedAt)}`);
+        if (entry.occurrences > 1) lifecycle.push(`${entry.occurrences} readings`);
+        if (entry.source) lifecycle.push(`from ${entry.source}`);
+
+        if (lifecycle.length > 0) {
+            const line = document.createElement('div');
+            line.className = 'alert-lifecycle';
+            line.textContent = lifecycle.join(' · ');
+            content.appendChild(line);
+        }
+
+        if (entry.vitals) {
+            const vitals = document.createElement('div');
+            vitals.className = 'alert-vitals';
+            vitals.textContent = `HR ${entry.vitals.heartRate} BPM · ${entry.vitals.temperature} °C · ` +
+                `Gas ${entry.vitals.gasLevel} PPM · Posture ${this.getPostureText(entry.vitals.posture)}`;
+            content.appendChild(vitals);
+        }
+
+        if (entry.location) {
+            const location = document.createElement('div');
+            location.className = 'alert-location';
+            location.textContent = `Location ${this.formatLocation(entry.location)}`;
+            content.appendChild(location);
+        }
+
+        return element;
+    }
+
+    exportAlertLog(format) {
+        const entries = this.getFilteredAlertLog();
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (format === 'json') {
+            this.downloadFile(`aegis-alerts-${date}.json`, JSON.stringify(entries, null, 2), 'application/json');
+            return;
+        }
+
+        const iso = value => value ? new Date(value).toISOString() : '';
+        const columns = ['id', 'type', 'severity', 'state', 'title', 'raisedAt', 'updatedAt', 'escalatedAt',
+            'acknowledgedAt', 'snoozedAt', 'clearedAt', 'occurrences', 'heartRate', 'temperature', 'gasLevel', 'posture',
+            'latitude', 'longitude', 'fixAt', 'source'];
+        const rows = entries.map(entry => {
+            const vitals = entry.vitals || {};
+            const location = entry.location || {};
+            return [
+                entry.id, entry.type, entry.severity, entry.state || '', entry.title,
+                iso(entry.raisedAt || entry.timestamp), iso(entry.updatedAt), iso(entry.escalatedAt),
+                iso(entry.acknowledgedAt), iso(entry.snoozedAt), iso(entry.clearedAt), entry.occurrences || 1,
+                vitals.heartRate, vitals.temperature, vitals.gasLevel, vitals.posture,
+                location.latitude, location.longitude, iso(location.fixAt), entry.source
+            ];
+        });
+
+        this.downloadFile(`aegis-alerts-${date}.csv`, this.toCSV(columns, rows), 'text/csv');
+    }
+
+    toCSV(columns, rows) {
+        const escape = value => {
+            const text = value === undefined || value === null ? '' : String(value);
+            return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return [columns, ...rows].map(row => row.map(escape).join(',')).join('\n');
+    }
+
+    async toggleRecording() {
+        try {
+            if (this.sessionRecorder.isRecording()) {
+                const session = await this.sessionRecorder.stop();
+                this.showNotification(`Recording "${session.name}" saved (${session.counts.frame} frames)`, 'success');
+            } else {
+                const input = document.getElementById('sessionName');
+                const name = input.value.trim() || `Session ${new Date().toLocaleString()}`;
+                await this.sessionRecorder.start(name, {
+                    source: this.isConnected ? this.connection.label : null,
+                    ranges: this.getBaselineRanges()
+                });
+                input.value = '';
+                this.showNotification(`Recording "${name}"`, 'info');
+            }
+        } catch (error) {
+            this.showNotification('Recording failed: ' + error.message, 'error');
+        }
+
+        this.updateRecordingStatus();
+        this.renderSessions();
+    }
+
+    // The ranges readings are judged against now; a recording keeps the ones in force when it started,
+    // so its report judges the session as the dashboard did
+    getBaselineRanges() {
+        const ranges = {};
+        ['heartRate', 'temperature', 'gasLevel'].forEach(metric => {
+            const { min, max } = this.aiEngine.getBaseline(metric);
+            ranges[metric] = { min, max };
+        });
+        return ranges;
+    }
+
+    updateRecordingStatus() {
+        const session = this.sessionRecorder.session;
+        const button = document.getElementById('recordBtn');
+
+        document.getElementById('recordingIndicator').style.display = session ? '' : 'none';
+        button.innerHTML = session ?
+            '<i class="fas fa-stop"></i> Stop Recording' :
+            '<i class="fas fa-circle"></i> Start Recording';
+        button.style.background = session ? 'var(--gradient-danger)' : '';
+        document.getElementById('recordingStatus').textContent = session ?
+            `Recording "${session.name}" since ${new Date(session.startedAt).toLocaleTimeString()} · ` +
+            `${session.counts.frame} frames, ${session.counts.alert} alert events` :
+            'Not recording';
+    }
+
+    async renderSessions() {
+        const list = document.getElementById('sessionList');
+        const replayGroup = document.getElementById('replaySessions');
+        let sessions;
+        try {
+            sessions = await this.sessionStore.listSessions();
+        } catch (error) {
+            list.innerHTML = `<div class="capability-empty">Sessions unavailable: ${this.escapeHTML(error.message)}</div>`;
+            return;
+        }
+
+        // Sessions picked for comparison that were deleted meanwhile
+        const ids = new Set(sessions.map(session => session.id));
+        this.compareSelection.forEach(id => {
+            if (!ids.has(id)) this.compareSelection.delete(id);
+        });
+        this.updateCompareButton();
+
+        // Finished sessions can be replayed like any other recording
+        const replayable = sessions.filter(session => session.endedAt);
+        replayGroup.innerHTML = replayable.map(session =>
+            `<option value="session:${this.escapeHTML(session.id)}">${this.escapeHTML(session.name)}</option>`).join('');
+        replayGroup.style.display = replayable.length > 0 ? '' : 'none';
+
+        if (sessions.length === 0) {
+            list.innerHTML = '<div class="capability-empty">No sessions recorded yet</div>';
+            return;
+        }
+
+        const current = this.sessionRecorder.session;
+        list.innerHTML = sessions.map(session => {
+            const recording = current && current.id === session.id;
+            const counts = recording ? current.counts : session.counts;
+            const duration = session.endedAt ?
+                SessionExporter.formatDuration(session.endedAt - session.startedAt) :
+                recording ? 'recording' : 'interrupted';
+            const id = this.escapeHTML(session.id);
+            const action = (name, icon, title) =>
+                `<button class="btn-icon" data-session-action="${name}" data-session-id="${id}" title="${title}"><i class="fas ${icon}"></i></button>`;
+
+            return `
+                <div class="session-item${recording ? ' recording' : ''}">
+                    <label class="session-compare" title="Select for comparison">
+                        <input type="checkbox" data-session-compare="${id}"${this.compareSelection.has(session.id) ? ' checked' : ''}>
+                    </label>
+                    <div class="session-info">
+                        <span class="session-name">${this.escapeHTML(session.name)}</span>
+                        <span class="session-meta">${new Date(session.startedAt).toLocaleString()} · ${duration} ·
+                            ${counts.frame} frames · ${counts.alert} alert events${session.sources.length > 0 ? ' · ' + this.escapeHTML(session.sources.join(', ')) : ''}</span>
+                    </div>
+                    <div class="session-actions">
+                        ${recording ? '' : action('replay', 'fa-play', 'Replay')}
+                        ${action('csv', 'fa-file-csv', 'Export CSV')}
+                        ${action('json', 'fa-file-code', 'Export JSON')}
+                        ${action('report', 'fa-file-medical', 'Open report')}
+                        ${recording ? '' : action('delete', 'fa-trash', 'Delete session')}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async handleSessionAction(action, id) {
+        try {
+            if (action === 'replay') {
+                document.getElementById('dataSourceType').value = 'replay';
+                this.updateSourceControls();
+                document.getElementById('replayRange').value = `session:${id}`;
+                this.connect();
+                this.switchTab('dashboard');
+                return;
+            }
+
+            if (action === 'delete') {
+                const session = await this.sessionStore.getSession(id);
+                if (!confirm(`Delete the session "${session.name}"?`)) return;
+                await this.sessionStore.deleteSession(id);
+                this.renderSessions();
+                return;
+            }
+
+            await this.exportSession(id, action);
+        } catch (error) {
+            this.showNotification('Session action failed: ' + error.message, 'error');
+        }
+    }
+
+    async exportSession(id, format) {
+        const data = await this.sessionStore.loadSession(id);
+        const filename = `aegis-session-${data.session.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'export'}`;
+
+        if (format === 'csv') {
+            const { columns, rows } = this.sessionExporter.toTable(data);
+            this.downloadFile(`${filename}.csv`, this.toCSV(columns, rows), 'text/csv');
+        } else if (format === 'json') {
+            this.downloadFile(`${filename}.json`, this.sessionExporter.toJSON(data), 'application/json');
+        } else if (format === 'report') {
+            const report = this.sessionExporter.toReport(data, {
+                wearer: this.profileManager.getActiveProfile().name
+            });
+            this.downloadFile(`${filename}-report.html`, report, 'text/html');
+        }
+    }
+
+    // JSON exports are imported straight away; a CSV first shows its columns for mapping
+    importSessionFile(file) {
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                if (/\.json$/i.test(file.name) || reader.result.trim().startsWith('{')) {
+                    this.cancelImport();
+                    this.importRecording(this.readSessionExport(reader.result, file.name));
+                } else {
+                    this.showImportMapping(file.name, this.sessionImporter.parseCSV(reader.result));
+                }
+            } catch (error) {
+                this.showNotification(`Could not import ${file.name}: ${error.message}`, 'error');
+            }
+        };
+        reader.onerror = () => this.showNotification('Could not read ' + file.name, 'error');
+        reader.readAsText(file);
+    }
+
+    readSessionExport(text, filename) {
+        const data = this.sessionImporter.parseJSON(text);
+        return {
+            name: data.session.name || filename.replace(/\.json$/i, ''),
+            sources: [...(data.session.sources || []), `Imported from ${filename}`],
+            frames: data.frames,
+            alerts: data.alerts,
+            ranges: data.session.ranges || this.getBaselineRanges()
+        };
+    }
+
+    // One select per telemetry field, preset from the column names
+    showImportMapping(filename, table) {
+        const mapping = this.sessionImporter.guessMapping(table.columns);
+        const targets = [{ field: 'time', label: 'Time' }, ...this.sessionImporter.getTargets()];
+        const options = selected => [
+            '<option value="">—</option>',
+            ...table.columns.map((column, index) =>
+                `<option value="${index}"${selected === index ? ' selected' : ''}>${this.escapeHTML(column)}</option>`)
+        ].join('');
+
+        this.pendingImport = { filename, table };
+        document.getElementById('importFields').innerHTML = targets.map(({ field, label, unit }) => `
+            <label for="importField-${field}">${this.escapeHTML(label)}${unit ? ` (${this.escapeHTML(unit)})` : ''}</label>
+            <select id="importField-${field}" data-import-field="${field}">${options(mapping[field])}</select>
+        `).join('');
+        document.getElementById('importName').value = filename.replace(/\.[^.]+$/, '');
+        document.getElementById('importSummary').textContent =
+            `${filename}: ${table.rows.length} rows, ${table.columns.length} columns`;
+        document.getElementById('importMapping').style.display = '';
+    }
+
+    cancelImport() {
+        this.pendingImport = null;
+        document.getElementById('importMapping').style.display = 'none';
+    }
+
+    confirmImport() {
+        if (!this.pendingImport) return;
+        const { filename, table } = this.pendingImport;
+
+        const mapping = {};
+        document.querySelectorAll('[data-import-field]').forEach(select => {
+            mapping[select.dataset.importField] = select.value === '' ? null : parseInt(select.value);
+        });
+        const interval = parseFloat(document.getElementById('importInterval').value);
+
+        let converted;
+        try {
+            converted = this.sessionImporter.fromCSV(table, mapping, {
+                interval: interval > 0 ? interval * 1000 : undefined
+            });
+        } catch (error) {
+            this.showNotification(error.message, 'error');
+            return;
+        }
+
+        const name = document.getElementById('importName').value.trim() || filename;
+        this.cancelImport();
+        this.importRecording({
+            name: name,
+            sources: [`Imported from ${filename}`],
+            frames: converted.frames,
+            alerts: null,
+            ranges: this.getBaselineRanges()
+        }, converted.skipped);
+    }
+
+    // Analyses are regenerated before the session is stored, so a long file reports its progress
+    async importRecording(recording, skipped = 0) {
+        const store = this.sessionStore;
+        const status = document.getElementById('importStatus');
+        const button = document.getElementById('importSessionBtn');
+        button.disabled = true;
+
+        try {
+            const data = await this.sessionImporter.build(recording, (done, total) => {
+                status.textContent = `Analysing ${done} of ${total} readings…`;
+            });
+            await store.importSession(data);
+            status.textContent = `Imported "${data.session.name}": ${data.frames.length} readings` +
+                (skipped > 0 ? `, ${skipped} rows skipped` : '');
+            this.showNotification(`Imported "${data.session.name}"`, 'success');
+            this.renderSessions();
+        } catch (error) {
+            status.textContent = 'Import failed: ' + error.message;
+            this.showNotification('Import failed: ' + error.message, 'error');
+        }
+
+        button.disabled = false;
+    }
+
+    updateCompareButton() {
+        document.getElementById('compareSessionsBtn').disabled = this.compareSelection.size < 2;
+    }
+
+    // Sessions are compared in the order they were picked; the first is the reference for the deltas
+    async compareSessions() {
+        try {
+            const ids = [...this.compareSelection];
+            this.comparedSessions = await Promise.all(ids.map(id => this.sessionStore.loadSession(id)));
+        } catch (error) {
+            this.showNotification('Comparison failed: ' + error.message, 'error');
+            return;
+        }
+
+        document.getElementById('sessionCompare').style.display = '';
+        this.renderComparison();
+    }
+
+    closeComparison() {
+        this.comparedSessions = null;
+        document.getElementById('sessionCompare').style.display = 'none';
+    }
+
+    renderComparison() {
+        const loaded = this.comparedSessions;
+        if (!loaded) return;
+
+        const metric = document.getElementById('compareMetric').value;
+        const spec = this.sessionExporter.metrics[metric];
+        const color = i => this.compareColors[i % this.compareColors.length];
+        const datasets = loaded.map((data, i) => ({
+            label: data.session.name,
+            data: this.sessionComparison.getOverlay(data)[metric],
+            borderColor: color(i),
+            backgroundColor: color(i),
+            borderWidth: 2,
+            pointRadius: 0,
+            tension: 0.3,
+            fill: false
+        }));
+
+        if (this.charts.compare) {
+            this.charts.compare.data.datasets = datasets;
+            this.charts.compare.options.scales.y.title.text = `${spec.label} (${spec.unit})`;
+            this.charts.compare.update();
+        } else {
+            const axis = title => ({
+                title: { display: true, text: title, color: '#B0B0B0' },
+                grid: { color: 'rgba(255, 255, 255, 0.1)' },
+                ticks: { color: '#B0B0B0' }
+            });
+            this.charts.compare = new Chart(document.getElementById('compareChart').getContext('2d'), {
+                type: 'line',
+                data: { datasets: datasets },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    interaction: { mode: 'nearest', intersect: false },
+                    plugins: {
+                        legend: { labels: { color: '#B0B0B0' } }
+                    },
+                    scales: {
+                        x: { type: 'linear', ...axis('Minutes since start') },
+                        y: axis(`${spec.label} (${spec.unit})`)
+                    }
+                }
+            });
+        }
+
+        this.renderComparisonSummary(this.sessionComparison.compare(loaded));
+    }
+
+    renderComparisonSummary(summaries) {
+        const metrics = this.sessionComparison.metrics;
+        const format = (value, metric) => value.toFixed(this.sessionExporter.metrics[metric].digits);
+        const signed = (value, text) => `${value > 0 ? '+' : value < 0 ? '−' : '±'}${text(Math.abs(value))}`;
+        const delta = text => `<span class="compare-delta">${text}</span>`;
+
+        const metricCell = (summary, metric) => {
+            const stats = summary.metrics[metric];
+            if (!stats) return '<td>No valid readings</td>';
+
+            const unit = this.sessionExporter.metrics[metric].unit;
+            const change = summary.deltas && summary.deltas.metrics[metric];
+            const inRange = stats.within !== null ? ` · ${Math.round(stats.within * 100)}% in range` : '';
+            const changeText = change ?
+                `${signed(change.avg, value => format(value, metric))} ${unit} avg` +
+                (change.within !== null ? ` · ${signed(change.within * 100, Math.round)} pts in range` : '') : '';
+
+            return `<td>${format(stats.avg, metric)} ${unit} avg<br>
+                ${format(stats.min, metric)}–${format(stats.max, metric)}${inRange}
+                ${changeText ? delta(changeText) : ''}</td>`;
+        };
+
+        const rows = summaries.map((summary, i) => `
+            <tr>
+                <td><span class="compare-swatch" style="background: ${this.compareColors[i % this.compareColors.length]}"></span>${this.escapeHTML(summary.session.name)}</td>
+                <td>${SessionExporter.formatDuration(summary.duration)}
+                    ${summary.deltas ? delta(signed(summary.deltas.duration, SessionExporter.formatDuration)) : ''}</td>
+                ${metrics.map(metric => metricCell(summary, metric)).join('')}
+                <td>${summary.alerts}
+                    ${summary.deltas ? delta(signed(summary.deltas.alerts, String)) : ''}</td>
+            </tr>
+        `).join('');
+
+        document.getElementById('compareSummary').innerHTML = `
+            <div class="setting-hint">Differences are against "${this.escapeHTML(summaries[0].session.name)}"</div>
+            <table>
+                <thead>
+                    <tr>
+                        <th>Session</th>
+                        <th>Duration</th>
+                        ${metrics.map(metric => `<th>${this.sessionExporter.metrics[metric].label}</th>`).join('')}
+                        <th>Alerts raised</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    downloadFile(filename, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
     }
 
     showNotification(message, type = 'info') {
@@ -651,11 +2822,13 @@ updateExtendedSensors(sensorData) {
 
         notification.innerHTML = `
             <i class="${icons[type]}"></i>
-            <span>${message}</span>
+            <span></span>
             <button class="notification-close" onclick="this.parentElement.remove()">
                 <i class="fas fa-times"></i>
             </button>
         `;
+        // Messages carry device and file text, so they are never parsed as markup
+        notification.querySelector('span').textContent = message;
 
         container.appendChild(notification);
 
@@ -688,38 +2861,47 @@ updateExtendedSensors(sensorData) {
     }
 
     saveSettings() {
+        const previousInterval = this.getSetting('updateInterval');
         const settings = {
             updateInterval: document.getElementById('updateInterval').value,
             alertThreshold: document.getElementById('alertThreshold').value,
             soundAlerts: document.getElementById('soundAlerts').checked,
             autoReconnect: document.getElementById('autoReconnect').checked,
-            serverIP: document.getElementById('serverIP').value
+            trendWindow: document.getElementById('trendWindow').value,
+            mapTileUrl: document.getElementById('mapTileUrl').value.trim()
         };
         
-        localStorage.setItem('aegisShieldSettings', JSON.stringify(settings));
+        this.profileManager.updateSettings(this.profileManager.activeProfileId, settings);
+        this.trendDetector.setWindowSize(parseInt(settings.trendWindow));
+        this.alertPolicy.setThreshold(settings.alertThreshold);
+        this.locationMap.setTileUrl(settings.mapTileUrl);
+        this.renderActiveAlerts();
+        this.applyConnectionSettings();
+        if (settings.updateInterval !== previousInterval) {
+            this.sendDeviceConfig();
+        }
         this.showNotification('Settings saved', 'success');
     }
 
     loadSettings() {
-        const saved = localStorage.getItem('aegisShieldSettings');
-        if (saved) {
-            const settings = JSON.parse(saved);
+        const profile = this.profileManager.getActiveProfile();
+        const settings = profile.settings;
             
-            document.getElementById('updateInterval').value = settings.updateInterval || '2000';
-            document.getElementById('alertThreshold').value = settings.alertThreshold || 'medium';
-            document.getElementById('soundAlerts').checked = settings.soundAlerts !== false;
-            document.getElementById('autoReconnect').checked = settings.autoReconnect !== false;
-            document.getElementById('serverIP').value = settings.serverIP || 'ws://192.168.1.100:81';
-        }
+        document.getElementById('updateInterval').value = settings.updateInterval || '2000';
+        document.getElementById('alertThreshold').value = settings.alertThreshold || 'medium';
+        document.getElementById('soundAlerts').checked = settings.soundAlerts !== false;
+        document.getElementById('autoReconnect').checked = settings.autoReconnect !== false;
+        document.getElementById('trendWindow').value = settings.trendWindow || '30';
+        document.getElementById('mapTileUrl').value = settings.mapTileUrl || '';
+        document.getElementById('serverIP').value = profile.devices[0] || '';
+        this.trendDetector.setWindowSize(parseInt(document.getElementById('trendWindow').value));
+        this.alertPolicy.setThreshold(document.getElementById('alertThreshold').value);
+        this.geoTracker.setGeofences(settings.geofences);
+        this.locationMap.setTileUrl(settings.mapTileUrl);
     }
 
     getSetting(key) {
-        const saved = localStorage.getItem('aegisShieldSettings');
-        if (saved) {
-            const settings = JSON.parse(saved);
-            return settings[key];
-        }
-        return null;
+        return this.profileManager.getActiveProfile().settings[key];
     }
 }
 
@@ -0,0 +1,74 @@
+// Session Comparison - lines two or more loaded sessions up by time since each one started, for the
+// overlay chart, and sums up how each differs from the first
+class SessionComparison {
+    constructor(exporter) {
+        this.exporter = exporter;
+        this.metrics = ['heartRate', 'temperature', 'gasLevel'];
+    }
+
+    // {metric: [{x: minutes since the session's first frame, y: value}]}
+    getOverlay(data) {
+        const series = this.exporter.getSeries(data);
+        const start = this.getStart(data);
+        const overlay = {};
+        this.metrics.forEach(metric => {
+            overlay[metric] = series[metric].map(point => ({ x: (point.timestamp - start) / 60000, y: point.value }));
+        });
+        return overlay;
+    }
+
+    // One summary per session; all but the first also carry their deltas against the first
+    compare(loaded) {
+        const summaries = loaded.map(data => this.summarize(data));
+        return summaries.map((summary, i) => ({
+            ...summary,
+            deltas: i === 0 ? null : this.getDeltas(summary, summaries[0])
+        }));
+    }
+
+    // {session, duration, metrics: {metric: {min, max, avg, count, within} | null}, alerts}; "within" is the
+    // share of time in the session's own ranges, and alerts counts the raised ones
+    summarize(data) {
+        const series = this.exporter.getSeries(data);
+        const ranges = data.session.ranges || {};
+        const metrics = {};
+        this.metrics.forEach(metric => {
+            const stats = this.exporter.summarize(series[metric]);
+            const inRange = stats && ranges[metric] ? this.exporter.getTimeInRange(series[metric], ranges[metric]) : null;
+            metrics[metric] = stats && { ...stats, within: inRange ? inRange.within : null };
+        });
+
+        const start = this.getStart(data);
+        const end = data.frames.length > 0 ? data.frames[data.frames.length - 1].timestamp : (data.session.endedAt || start);
+        return {
+            session: data.session,
+            duration: end - start,
+            metrics: metrics,
+            alerts: data.alerts.filter(alert => alert.event === 'raised').length
+        };
+    }
+
+    getDeltas(summary, reference) {
+        const metrics = {};
+        this.metrics.forEach(metric => {
+            const current = summary.metrics[metric];
+            const base = reference.metrics[metric];
+            metrics[metric] = current && base ? {
+                min: current.min - base.min,
+                max: current.max - base.max,
+                avg: current.avg - base.avg,
+                within: current.within !== null && base.within !== null ? current.within - base.within : null
+            } : null;
+        });
+
+        return {
+            duration: summary.duration - reference.duration,
+            metrics: metrics,
+            alerts: summary.alerts - reference.alerts
+        };
+    }
+
+    getStart(data) {
+        return data.frames.length > 0 ? data.frames[0].timestamp : data.session.startedAt;
+    }
+}
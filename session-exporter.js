@@ -0,0 +1,310 @@
+// Session Exporter - turns a loaded recording session into CSV, lossless JSON or a printable HTML report
+//
+// A loaded session is {session, frames: [{timestamp, frame}], analyses: [{timestamp, ...}], alerts: [{timestamp, ...}]}
+// as returned by SessionStore.loadSession.
+class SessionExporter {
+    constructor(options = {}) {
+        this.format = 'aegis-session';
+        this.version = 1;
+
+        // Frame gaps longer than this (disconnects) do not count towards time in range
+        this.maxGap = options.maxGap || 30000;
+
+        this.metrics = {
+            heartRate: { label: 'Heart rate', unit: 'BPM', color: '#FF4757', digits: 0 },
+            temperature: { label: 'Temperature', unit: '°C', color: '#FFA726', digits: 1 },
+            gasLevel: { label: 'Gas level', unit: 'PPM', color: '#00B4D8', digits: 0 },
+            overallHealth: { label: 'Health score', unit: '%', color: '#00C853', digits: 0 }
+        };
+    }
+
+    // Everything as recorded, frames untouched, so the file can be imported and replayed
+    toJSON(data) {
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            exportedAt: new Date().toISOString(),
+            session: data.session,
+            frames: data.frames,
+            analyses: data.analyses,
+            alerts: data.alerts
+        }, null, 2);
+    }
+
+    // One row per frame: the validated reading, its quality and the analysis made of it
+    toTable(data) {
+        const validator = new TelemetryValidator();
+        const analyses = new Map(data.analyses.map(analysis => [analysis.timestamp, analysis]));
+        const start = data.frames.length > 0 ? data.frames[0].timestamp : 0;
+
+        const readings = data.frames.map(({ timestamp, frame }) => ({
+            timestamp: timestamp,
+            ...validator.validate(frame, timestamp)
+        }));
+
+        // Schema order for the fields that occur at all
+        const fields = Object.keys(TELEMETRY_SCHEMA.fields).filter(field =>
+            readings.some(({ reading }) => reading[field] !== undefined));
+
+        const columns = ['time', 'elapsedSeconds', ...fields, 'quality', 'overallHealth', 'riskLevel', 'patterns', 'alerts'];
+        const rows = readings.map(({ timestamp, reading, quality }) => {
+            const analysis = analyses.get(timestamp) || {};
+            return [
+                new Date(timestamp).toISOString(),
+                ((timestamp - start) / 1000).toFixed(1),
+                ...fields.map(field => Array.isArray(reading[field]) ? reading[field].join(' ') : reading[field]),
+                quality.level,
+                analysis.overallHealth,
+                analysis.riskLevel,
+                (analysis.patterns || []).join(' '),
+                (analysis.alerts || []).join(' ')
+            ];
+        });
+
+        return { columns, rows };
+    }
+
+    // Validated values per metric, bad readings left out: {metric: [{timestamp, value}]}
+    getSeries(data) {
+        const validator = new TelemetryValidator();
+        const series = {};
+        Object.keys(this.metrics).forEach(metric => { series[metric] = []; });
+
+        data.frames.forEach(({ timestamp, frame }) => {
+            const { reading, quality } = validator.validate(frame, timestamp);
+            const usable = TelemetryValidator.getUsable(reading, quality);
+            ['heartRate', 'temperature', 'gasLevel'].forEach(metric => {
+                if (typeof usable[metric] === 'number') series[metric].push({ timestamp, value: usable[metric] });
+            });
+        });
+
+        data.analyses.forEach(analysis => {
+            if (typeof analysis.overallHealth === 'number') {
+                series.overallHealth.push({ timestamp: analysis.timestamp, value: analysis.overallHealth });
+            }
+        });
+
+        return series;
+    }
+
+    summarize(points) {
+        if (points.length === 0) return null;
+        const values = points.map(point => point.value);
+        return {
+            min: Math.min(...values),
+            max: Math.max(...values),
+            avg: values.reduce((sum, value) => sum + value, 0) / values.length,
+            count: values.length
+        };
+    }
+
+    // Share of recorded time below, within and above range; each reading holds until the next one
+    getTimeInRange(points, range) {
+        const totals = { below: 0, within: 0, above: 0 };
+        points.forEach((point, i) => {
+            const next = points[i + 1];
+            const weight = next ? Math.min(next.timestamp - point.timestamp, this.maxGap) : 0;
+            const band = point.value < range.min ? 'below' : point.value > range.max ? 'above' : 'within';
+            totals[band] += points.length === 1 ? 1 : weight;
+        });
+
+        const total = totals.below + totals.within + totals.above;
+        if (total === 0) return null;
+        return {
+            below: totals.below / total,
+            within: totals.within / total,
+            above: totals.above / total
+        };
+    }
+
+    // Each distinct insight or recommendation once, with when it first appeared and how often
+    collectFindings(analyses, key) {
+        const findings = new Map();
+        analyses.forEach(analysis => {
+            (analysis[key] || []).forEach(item => {
+                const id = item.type || item.title || item.description;
+                const existing = findings.get(id);
+                if (existing) {
+                    existing.count++;
+                } else {
+                    findings.set(id, { ...item, firstSeen: analysis.timestamp, count: 1 });
+                }
+            });
+        });
+        return [...findings.values()].sort((a, b) => b.count - a.count);
+    }
+
+    // A standalone page for a clinician: prints cleanly, or saves as PDF from the browser's print dialog
+    toReport(data, details = {}) {
+        const { session } = data;
+        const series = this.getSeries(data);
+        const timestamps = data.frames.map(entry => entry.timestamp);
+        const start = timestamps.length > 0 ? timestamps[0] : session.startedAt;
+        const end = timestamps.length > 0 ? timestamps[timestamps.length - 1] : (session.endedAt || start);
+        const ranges = session.ranges || {};
+        const escape = SessionExporter.escape;
+        const format = (value, metric) => value.toFixed(this.metrics[metric].digits);
+        const time = timestamp => new Date(timestamp).toLocaleTimeString();
+
+        const statsRows = Object.entries(this.metrics).map(([metric, spec]) => {
+            const stats = this.summarize(series[metric]);
+            const range = ranges[metric];
+            const inRange = range && this.getTimeInRange(series[metric], range);
+            const percent = share => `${Math.round(share * 100)}%`;
+            return `
+                <tr>
+                    <td>${spec.label}</td>
+                    <td>${stats ? `${format(stats.min, metric)} / ${format(stats.avg, metric)} / ${format(stats.max, metric)} ${spec.unit}` : 'No valid readings'}</td>
+                    <td>${range ? `${format(range.min, metric)}–${format(range.max, metric)} ${spec.unit}` : '—'}</td>
+                    <td>${inRange ? `
+                        <div class="range-bar">
+                            <span class="below" style="width: ${inRange.below * 100}%"></span>
+                            <span class="within" style="width: ${inRange.within * 100}%"></span>
+                            <span class="above" style="width: ${inRange.above * 100}%"></span>
+                        </div>
+                        ${percent(inRange.below)} below · ${percent(inRange.within)} in range · ${percent(inRange.above)} above` : '—'}</td>
+                </tr>`;
+        }).join('');
+
+        const charts = Object.entries(this.metrics)
+            .filter(([metric]) => series[metric].length > 1)
+            .map(([metric, spec]) => `
+                <figure>
+                    <figcaption>${spec.label} (${spec.unit})</figcaption>
+                    ${this.renderChart(series[metric], start, end, ranges[metric], spec)}
+                </figure>`)
+            .join('');
+
+        const alerts = data.alerts.length === 0 ? '<p class="empty">No alerts during this session.</p>' : `
+            <table>
+                <tr><th>Time</th><th>Elapsed</th><th>Event</th><th>Severity</th><th>Alert</th></tr>
+                ${data.alerts.map(alert => `
+                    <tr class="severity-${escape(alert.severity || '')}">
+                        <td>${time(alert.timestamp)}</td>
+                        <td>${SessionExporter.formatDuration(alert.timestamp - start)}</td>
+                        <td>${escape(alert.event || 'raised')}</td>
+                        <td>${escape(alert.severity || '')}</td>
+                        <td><strong>${escape(alert.title || alert.type)}</strong> ${escape(alert.description || '')}</td>
+                    </tr>`).join('')}
+            </table>`;
+
+        const findingList = (items, empty) => items.length === 0 ? `<p class="empty">${empty}</p>` : `
+            <ul>
+                ${items.map(item => `
+                    <li>
+                        <strong>${escape(item.title || item.type)}</strong> ${escape(item.description || '')}
+                        <span class="meta">first at ${time(item.firstSeen)}, in ${item.count} of ${data.analyses.length} analyses</span>
+                    </li>`).join('')}
+            </ul>`;
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<title>${escape(session.name)} - AEGIS Shield session report</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a2e; margin: 2rem auto; max-width: 900px; padding: 0 1rem; }
+    h1 { margin-bottom: 0.25rem; }
+    h2 { border-bottom: 2px solid #00B4D8; padding-bottom: 0.25rem; margin-top: 2rem; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.9rem; }
+    th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #ddd; vertical-align: top; }
+    .meta, .empty { color: #666; font-size: 0.85rem; }
+    .details td:first-child { color: #666; width: 30%; }
+    .range-bar { display: flex; height: 8px; border-radius: 4px; overflow: hidden; background: #eee; margin-bottom: 0.25rem; }
+    .range-bar .below { background: #00B4D8; }
+    .range-bar .within { background: #00C853; }
+    .range-bar .above { background: #FF4757; }
+    .severity-critical td:nth-child(4), .severity-high td:nth-child(4) { color: #FF4757; font-weight: 600; }
+    .severity-medium td:nth-child(4) { color: #FFA726; font-weight: 600; }
+    figure { margin: 1rem 0; page-break-inside: avoid; }
+    figcaption { font-weight: 600; margin-bottom: 0.25rem; }
+    svg { width: 100%; height: auto; }
+    li { margin-bottom: 0.5rem; }
+    .print { float: right; padding: 0.5rem 1rem; border: none; border-radius: 6px; background: #00B4D8; color: white; cursor: pointer; }
+    @media print { .print { display: none; } body { margin: 0; } }
+</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print / Save as PDF</button>
+<h1>${escape(session.name)}</h1>
+<p class="meta">AEGIS Shield session report, generated ${new Date().toLocaleString()}</p>
+
+<table class="details">
+    <tr><td>Wearer</td><td>${escape(details.wearer || '—')}</td></tr>
+    <tr><td>Recorded</td><td>${new Date(start).toLocaleString()} – ${new Date(end).toLocaleTimeString()} (${SessionExporter.formatDuration(end - start)})</td></tr>
+    <tr><td>Source</td><td>${escape((session.sources || []).join(', ') || '—')}</td></tr>
+    <tr><td>Readings</td><td>${data.frames.length} frames, ${data.analyses.length} analyses, ${data.alerts.length} alert events</td></tr>
+</table>
+
+<h2>Vitals and time in range</h2>
+<table>
+    <tr><th>Metric</th><th>Min / avg / max</th><th>Range</th><th>Time in range</th></tr>
+    ${statsRows}
+</table>
+
+<h2>Charts</h2>
+${charts || '<p class="empty">Not enough readings to chart.</p>'}
+
+<h2>Alert timeline</h2>
+${alerts}
+
+<h2>AI insights</h2>
+${findingList(this.collectFindings(data.analyses, 'insights'), 'No insights during this session.')}
+
+<h2>Recommendations</h2>
+${findingList(this.collectFindings(data.analyses, 'recommendations'), 'No recommendations during this session.')}
+</body>
+</html>`;
+    }
+
+    // Inline SVG line chart over elapsed time with the normal range shaded; gaps longer than maxGap break the line
+    renderChart(points, start, end, range, spec) {
+        const width = 800;
+        const height = 180;
+        const pad = { left: 48, right: 12, top: 10, bottom: 24 };
+        const values = points.map(point => point.value);
+        let low = Math.min(...values, range ? range.min : Infinity);
+        let high = Math.max(...values, range ? range.max : -Infinity);
+        if (high === low) {
+            high += 1;
+            low -= 1;
+        }
+
+        const span = Math.max(1, end - start);
+        const x = timestamp => pad.left + (timestamp - start) / span * (width - pad.left - pad.right);
+        const y = value => pad.top + (high - value) / (high - low) * (height - pad.top - pad.bottom);
+
+        const path = points.map((point, i) => {
+            const gap = i > 0 && point.timestamp - points[i - 1].timestamp > this.maxGap;
+            return `${i === 0 || gap ? 'M' : 'L'}${x(point.timestamp).toFixed(1)},${y(point.value).toFixed(1)}`;
+        }).join(' ');
+
+        const band = range ? `<rect x="${pad.left}" y="${y(range.max).toFixed(1)}" width="${width - pad.left - pad.right}"
+            height="${(y(range.min) - y(range.max)).toFixed(1)}" fill="#00C853" opacity="0.12"/>` : '';
+        const label = (value, py) => `<text x="${pad.left - 6}" y="${py}" text-anchor="end" font-size="11" fill="#666">${value.toFixed(spec.digits)}</text>`;
+
+        return `<svg viewBox="0 0 ${width} ${height}" xmlns="http://www.w3.org/2000/svg">
+            <rect x="${pad.left}" y="${pad.top}" width="${width - pad.left - pad.right}" height="${height - pad.top - pad.bottom}" fill="none" stroke="#ddd"/>
+            ${band}
+            <path d="${path}" fill="none" stroke="${spec.color}" stroke-width="1.5"/>
+            ${label(high, pad.top + 10)}
+            ${label(low, height - pad.bottom)}
+            <text x="${pad.left}" y="${height - 6}" font-size="11" fill="#666">0:00</text>
+            <text x="${width - pad.right}" y="${height - 6}" text-anchor="end" font-size="11" fill="#666">${SessionExporter.formatDuration(end - start)}</text>
+        </svg>`;
+    }
+
+    static formatDuration(ms) {
+        const seconds = Math.max(0, Math.round(ms / 1000));
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor(seconds % 3600 / 60);
+        const rest = String(seconds % 60).padStart(2, '0');
+        return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${rest}` : `${minutes}:${rest}`;
+    }
+
+    static escape(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+}
@@ -0,0 +1,281 @@
+// Session Importer - loads recordings back in as sessions: the dashboard's own JSON export, or any CSV
+// once its columns are mapped to telemetry fields
+//
+// Imported frames are analysed afresh by a throwaway engine in time order, as the dashboard would have done
+// live, so every import is judged by the current rules whatever produced the file.
+class SessionImporter {
+    constructor(options = {}) {
+        this.format = 'aegis-session';
+        this.version = 1;
+
+        // Readings are taken to be this far apart when a CSV has no time column
+        this.interval = options.interval || 2000;
+
+        // Frames analysed between yields to the page, so a long import does not freeze the dashboard
+        this.chunkSize = options.chunkSize || 500;
+        this.baselineKey = options.baselineKey || 'aegisShieldBaselineImport';
+
+        // Column names tried for the time of each row, best first; the dashboard's own CSV has both
+        // "time" (received) and "timestamp" (device clock)
+        this.timeColumns = ['time', 'datetime', 'date', 'receivedat', 'recordedat', 'timestamp', 'elapsedseconds', 'elapsed'];
+
+        // Common spellings beyond the schema's own renamed fields
+        this.aliases = {
+            pulse: 'heartRate',
+            heartratebpm: 'heartRate',
+            bodytemperature: 'temperature',
+            temperaturec: 'temperature',
+            tempc: 'temperature',
+            gasppm: 'gasLevel',
+            gaslevelppm: 'gasLevel',
+            humiditypercent: 'humidity'
+        };
+    }
+
+    // Telemetry fields a column can be mapped to; the device clock, schema version and client count
+    // describe the link, not the wearer
+    getTargets() {
+        return Object.entries(TELEMETRY_SCHEMA.fields)
+            .filter(([field]) => !['timestamp', 'schemaVersion', 'clientCount'].includes(field))
+            .map(([field, spec]) => ({ field: field, label: spec.label, unit: spec.unit }));
+    }
+
+    // The dashboard's JSON export: {format, version, session, frames, analyses, alerts}
+    parseJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+
+        if (!data || data.format !== this.format) {
+            throw new Error('Not an Aegis Shield session export');
+        }
+        if (data.version > this.version) {
+            throw new Error(`Session export version ${data.version} is newer than this dashboard supports`);
+        }
+        if (!Array.isArray(data.frames)) {
+            throw new Error('The export has no frames');
+        }
+
+        return {
+            session: data.session || {},
+            frames: data.frames
+                .filter(entry => entry && typeof entry.timestamp === 'number' && entry.frame && typeof entry.frame === 'object')
+                .sort((a, b) => a.timestamp - b.timestamp),
+            alerts: Array.isArray(data.alerts) ? data.alerts : null
+        };
+    }
+
+    // {columns, rows} of raw strings; the delimiter (comma, semicolon or tab) is taken from the header row
+    parseCSV(text) {
+        const input = text.replace(/^\uFEFF/, '');
+        const header = input.split(/\r?\n/, 1)[0];
+        const delimiter = [',', ';', '\t']
+            .map(candidate => ({ candidate, count: header.split(candidate).length }))
+            .sort((a, b) => b.count - a.count)[0].candidate;
+
+        const records = [];
+        let record = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (quoted) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                quoted = true;
+            } else if (char === delimiter) {
+                record.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                record.push(field);
+                records.push(record);
+                record = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || record.length > 0) {
+            record.push(field);
+            records.push(record);
+        }
+
+        const lines = records.filter(line => line.some(value => value.trim() !== ''));
+        if (lines.length < 2) {
+            throw new Error('The CSV needs a header row and at least one row of readings');
+        }
+
+        return { columns: lines[0].map(column => column.trim()), rows: lines.slice(1) };
+    }
+
+    // {time: column index, [field]: column index} by column name; unmatched targets are null
+    guessMapping(columns) {
+        const normalize = name => name.toLowerCase().replace(/[^a-z0-9]/g, '');
+        const names = { ...this.aliases };
+        Object.entries(TELEMETRY_SCHEMA.renamed).forEach(([name, field]) => { names[normalize(name)] = field; });
+        this.getTargets().forEach(({ field }) => { names[normalize(field)] = field; });
+
+        const normalized = columns.map(normalize);
+        const timeName = this.timeColumns.find(name => normalized.includes(name));
+        const mapping = { time: timeName ? normalized.indexOf(timeName) : null };
+
+        this.getTargets().forEach(({ field }) => {
+            const index = normalized.findIndex(name => names[name] === field);
+            mapping[field] = index === -1 ? null : index;
+        });
+        return mapping;
+    }
+
+    // Mapped rows as a recording: {frames: [{timestamp, frame}], skipped}. Rows without a usable time or
+    // without any mapped value are skipped.
+    // options.startedAt anchors elapsed-seconds time columns and rows without one; options.interval (ms)
+    // spaces rows when no time column is mapped
+    fromCSV(table, mapping, options = {}) {
+        const fields = Object.keys(mapping).filter(field => field !== 'time' && mapping[field] !== null);
+        if (!fields.some(field => ['heartRate', 'temperature', 'gasLevel'].includes(field))) {
+            throw new Error('Map a column to at least one of heart rate, temperature or gas level');
+        }
+
+        const start = options.startedAt || Date.now();
+        const interval = options.interval || this.interval;
+        const frames = [];
+        let skipped = 0;
+
+        table.rows.forEach((row, i) => {
+            const timestamp = mapping.time !== null ?
+                this.parseTime(row[mapping.time], start) :
+                start + i * interval;
+
+            const frame = {};
+            fields.forEach(field => {
+                const value = this.parseValue(field, row[mapping[field]]);
+                if (value !== null) frame[field] = value;
+            });
+
+            if (timestamp === null || Object.keys(frame).length === 0) {
+                skipped++;
+                return;
+            }
+            frames.push({ timestamp: timestamp, frame: frame });
+        });
+
+        frames.sort((a, b) => a.timestamp - b.timestamp);
+        return { frames: frames, skipped: skipped };
+    }
+
+    // Epoch milliseconds or seconds, a date string, or seconds elapsed since start
+    parseTime(text, start) {
+        const value = (text || '').trim();
+        if (value === '') return null;
+
+        if (/^-?\d+(\.\d+)?$/.test(value)) {
+            const number = Number(value);
+            if (number > 1e11) return Math.round(number);
+            if (number > 1e8) return Math.round(number * 1000);
+            return start + Math.round(number * 1000);
+        }
+
+        const parsed = Date.parse(value);
+        return isNaN(parsed) ? null : parsed;
+    }
+
+    // The cell as the schema type; values that cannot be read as that type are left out
+    parseValue(field, text) {
+        const value = (text || '').trim();
+        if (value === '') return null;
+
+        const spec = TELEMETRY_SCHEMA.fields[field];
+        if (spec.type === 'boolean') {
+            if (/^(true|yes|1)$/i.test(value)) return true;
+            if (/^(false|no|0)$/i.test(value)) return false;
+            return null;
+        }
+
+        if (spec.type === 'array') {
+            const items = value.split(/[\s;|]+/).map(Number);
+            return items.every(item => isFinite(item)) ? items : null;
+        }
+
+        if (spec.type === 'number' || spec.type === 'integer') {
+            // Decimal commas, as spreadsheets in many locales write them
+            const number = Number(value.replace(',', '.'));
+            return isFinite(number) ? number : null;
+        }
+
+        return value;
+    }
+
+    // Analyses for every frame and the alert events they imply: an alert type is raised when an analysis
+    // first reports it and cleared when one no longer does. onProgress(done, total) is called between chunks.
+    async analyze(frames, onProgress) {
+        const engine = new AIEngine({ baselineKey: this.baselineKey });
+        const analyses = [];
+        const alerts = [];
+        let active = new Map();
+
+        for (let i = 0; i < frames.length; i++) {
+            const { timestamp, frame } = frames[i];
+            const analysis = engine.analyzeSensorData(frame, timestamp);
+            analyses.push({ timestamp: timestamp, ...SessionRecorder.summarizeAnalysis(analysis) });
+
+            const current = new Map(analysis.alerts.map(alert => [alert.type, alert]));
+            current.forEach((alert, type) => {
+                if (!active.has(type)) alerts.push({ timestamp: timestamp, ...SessionRecorder.describeAlert('raised', alert) });
+            });
+            active.forEach((alert, type) => {
+                if (!current.has(type)) alerts.push({ timestamp: timestamp, ...SessionRecorder.describeAlert('cleared', alert) });
+            });
+            active = current;
+
+            if ((i + 1) % this.chunkSize === 0) {
+                if (onProgress) onProgress(i + 1, frames.length);
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        }
+
+        return { analyses: analyses, alerts: alerts };
+    }
+
+    // The recording as a session for SessionStore.importSession: {session, frames, analyses, alerts}
+    //
+    // recording: {name, sources, frames, alerts, ranges}. Alerts given with the recording (a JSON export) are
+    // kept as they were logged, since SOS presses, device alerts and acknowledgements cannot be regenerated;
+    // otherwise the alerts implied by the analyses are used.
+    async build(recording, onProgress) {
+        const frames = recording.frames;
+        if (frames.length === 0) {
+            throw new Error('No readings to import');
+        }
+
+        const { analyses, alerts } = await this.analyze(frames, onProgress);
+        const kept = recording.alerts || alerts;
+
+        return {
+            session: {
+                id: `session-${Date.now().toString(36)}`,
+                name: recording.name,
+                startedAt: frames[0].timestamp,
+                endedAt: frames[frames.length - 1].timestamp,
+                sources: recording.sources || [],
+                ranges: recording.ranges || null,
+                counts: { frame: frames.length, analysis: analyses.length, alert: kept.length },
+                importedAt: Date.now()
+            },
+            frames: frames,
+            analyses: analyses,
+            alerts: kept
+        };
+    }
+}
@@ -0,0 +1,119 @@
+// Session Recorder - captures frames, analyses and alert events into the session store while a named
+// recording is running
+class SessionRecorder {
+    constructor(store) {
+        this.store = store;
+        this.session = null;
+
+        // The session's counts are saved every so often, so an interrupted recording still lists sensibly
+        this.saveEvery = 50;
+        this.unsaved = 0;
+    }
+
+    setStore(store) {
+        this.store = store;
+    }
+
+    isRecording() {
+        return this.session !== null;
+    }
+
+    // details: {source, ranges} describe where the readings come from and the ranges they were judged against
+    async start(name, details = {}) {
+        if (this.session) {
+            throw new Error(`Already recording "${this.session.name}"`);
+        }
+
+        const now = Date.now();
+        const session = {
+            id: `session-${now.toString(36)}`,
+            name: name,
+            startedAt: now,
+            endedAt: null,
+            sources: details.source ? [details.source] : [],
+            ranges: details.ranges || null,
+            counts: { frame: 0, analysis: 0, alert: 0 }
+        };
+
+        await this.store.saveSession(session);
+        this.session = session;
+        this.unsaved = 0;
+        return session;
+    }
+
+    // A recording may span several connections, e.g. the simulator and then a device
+    addSource(source) {
+        if (!this.session || this.session.sources.includes(source)) return;
+        this.session.sources.push(source);
+        this.save();
+    }
+
+    save() {
+        this.unsaved = 0;
+        this.store.saveSession(this.session).catch(error => {
+            console.error('Error saving session:', error);
+        });
+    }
+
+    async stop() {
+        const session = this.session;
+        if (!session) return null;
+
+        this.session = null;
+        session.endedAt = Date.now();
+        await this.store.saveSession(session);
+        return session;
+    }
+
+    // Writes are not awaited; a lost entry must never hold up the live dashboard
+    record(kind, timestamp, data) {
+        if (!this.session) return;
+
+        this.session.counts[kind]++;
+        this.store.addEntry(this.session.id, kind, timestamp, data).catch(error => {
+            console.error(`Error recording ${kind}:`, error);
+        });
+
+        if (++this.unsaved >= this.saveEvery) {
+            this.save();
+        }
+    }
+
+    recordFrame(frame, timestamp) {
+        this.record('frame', timestamp, frame);
+    }
+
+    recordAnalysis(analysis, timestamp) {
+        this.record('analysis', timestamp, SessionRecorder.summarizeAnalysis(analysis));
+    }
+
+    // event: raised, escalated, acknowledged, snoozed or cleared
+    recordAlert(event, alert, timestamp) {
+        this.record('alert', timestamp, SessionRecorder.describeAlert(event, alert));
+    }
+
+    // Scores, findings and advice only; the rest of an analysis can be regenerated from the frames
+    static summarizeAnalysis(analysis) {
+        const strip = ({ icon, ...item }) => item;
+        return {
+            overallHealth: analysis.overallHealth,
+            riskLevel: analysis.riskLevel,
+            quality: analysis.quality.level,
+            anomalyScore: analysis.anomaly.score,
+            patterns: analysis.patterns.map(pattern => pattern.name),
+            alerts: analysis.alerts.map(alert => alert.type),
+            insights: analysis.insights.map(strip),
+            recommendations: analysis.recommendations.map(strip)
+        };
+    }
+
+    static describeAlert(event, alert) {
+        return {
+            event: event,
+            type: alert.type,
+            title: alert.title,
+            description: alert.description,
+            severity: alert.severity
+        };
+    }
+}
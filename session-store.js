@@ -0,0 +1,173 @@
+// Session Store - named recording sessions in IndexedDB: the raw frames as received, the AI analyses
+// and the alert events, kept until the user deletes them
+//
+// Entries are {sessionId, kind: 'frame' | 'analysis' | 'alert', timestamp, data}. Frames keep the device's
+// own payload untouched, so a session can be exported losslessly and replayed.
+class SessionStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'aegisShieldSessions';
+        this.dbVersion = 1;
+        this.db = null;
+        this.kinds = ['frame', 'analysis', 'alert'];
+    }
+
+    open() {
+        if (this.openPromise) return this.openPromise;
+
+        this.openPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('sessions')) {
+                    db.createObjectStore('sessions', { keyPath: 'id' });
+                }
+
+                if (!db.objectStoreNames.contains('entries')) {
+                    const entries = db.createObjectStore('entries', { keyPath: 'id', autoIncrement: true });
+                    entries.createIndex('session', ['sessionId', 'timestamp']);
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.openPromise;
+    }
+
+    // Closes after the operations already waiting for the database, e.g. the final save of a recording
+    // stopped just before a profile switch
+    close() {
+        const opening = this.openPromise;
+        this.openPromise = null;
+        this.db = null;
+        if (opening) {
+            opening.then(db => db.close(), () => {});
+        }
+    }
+
+    // Session: {id, name, startedAt, endedAt, sources, ranges, counts: {frame, analysis, alert}}
+    async saveSession(session) {
+        const db = await this.open();
+        const tx = db.transaction('sessions', 'readwrite');
+        tx.objectStore('sessions').put(session);
+        await this.transactionDone(tx);
+        return session;
+    }
+
+    async addEntry(sessionId, kind, timestamp, data) {
+        if (!this.kinds.includes(kind)) {
+            throw new Error(`Unknown session entry kind "${kind}"`);
+        }
+
+        const db = await this.open();
+        const tx = db.transaction('entries', 'readwrite');
+        tx.objectStore('entries').add({ sessionId, kind, timestamp, data });
+        return this.transactionDone(tx);
+    }
+
+    // A whole session at once, e.g. an imported file: {session, frames, analyses, alerts} as loadSession returns them
+    async importSession(data) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'entries'], 'readwrite');
+        const entries = tx.objectStore('entries');
+        const id = data.session.id;
+
+        tx.objectStore('sessions').put(data.session);
+        data.frames.forEach(({ timestamp, frame }) => {
+            entries.add({ sessionId: id, kind: 'frame', timestamp, data: frame });
+        });
+        [['analysis', data.analyses], ['alert', data.alerts]].forEach(([kind, list]) => {
+            list.forEach(({ timestamp, ...entry }) => {
+                entries.add({ sessionId: id, kind, timestamp, data: entry });
+            });
+        });
+
+        await this.transactionDone(tx);
+        return data.session;
+    }
+
+    // Newest first
+    async listSessions() {
+        const db = await this.open();
+        const sessions = await this.request(db.transaction('sessions').objectStore('sessions').getAll());
+        return sessions.sort((a, b) => b.startedAt - a.startedAt);
+    }
+
+    async getSession(id) {
+        const db = await this.open();
+        return this.request(db.transaction('sessions').objectStore('sessions').get(id));
+    }
+
+    // The whole session, entries grouped by kind and in time order: {session, frames, analyses, alerts}
+    async loadSession(id) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'entries']);
+        const session = await this.request(tx.objectStore('sessions').get(id));
+        if (!session) {
+            throw new Error(`Session ${id} not found`);
+        }
+
+        const range = IDBKeyRange.bound([id, -Infinity], [id, Infinity]);
+        const entries = await this.request(tx.objectStore('entries').index('session').getAll(range));
+        const byKind = kind => entries
+            .filter(entry => entry.kind === kind)
+            .map(entry => ({ timestamp: entry.timestamp, ...this.unwrap(kind, entry.data) }));
+
+        return {
+            session: session,
+            frames: byKind('frame'),
+            analyses: byKind('analysis'),
+            alerts: byKind('alert')
+        };
+    }
+
+    // Frames keep the payload under "frame" so its own fields (timestamp included) never clash with ours
+    unwrap(kind, data) {
+        return kind === 'frame' ? { frame: data } : data;
+    }
+
+    async deleteSession(id) {
+        const db = await this.open();
+        const tx = db.transaction(['sessions', 'entries'], 'readwrite');
+        tx.objectStore('sessions').delete(id);
+
+        const range = IDBKeyRange.bound([id, -Infinity], [id, Infinity]);
+        const request = tx.objectStore('entries').index('session').openKeyCursor(range);
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                tx.objectStore('entries').delete(cursor.primaryKey);
+                cursor.continue();
+            }
+        };
+
+        return this.transactionDone(tx);
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
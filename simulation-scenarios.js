@@ -0,0 +1,109 @@
+// Simulation Scenarios - scripted wearer states for the built-in device simulator
+//
+// keyframes: {at: seconds, ...values}; numbers are interpolated between the keyframes that set them,
+//            anything else holds until the next keyframe that sets it
+// events:    {at, for, set: {...}} overrides values for a while,
+//            {at, for, fault: {field: kind}} breaks a sensor the way real probes fail:
+//            'disconnected' (the probe's disconnected value), 'stuck' (freezes), 'dropout' (field missing),
+//            'spikes' (occasional full-scale readings)
+// walking:   the wearer moves around the simulator's origin instead of standing still
+// loop:      the scenario starts over after its duration instead of holding its last state
+const SIMULATION_SCENARIOS = {
+    normal_day: {
+        label: 'Normal day',
+        description: 'Rest, a walk, some exercise, a cool-down and a slouched desk session, on a 10 minute loop',
+        duration: 600,
+        loop: true,
+        walking: true,
+        keyframes: [
+            { at: 0, heartRate: 68, temperature: 36.6, gasLevel: 280, humidity: 45, posture: 0, motionDetected: false },
+            { at: 90, heartRate: 70, temperature: 36.6, motionDetected: true },
+            { at: 150, heartRate: 96, temperature: 36.8, humidity: 50 },
+            { at: 240, heartRate: 124, temperature: 37.1, humidity: 58, posture: 1 },
+            { at: 330, heartRate: 118, temperature: 37.2 },
+            { at: 400, heartRate: 84, temperature: 36.9, humidity: 50, posture: 0 },
+            { at: 460, heartRate: 72, temperature: 36.7, humidity: 46, posture: 2, motionDetected: false },
+            { at: 570, heartRate: 68, temperature: 36.6, humidity: 45, posture: 0 },
+            { at: 600, heartRate: 68, temperature: 36.6, gasLevel: 280 }
+        ],
+        events: []
+    },
+
+    fever_onset: {
+        label: 'Fever onset',
+        description: 'Temperature climbs from normal to 39°C over 15 minutes with the heart rate following',
+        duration: 900,
+        keyframes: [
+            { at: 0, heartRate: 72, temperature: 36.7, gasLevel: 290, humidity: 45, posture: 0, motionDetected: false },
+            { at: 180, heartRate: 76, temperature: 37.0 },
+            { at: 420, heartRate: 88, temperature: 37.7, posture: 1 },
+            { at: 660, heartRate: 102, temperature: 38.4 },
+            { at: 900, heartRate: 112, temperature: 39.0, posture: 2 }
+        ],
+        events: []
+    },
+
+    fall: {
+        label: 'Fall',
+        description: 'A walk interrupted by a fall after 90 seconds, followed by the wearer lying still',
+        duration: 300,
+        walking: true,
+        keyframes: [
+            { at: 0, heartRate: 88, temperature: 36.7, gasLevel: 290, humidity: 48, posture: 0, motionDetected: true },
+            { at: 88, heartRate: 90 },
+            { at: 94, heartRate: 128, posture: 2, motionDetected: false },
+            { at: 180, heartRate: 104 },
+            { at: 300, heartRate: 96, temperature: 36.4 }
+        ],
+        events: [
+            { at: 90, for: 4, set: { fallDetected: true } }
+        ]
+    },
+
+    fire: {
+        label: 'Fire',
+        description: 'Smoke builds up after a minute, then open flame, heat and a racing heart',
+        duration: 300,
+        keyframes: [
+            { at: 0, heartRate: 74, temperature: 36.6, gasLevel: 300, humidity: 45, posture: 0, motionDetected: false },
+            { at: 60, heartRate: 76, gasLevel: 320 },
+            { at: 120, heartRate: 98, gasLevel: 1100, humidity: 38, motionDetected: true },
+            { at: 180, heartRate: 132, temperature: 37.2, gasLevel: 2100, humidity: 30 },
+            { at: 300, heartRate: 145, temperature: 37.8, gasLevel: 2800, humidity: 24 }
+        ],
+        events: [
+            { at: 120, for: 180, set: { flameDetected: true } }
+        ]
+    },
+
+    gas_leak: {
+        label: 'Gas leak',
+        description: 'Gas concentration rises slowly over 10 minutes without smoke or flame',
+        duration: 600,
+        keyframes: [
+            { at: 0, heartRate: 72, temperature: 36.6, gasLevel: 300, humidity: 45, posture: 0, motionDetected: false },
+            { at: 120, gasLevel: 420 },
+            { at: 360, heartRate: 80, gasLevel: 1000 },
+            { at: 540, heartRate: 92, gasLevel: 1700, posture: 1 },
+            { at: 600, heartRate: 96, gasLevel: 1900 }
+        ],
+        events: []
+    },
+
+    sensor_fault: {
+        label: 'Sensor fault',
+        description: 'A healthy wearer while the probes fail one after another: disconnect, stuck, dropout and spikes',
+        duration: 480,
+        keyframes: [
+            { at: 0, heartRate: 72, temperature: 36.6, gasLevel: 300, humidity: 45, posture: 0, motionDetected: false },
+            { at: 240, heartRate: 78, temperature: 36.7 },
+            { at: 480, heartRate: 72, temperature: 36.6 }
+        ],
+        events: [
+            { at: 60, for: 60, fault: { temperature: 'disconnected' } },
+            { at: 150, for: 120, fault: { heartRate: 'stuck' } },
+            { at: 300, for: 60, fault: { gasLevel: 'dropout' } },
+            { at: 390, for: 60, fault: { heartRate: 'spikes' } }
+        ]
+    }
+};
@@ -0,0 +1,130 @@
+// Telemetry schema - type, unit and valid ranges of every field the device may send
+//
+// Frames carry "schemaVersion"; frames without one come from firmware that predates it and are version 1.
+// Renamed and abbreviated fields are mapped to their current names before validation.
+//
+// sensorRange: what the sensor can report at all; outside it the reading is out of range
+// plausible:   what a living wearer can produce; outside it the reading is implausible
+// contact:     below this the probe is reading the room, not the wearer
+// disconnected: raw values a missing or unplugged probe reports
+// saturates:   the sensor clips at the top of its range; a full-scale reading is kept as "at least this high"
+// stuckSeconds: an unchanged value for this long suggests a stuck sensor
+const TELEMETRY_SCHEMA = {
+    version: 2,
+
+    // Old or alternative name -> current name; the current name wins when a frame has both
+    renamed: {
+        clients: 'clientCount', // version 1
+        hr: 'heartRate',
+        bpm: 'heartRate',
+        temp: 'temperature',
+        gas: 'gasLevel',
+        fall: 'fallDetected',
+        flame: 'flameDetected',
+        stress: 'stressLevel',
+        motion: 'motionDetected',
+        lat: 'latitude',
+        lng: 'longitude',
+        lon: 'longitude',
+        gpsFix: 'gpsFixed',
+        sats: 'satellites',
+        rr: 'rrIntervals'
+    },
+
+    // Physical sensors and the fields each one provides, for the capability report
+    sensors: {
+        heartRate: { label: 'Heart rate', fields: ['heartRate'] },
+        hrv: { label: 'Beat-to-beat intervals', fields: ['rrIntervals', 'beatTimestamps'] },
+        temperature: { label: 'Body temperature', fields: ['temperature'] },
+        gas: { label: 'Gas (MQ-2)', fields: ['gasLevel'] },
+        posture: { label: 'Posture and fall (IMU)', fields: ['posture', 'fallDetected'] },
+        flame: { label: 'Flame', fields: ['flameDetected'] },
+        gps: { label: 'GPS', fields: ['gpsFixed', 'latitude', 'longitude', 'satellites'] },
+        humidity: { label: 'Humidity', fields: ['humidity'] },
+        stress: { label: 'Stress estimate', fields: ['stressLevel'] },
+        motion: { label: 'Motion', fields: ['motionDetected'] }
+    },
+
+    fields: {
+        heartRate: {
+            type: 'number',
+            unit: 'BPM',
+            label: 'Heart rate',
+            required: true,
+            sensorRange: { min: 0, max: 255 },
+            plausible: { min: 25, max: 220 },
+            disconnected: [0],
+            stuckSeconds: 60
+        },
+        temperature: {
+            type: 'number',
+            unit: '°C',
+            label: 'Temperature',
+            required: true,
+            sensorRange: { min: -55, max: 125 },
+            plausible: { min: 30, max: 43 },
+            contact: { min: 32 },
+            disconnected: [-127, 85],
+            stuckSeconds: 600
+        },
+        gasLevel: {
+            type: 'number',
+            unit: 'PPM',
+            label: 'Gas level',
+            required: true,
+            sensorRange: { min: 0, max: 4095 },
+            disconnected: [0],
+            saturates: true,
+            stuckSeconds: 120
+        },
+        posture: {
+            type: 'integer',
+            label: 'Posture',
+            required: true,
+            values: [0, 1, 2]
+        },
+        fallDetected: { type: 'boolean', label: 'Fall sensor' },
+        flameDetected: { type: 'boolean', label: 'Flame sensor' },
+        stressLevel: {
+            type: 'number',
+            unit: '%',
+            label: 'Stress level',
+            sensorRange: { min: 0, max: 100 }
+        },
+        humidity: {
+            type: 'number',
+            unit: '%',
+            label: 'Humidity',
+            sensorRange: { min: 0, max: 100 }
+        },
+        motionDetected: { type: 'boolean', label: 'Motion sensor' },
+        latitude: { type: 'number', unit: '°', label: 'Latitude', sensorRange: { min: -90, max: 90 } },
+        longitude: { type: 'number', unit: '°', label: 'Longitude', sensorRange: { min: -180, max: 180 } },
+        gpsFixed: { type: 'boolean', label: 'GPS fix' },
+        satellites: { type: 'integer', label: 'Satellites', sensorRange: { min: 0, max: 64 } },
+        rrIntervals: {
+            type: 'array',
+            items: 'number',
+            unit: 'ms',
+            label: 'RR intervals',
+            sensorRange: { min: 250, max: 2000 }
+        },
+        beatTimestamps: { type: 'array', items: 'number', unit: 'ms', label: 'Beat timestamps' },
+        status: { type: 'string', label: 'Device status', values: ['NORMAL', 'WARNING', 'EMERGENCY'] },
+        timestamp: { type: 'number', unit: 's', label: 'Device time' },
+        schemaVersion: { type: 'integer', label: 'Schema version' },
+        clientCount: { type: 'integer', label: 'Clients' }
+    },
+
+    // Quality each problem leaves the field with; suspect readings are down-weighted, bad ones skipped
+    issues: {
+        missing: 'bad',
+        type: 'bad',
+        disconnected: 'bad',
+        out_of_range: 'bad',
+        no_contact: 'bad',
+        implausible: 'bad',
+        stuck: 'suspect',
+        saturated: 'good'
+    }
+};
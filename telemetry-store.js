@@ -0,0 +1,338 @@
+// Telemetry Store - persists frames, analyses and rollups in IndexedDB
+class TelemetryStore {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'aegisShieldTelemetry';
+        this.dbVersion = 1;
+        this.db = null;
+
+        // How long each resolution is kept before retention deletes it
+        this.retention = {
+            raw: 24 * 60 * 60 * 1000,
+            minute: 7 * 24 * 60 * 60 * 1000,
+            hour: 90 * 24 * 60 * 60 * 1000,
+            day: 2 * 365 * 24 * 60 * 60 * 1000,
+            ...options.retention
+        };
+
+        this.bucketSizes = {
+            minute: 60 * 1000,
+            hour: 60 * 60 * 1000,
+            day: 24 * 60 * 60 * 1000
+        };
+
+        // Metrics kept in rollups; overallHealth comes from analyses, the rest from frames
+        this.frameMetrics = ['heartRate', 'temperature', 'gasLevel', 'posture'];
+        this.analysisMetrics = ['overallHealth'];
+        this.categoricalMetrics = ['posture'];
+
+        this.retentionTimer = null;
+    }
+
+    open() {
+        if (this.openPromise) return this.openPromise;
+
+        this.openPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not supported in this browser'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+
+                if (!db.objectStoreNames.contains('frames')) {
+                    const frames = db.createObjectStore('frames', { keyPath: 'id', autoIncrement: true });
+                    frames.createIndex('timestamp', 'timestamp');
+                }
+
+                if (!db.objectStoreNames.contains('analyses')) {
+                    const analyses = db.createObjectStore('analyses', { keyPath: 'id', autoIncrement: true });
+                    analyses.createIndex('timestamp', 'timestamp');
+                }
+
+                if (!db.objectStoreNames.contains('rollups')) {
+                    db.createObjectStore('rollups', { keyPath: ['resolution', 'bucket'] });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                this.applyRetention();
+                this.retentionTimer = setInterval(() => this.applyRetention(), 60 * 60 * 1000);
+                resolve(this.db);
+            };
+
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.openPromise;
+    }
+
+    close() {
+        clearInterval(this.retentionTimer);
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+        this.openPromise = null;
+    }
+
+    async addFrame(frame, timestamp = Date.now()) {
+        // The firmware's own timestamp is seconds since boot, keep it under another name
+        const record = { ...frame, deviceTimestamp: frame.timestamp, timestamp: timestamp };
+        delete record.id;
+
+        await this.write('frames', record, this.frameMetrics);
+        return record;
+    }
+
+    async addAnalysis(analysis) {
+        // Insights and recommendations are regenerated on demand, only the scores are kept
+        const record = {
+            timestamp: new Date(analysis.timestamp).getTime(),
+            overallHealth: analysis.overallHealth,
+            riskLevel: analysis.riskLevel,
+            patterns: analysis.patterns.map(pattern => pattern.name),
+            alerts: analysis.alerts.map(alert => alert.type)
+        };
+
+        await this.write('analyses', record, this.analysisMetrics);
+        return record;
+    }
+
+    async write(storeName, record, metrics) {
+        const db = await this.open();
+        const tx = db.transaction([storeName, 'rollups'], 'readwrite');
+        tx.objectStore(storeName).add(record);
+
+        const rollups = tx.objectStore('rollups');
+        for (const resolution of Object.keys(this.bucketSizes)) {
+            const bucket = this.getBucket(record.timestamp, resolution);
+            const existing = await this.request(rollups.get([resolution, bucket]));
+            rollups.put(this.mergeIntoRollup(existing || { resolution, bucket, metrics: {} }, record, metrics));
+        }
+
+        return this.transactionDone(tx);
+    }
+
+    mergeIntoRollup(rollup, record, metrics) {
+        metrics.forEach(metric => {
+            const value = record[metric];
+            if (typeof value !== 'number' || !isFinite(value)) return;
+
+            const stats = rollup.metrics[metric] || { min: value, max: value, sum: 0, count: 0 };
+            stats.min = Math.min(stats.min, value);
+            stats.max = Math.max(stats.max, value);
+            stats.sum += value;
+            stats.count++;
+
+            if (this.categoricalMetrics.includes(metric)) {
+                stats.counts = stats.counts || {};
+                stats.counts[value] = (stats.counts[value] || 0) + 1;
+            }
+
+            rollup.metrics[metric] = stats;
+        });
+        return rollup;
+    }
+
+    getBucket(timestamp, resolution) {
+        const size = this.bucketSizes[resolution];
+        if (resolution === 'day') {
+            // Day buckets follow the local calendar rather than UTC midnight
+            const date = new Date(timestamp);
+            date.setHours(0, 0, 0, 0);
+            return date.getTime();
+        }
+        return Math.floor(timestamp / size) * size;
+    }
+
+    // Picks a resolution that keeps a query to at most a few thousand points
+    resolveResolution(from, to) {
+        const span = to - from;
+        if (span <= 60 * 60 * 1000) return 'raw';
+        if (span <= 2 * 24 * 60 * 60 * 1000) return 'minute';
+        if (span <= 60 * 24 * 60 * 60 * 1000) return 'hour';
+        return 'day';
+    }
+
+    // Returns [{ timestamp, value }] for raw data or [{ timestamp, min, avg, max, count }] for rollups
+    async query(metric, from, to = Date.now(), resolution = 'auto') {
+        if (resolution === 'auto') {
+            resolution = this.resolveResolution(from, to);
+        }
+
+        if (resolution === 'raw') {
+            const storeName = this.analysisMetrics.includes(metric) ? 'analyses' : 'frames';
+            const records = await this.getRange(storeName, from, to);
+            return records
+                .filter(record => typeof record[metric] === 'number')
+                .map(record => ({ timestamp: record.timestamp, value: record[metric] }));
+        }
+
+        const rollups = await this.getRollups(resolution, from, to);
+        return rollups
+            .filter(rollup => rollup.metrics[metric])
+            .map(rollup => {
+                const stats = rollup.metrics[metric];
+                return {
+                    timestamp: rollup.bucket,
+                    min: stats.min,
+                    max: stats.max,
+                    avg: stats.sum / stats.count,
+                    count: stats.count,
+                    counts: stats.counts
+                };
+            });
+    }
+
+    // Rollup series with one entry per bucket between from and to; empty buckets are null
+    async getSeries(metric, from, to, resolution) {
+        const points = await this.query(metric, from, to, resolution);
+        const byBucket = new Map(points.map(point => [point.timestamp, point]));
+
+        return this.listBuckets(from, to, resolution).map(bucket => ({
+            timestamp: bucket,
+            point: byBucket.get(bucket) || null
+        }));
+    }
+
+    listBuckets(from, to, resolution) {
+        const buckets = [];
+        let bucket = this.getBucket(from, resolution);
+
+        while (bucket <= to) {
+            buckets.push(bucket);
+            if (resolution === 'day') {
+                // Step by calendar day so daylight-saving changes do not shift the buckets
+                const next = new Date(bucket);
+                next.setDate(next.getDate() + 1);
+                bucket = next.getTime();
+            } else {
+                bucket += this.bucketSizes[resolution];
+            }
+        }
+        return buckets;
+    }
+
+    // Aggregates a whole time range into a single { min, avg, max, count } summary
+    async summarize(metric, from, to = Date.now()) {
+        const resolution = to - from <= 2 * 60 * 60 * 1000 ? 'minute' : 'hour';
+        const points = await this.query(metric, from, to, resolution);
+        if (points.length === 0) return null;
+
+        const summary = { min: Infinity, max: -Infinity, sum: 0, count: 0, counts: {} };
+        points.forEach(point => {
+            summary.min = Math.min(summary.min, point.min);
+            summary.max = Math.max(summary.max, point.max);
+            summary.sum += point.avg * point.count;
+            summary.count += point.count;
+            Object.entries(point.counts || {}).forEach(([value, count]) => {
+                summary.counts[value] = (summary.counts[value] || 0) + count;
+            });
+        });
+
+        return {
+            min: summary.min,
+            max: summary.max,
+            avg: summary.sum / summary.count,
+            count: summary.count,
+            counts: summary.counts
+        };
+    }
+
+    async getRecentFrames(limit = 100) {
+        return this.getLatest('frames', limit);
+    }
+
+    async getRecentAnalyses(limit = 1000) {
+        return this.getLatest('analyses', limit);
+    }
+
+    async getRange(storeName, from, to) {
+        const db = await this.open();
+        const index = db.transaction(storeName).objectStore(storeName).index('timestamp');
+        return this.request(index.getAll(IDBKeyRange.bound(from, to)));
+    }
+
+    async getRollups(resolution, from, to) {
+        const db = await this.open();
+        const store = db.transaction('rollups').objectStore('rollups');
+        const range = IDBKeyRange.bound(
+            [resolution, this.getBucket(from, resolution)],
+            [resolution, to]
+        );
+        return this.request(store.getAll(range));
+    }
+
+    // Newest records first from the cursor, returned oldest first
+    async getLatest(storeName, limit) {
+        const db = await this.open();
+        const index = db.transaction(storeName).objectStore(storeName).index('timestamp');
+
+        return new Promise((resolve, reject) => {
+            const records = [];
+            const request = index.openCursor(null, 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && records.length < limit) {
+                    records.push(cursor.value);
+                    cursor.continue();
+                } else {
+                    resolve(records.reverse());
+                }
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    async applyRetention() {
+        const db = await this.open();
+        const now = Date.now();
+        const tx = db.transaction(['frames', 'analyses', 'rollups'], 'readwrite');
+
+        ['frames', 'analyses'].forEach(storeName => {
+            const index = tx.objectStore(storeName).index('timestamp');
+            this.deleteByCursor(index.openCursor(IDBKeyRange.upperBound(now - this.retention.raw)));
+        });
+
+        const rollups = tx.objectStore('rollups');
+        Object.keys(this.bucketSizes).forEach(resolution => {
+            rollups.delete(IDBKeyRange.bound(
+                [resolution, 0],
+                [resolution, now - this.retention[resolution]]
+            ));
+        });
+
+        return this.transactionDone(tx).catch(error => {
+            console.error('Error applying telemetry retention:', error);
+        });
+    }
+
+    deleteByCursor(request) {
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (cursor) {
+                cursor.delete();
+                cursor.continue();
+            }
+        };
+    }
+
+    request(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+}
@@ -0,0 +1,178 @@
+// Telemetry Validator - checks each reading against the telemetry schema, detects sensor faults
+// and grades every field good, suspect or bad
+class TelemetryValidator {
+    constructor(schema = TELEMETRY_SCHEMA) {
+        this.schema = schema;
+        this.qualityOrder = { good: 0, suspect: 1, bad: 2 };
+        this.qualityWeights = { good: 1, suspect: 0.5, bad: 0 };
+        this.reset();
+    }
+
+    reset() {
+        // Last value per field and since when it has not changed, for stuck-sensor detection
+        this.unchanged = {};
+    }
+
+    // Maps renamed and abbreviated fields to their current names and fills in the schema version
+    normalize(frame) {
+        const normalized = { ...frame };
+        const renamed = [];
+
+        Object.entries(this.schema.renamed || {}).forEach(([legacy, current]) => {
+            if (!(legacy in normalized)) return;
+            if (!(current in normalized)) {
+                normalized[current] = normalized[legacy];
+                renamed.push(legacy);
+            }
+            delete normalized[legacy];
+        });
+
+        if (normalized.schemaVersion === undefined) {
+            normalized.schemaVersion = 1;
+        }
+
+        return { frame: normalized, renamed: renamed };
+    }
+
+    // Returns the normalized reading with values converted to their schema types (unusable values
+    // become null; fields the schema does not know pass through) and its quality report
+    validate(rawFrame, now = Date.now()) {
+        const { frame, renamed } = this.normalize(rawFrame);
+        const reading = { ...frame };
+        const quality = {
+            level: 'good',
+            score: 1,
+            schemaVersion: frame.schemaVersion,
+            renamed: renamed,
+            fields: {},
+            issues: []
+        };
+
+        Object.entries(this.schema.fields).forEach(([field, spec]) => {
+            if (!(field in frame) || frame[field] === undefined) {
+                if (spec.required) this.addIssue(quality, field, 'missing', `${spec.label} is missing from the reading.`);
+                return;
+            }
+
+            const value = this.convert(frame[field], spec);
+            reading[field] = value;
+            quality.fields[field] = 'good';
+
+            if (value === null) {
+                this.addIssue(quality, field, 'type', `${spec.label} is not a valid ${spec.type} (${JSON.stringify(frame[field])}).`);
+                return;
+            }
+
+            this.checkField(quality, field, value, spec, now);
+        });
+
+        const graded = Object.values(quality.fields);
+        if (graded.length > 0) {
+            quality.score = graded.reduce((sum, level) => sum + this.qualityWeights[level], 0) / graded.length;
+        }
+        quality.level = graded.reduce((worst, level) =>
+            this.qualityOrder[level] > this.qualityOrder[worst] ? level : worst, 'good');
+
+        return { reading, quality };
+    }
+
+    // Numbers may arrive as numeric strings and booleans as 0/1; anything else is unusable
+    convert(value, spec) {
+        switch (spec.type) {
+            case 'number':
+            case 'integer': {
+                const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+                if (typeof number !== 'number' || !isFinite(number)) return null;
+                return spec.type === 'integer' && !Number.isInteger(number) ? null : number;
+            }
+            case 'boolean':
+                if (typeof value === 'boolean') return value;
+                if (value === 1 || value === 'true') return true;
+                if (value === 0 || value === 'false') return false;
+                return null;
+            case 'string':
+                return typeof value === 'string' ? value : null;
+            case 'array':
+                if (!Array.isArray(value)) return null;
+                return value.every(item => typeof item === spec.items) ? value : null;
+            default:
+                return value;
+        }
+    }
+
+    checkField(quality, field, value, spec, now) {
+        const label = spec.label;
+        const shown = this.format(value, spec);
+
+        if (spec.values && !spec.values.includes(value)) {
+            this.addIssue(quality, field, 'out_of_range', `${label} "${value}" is not one of ${spec.values.join(', ')}.`);
+            return;
+        }
+
+        if (spec.type === 'array') {
+            const range = spec.sensorRange;
+            if (range && value.some(item => item < range.min || item > range.max)) {
+                this.addIssue(quality, field, 'out_of_range', `${label} contains values outside ${range.min}-${range.max} ${spec.unit}.`);
+            }
+            return;
+        }
+
+        if (spec.disconnected && spec.disconnected.includes(value)) {
+            this.addIssue(quality, field, 'disconnected', `${label} reads ${shown}, the probe looks disconnected.`);
+            return;
+        }
+        if (spec.sensorRange && (value < spec.sensorRange.min || value > spec.sensorRange.max)) {
+            this.addIssue(quality, field, 'out_of_range', `${label} of ${shown} is outside the sensor's range.`);
+            return;
+        }
+        // A clipped sensor holds full scale for as long as the level stays above it, so this is not a stuck reading
+        if (spec.saturates && value === spec.sensorRange.max) {
+            this.addIssue(quality, field, 'saturated', `${label} is at the sensor's full scale of ${shown}; the real value may be higher.`);
+            return;
+        }
+        if (spec.contact && value < spec.contact.min) {
+            this.addIssue(quality, field, 'no_contact', `${label} of ${shown} is ambient, the probe is not in contact with the wearer.`);
+            return;
+        }
+        if (spec.plausible && (value < spec.plausible.min || value > spec.plausible.max)) {
+            this.addIssue(quality, field, 'implausible', `${label} of ${shown} is physically implausible.`);
+            return;
+        }
+
+        if (spec.stuckSeconds) {
+            const unchanged = this.unchanged[field];
+            if (!unchanged || unchanged.value !== value) {
+                this.unchanged[field] = { value: value, since: now };
+            } else if (now - unchanged.since >= spec.stuckSeconds * 1000) {
+                this.addIssue(quality, field, 'stuck', `${label} has read ${shown} for ${Math.round((now - unchanged.since) / 1000)}s, the sensor may be stuck.`);
+            }
+        }
+    }
+
+    addIssue(quality, field, code, message) {
+        const level = this.schema.issues[code] || 'suspect';
+        quality.issues.push({ field, code, level, message });
+
+        // Missing fields are reported but not graded, the previous reading still stands
+        if (code !== 'missing') quality.fields[field] = level;
+    }
+
+    format(value, spec) {
+        const number = typeof value === 'number' && !Number.isInteger(value) ? value.toFixed(1) : value;
+        if (!spec.unit) return String(number);
+        return spec.unit.startsWith('°') || spec.unit === '%' ? `${number}${spec.unit}` : `${number} ${spec.unit}`;
+    }
+
+    getWeight(quality, field) {
+        return this.qualityWeights[quality.fields[field] || 'good'];
+    }
+
+    // The reading with bad fields blanked, as the analysis should see it
+    static getUsable(reading, quality) {
+        const usable = { ...reading };
+        Object.entries(quality.fields).forEach(([field, level]) => {
+            if (level === 'bad') usable[field] = null;
+        });
+        return usable;
+    }
+}
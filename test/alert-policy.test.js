@@ -0,0 +1,84 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'alert-policy.js'), 'utf8') +
+    '\nthis.AlertPolicy = AlertPolicy;', context);
+const { AlertPolicy } = context;
+
+const alert = (type, severity) => ({ type, severity, title: type, description: type });
+
+// Every event the policy reports, as "event:type"
+const watch = policy => {
+    const events = [];
+    policy.onUpdate((event, entry) => {
+        if (event !== 'updated') events.push(`${event}:${entry.type}`);
+    });
+    return events;
+};
+
+test('the sensitivity sets the least severe alert shown, critical always passes', () => {
+    const policy = new AlertPolicy();
+    assert.deepStrictEqual(['low', 'medium', 'high', 'critical'].map(s => policy.passes(alert('x', s))),
+        [false, false, true, true]);
+
+    policy.setThreshold('low');
+    assert.deepStrictEqual(['low', 'medium', 'high', 'critical'].map(s => policy.passes(alert('x', s))),
+        [false, false, false, true]);
+
+    policy.setThreshold('high');
+    assert.deepStrictEqual(['low', 'medium', 'high', 'critical'].map(s => policy.passes(alert('x', s))),
+        [true, true, true, true]);
+});
+
+test('repeats are debounced and an alert clears once it stops', () => {
+    const policy = new AlertPolicy({ clearAfter: 10000 });
+    const events = watch(policy);
+
+    for (let t = 0; t <= 8000; t += 2000) policy.evaluate([alert('fever', 'high')], t);
+    policy.evaluate([], 18000);
+    assert.deepStrictEqual(events, ['raised:fever']);
+    assert.strictEqual(policy.getActive()[0].occurrences, 5);
+
+    policy.evaluate([], 18001);
+    assert.deepStrictEqual(events, ['raised:fever', 'cleared:fever']);
+});
+
+test('a snoozed alert comes back on the evaluate clock', () => {
+    const policy = new AlertPolicy({ snoozeDuration: 60000 });
+    const events = watch(policy);
+
+    policy.evaluate([alert('fever', 'high')], 1000000);
+    policy.snooze('fever', undefined, 1000000);
+    policy.evaluate([alert('fever', 'high')], 1059000);
+    assert.strictEqual(policy.getActive()[0].state, 'snoozed');
+
+    policy.evaluate([alert('fever', 'high')], 1060000);
+    assert.deepStrictEqual(events, ['raised:fever', 'snoozed:fever', 'raised:fever']);
+});
+
+test('unacknowledged alerts escalate in source time, not wall-clock time', () => {
+    const policy = new AlertPolicy({ clearAfter: 1e9 });
+    const events = watch(policy);
+
+    policy.evaluate([alert('fever', 'high')], 0);
+    policy.evaluate([alert('fever', 'high')], 59000);
+    assert.strictEqual(policy.getActive()[0].severity, 'high');
+
+    policy.evaluate([alert('fever', 'high')], 60000);
+    assert.strictEqual(policy.getActive()[0].severity, 'critical');
+    assert.strictEqual(policy.getActive()[0].state, 'escalated');
+
+    // It keeps reminding at the critical interval until acknowledged
+    policy.evaluate([alert('fever', 'high')], 90000);
+    assert.strictEqual(policy.getActive()[0].escalations, 2);
+
+    policy.acknowledge('fever');
+    policy.evaluate([alert('fever', 'high')], 500000);
+    assert.deepStrictEqual(events,
+        ['raised:fever', 'escalated:fever', 'escalated:fever', 'acknowledged:fever']);
+});
@@ -0,0 +1,24 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'anomaly-detector.js'), 'utf8') +
+    '\nthis.AnomalyDetector = AnomalyDetector;', context);
+const { AnomalyDetector } = context;
+
+const ranges = { temperature: { min: 36.1, max: 37.2, optimal: 36.6 } };
+
+test('a reading far outside the wearer range is reported and kept out of the statistics', () => {
+    const detector = new AnomalyDetector();
+    detector.update({ temperature: 36.6 }, ranges);
+
+    const result = detector.update({ temperature: 41.5 }, ranges);
+    assert.strictEqual(result.findings.length, 1);
+    assert.strictEqual(result.findings[0].kind, 'implausible');
+    assert.strictEqual(result.score, 80);
+    assert.strictEqual(detector.stats.temperature.count, 1);
+});
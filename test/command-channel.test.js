@@ -0,0 +1,52 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console, setTimeout, clearTimeout });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'command-channel.js'), 'utf8') +
+    '\nthis.CommandChannel = CommandChannel;', context);
+const { CommandChannel } = context;
+
+test('settled commands are dropped and a repeated ack matches nothing', async () => {
+    const channel = new CommandChannel({ ackTimeout: 10, maxAttempts: 1 });
+    const sent = [];
+    channel.attach(message => sent.push(JSON.parse(message)));
+
+    const first = channel.send('emergency');
+    const second = channel.send('emergency');
+    assert.strictEqual(sent.length, 2);
+    assert.strictEqual(channel.handleAck({ id: first.id, action: 'emergency_activated' }), true);
+    assert.strictEqual(channel.commands.size, 1);
+
+    // The device repeats its ack for a retransmission; it must not acknowledge the next command
+    assert.strictEqual(channel.handleAck({ id: first.id, action: 'emergency_activated' }), false);
+    assert.strictEqual(second.status, 'pending');
+
+    await new Promise(resolve => setTimeout(resolve, 30));
+    assert.strictEqual(second.status, 'failed');
+    assert.strictEqual(channel.commands.size, 0);
+});
+
+test('queued commands fail instead of reaching a different device', () => {
+    const channel = new CommandChannel();
+    const sent = { a: [], b: [] };
+    channel.attach(message => sent.a.push(JSON.parse(message)), 'ws://a');
+
+    const emergency = channel.send('emergency');
+    channel.detach();
+    const sos = channel.send('sos');
+
+    // Reconnecting to the same device delivers both again
+    channel.attach(message => sent.a.push(JSON.parse(message)), 'ws://a');
+    assert.deepStrictEqual(sent.a.map(message => message.command), ['emergency', 'emergency', 'sos']);
+    channel.detach();
+
+    channel.attach(message => sent.b.push(JSON.parse(message)), 'ws://b');
+    assert.strictEqual(sent.b.length, 0);
+    assert.strictEqual(emergency.status, 'failed');
+    assert.strictEqual(sos.status, 'failed');
+    assert.strictEqual(channel.hasPending(), false);
+});
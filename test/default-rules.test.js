@@ -0,0 +1,102 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console });
+['rule-engine.js', 'default-rules.js', 'alert-policy.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+});
+vm.runInContext('this.RuleEngine = RuleEngine; this.DEFAULT_RULE_SET = DEFAULT_RULE_SET; this.AlertPolicy = AlertPolicy;', context);
+const { RuleEngine, DEFAULT_RULE_SET, AlertPolicy } = context;
+
+const fatigue = hrv => new RuleEngine(DEFAULT_RULE_SET)
+    .evaluate({ hrv: hrv }, 0, ['pattern'])
+    .patterns.some(pattern => pattern.name === 'fatigue_pattern');
+
+test('fatigue needs real RR intervals, not the BPM approximation', () => {
+    assert.strictEqual(fatigue({ rmssd: 5, source: 'approximation' }), false);
+    assert.strictEqual(fatigue({ rmssd: 5, source: 'rr' }), true);
+    assert.strictEqual(fatigue({ rmssd: 45, source: 'rr' }), false);
+});
+
+test('the default rule set validates', () => {
+    assert.strictEqual(new RuleEngine(DEFAULT_RULE_SET).validate(DEFAULT_RULE_SET).length, 0);
+});
+
+test('predictive alerts get through the default sensitivity', () => {
+    const policy = new AlertPolicy();
+    const predictive = DEFAULT_RULE_SET.rules.filter(rule => rule.kind === 'alert' && rule.when.forecast);
+
+    assert.ok(predictive.length > 0);
+    predictive.forEach(rule => assert.ok(policy.passes(rule.output), rule.id));
+});
+
+// The hard-coded scoring the default rule set replaced, kept verbatim as the reference
+const originalRiskScore = sensorData => {
+    let riskScore = 0;
+
+    if (sensorData.heartRate > 120 || sensorData.heartRate < 50) riskScore += 3;
+    else if (sensorData.heartRate > 100 || sensorData.heartRate < 60) riskScore += 2;
+    else if (sensorData.heartRate > 90 || sensorData.heartRate < 65) riskScore += 1;
+
+    if (sensorData.temperature > 38.0 || sensorData.temperature < 35.0) riskScore += 3;
+    else if (sensorData.temperature > 37.5 || sensorData.temperature < 35.5) riskScore += 2;
+
+    if (sensorData.gasLevel > 800) riskScore += 2;
+    else if (sensorData.gasLevel > 600) riskScore += 1;
+
+    if (sensorData.fallDetected) riskScore += 3;
+    if (sensorData.flameDetected) riskScore += 3;
+    return riskScore;
+};
+
+test('without a personal baseline the risk score matches the original fixed thresholds', () => {
+    const engine = new RuleEngine(DEFAULT_RULE_SET);
+    const population = { heartRate: { personal: false }, temperature: { personal: false } };
+    const heartRates = [40, 49, 50, 55, 59, 60, 64, 65, 72, 90, 91, 100, 101, 120, 121, 150];
+    const temperatures = [34.5, 35.0, 35.2, 35.5, 36.6, 37.5, 37.6, 38.0, 38.1, 39.5];
+    const gasLevels = [300, 600, 601, 800, 801];
+
+    heartRates.forEach(heartRate => temperatures.forEach(temperature => gasLevels.forEach(gasLevel => {
+        [false, true].forEach(flag => {
+            const reading = { heartRate, temperature, gasLevel, fallDetected: flag, flameDetected: false };
+            const score = engine.evaluate({ ...reading, baseline: population, risk: {}, patterns: {} }, 0, ['risk']).riskScore;
+            assert.strictEqual(score, originalRiskScore(reading), JSON.stringify(reading));
+        });
+    })));
+});
+
+test('a calibrated vital is scored against the personal range instead', () => {
+    const engine = new RuleEngine(DEFAULT_RULE_SET);
+    const context = {
+        heartRate: 45,
+        temperature: 36.6,
+        baseline: { heartRate: { personal: true }, temperature: { personal: false } },
+        risk: { heartRate: 0, temperature: 0 },
+        patterns: {}
+    };
+    assert.strictEqual(engine.evaluate(context, 0, ['risk']).riskScore, 0);
+});
+
+test('a predictive alert hands off to the current-value alert once the limit is reached', () => {
+    const engine = new RuleEngine(DEFAULT_RULE_SET);
+    const alerts = (gasLevel, level) => engine.evaluate({
+        gasLevel: gasLevel,
+        forecast: { gasLevel: { level: level, path: Array.from({ length: 30 }, (_, i) => level + (i + 1) * 20) } }
+    }, 0, ['alert']).alerts.map(alert => alert.type).filter(type => type.startsWith('gas_'));
+
+    assert.strictEqual(JSON.stringify(alerts(700, 700)), JSON.stringify(['gas_rising']));
+    assert.strictEqual(JSON.stringify(alerts(850, 790)), JSON.stringify(['gas_high', 'gas_rising']));
+    // The reading dips back while the smoothed level has crossed; the predictive alert is done
+    assert.strictEqual(JSON.stringify(alerts(790, 820)), JSON.stringify(['gas_high']));
+});
+
+test('temperature past the predicted limit raises an alert before it is extreme', () => {
+    const engine = new RuleEngine(DEFAULT_RULE_SET);
+    const types = engine.evaluate({ temperature: 38.4 }, 0, ['alert']).alerts.map(alert => alert.type);
+    assert.ok(types.includes('temperature_fever'));
+    assert.ok(!types.includes('temperature_extreme'));
+});
@@ -0,0 +1,94 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Timers only run when the test says so
+let timers = [];
+const setTimeout = (callback, delay) => {
+    const timer = { callback, delay };
+    timers.push(timer);
+    return timer;
+};
+const clearTimeout = timer => { timers = timers.filter(t => t !== timer); };
+const runTimers = () => {
+    const due = timers;
+    timers = [];
+    due.forEach(timer => timer.callback());
+};
+
+class WebSocket {
+    constructor(url) {
+        this.url = url;
+        this.sent = [];
+        WebSocket.opened.push(this);
+    }
+    send(message) { this.sent.push(message); }
+    close() { this.closed = true; }
+}
+WebSocket.opened = [];
+
+const context = vm.createContext({
+    console, WebSocket, setTimeout, clearTimeout,
+    setInterval: () => null,
+    clearInterval: () => {}
+});
+['telemetry-schema.js', 'message-router.js', 'data-source.js', 'device-connection.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+});
+vm.runInContext('this.DeviceConnection = DeviceConnection;', context);
+const { DeviceConnection } = context;
+
+test('a device that accepts the socket but never answers backs off and gives up', () => {
+    timers = [];
+    const connection = new DeviceConnection('ws://silent', { maxAttempts: 3 });
+    const delays = [];
+    let gaveUp = null;
+    connection.on('reconnecting', (attempt, delay) => delays.push(delay));
+    connection.on('giveup', attempts => { gaveUp = attempts; });
+
+    connection.connect();
+    for (let i = 0; i < 4; i++) {
+        connection.socket.onopen();
+        connection.checkHeartbeat(connection.lastMessageAt + connection.getHeartbeatTimeout() + 1);
+        runTimers();
+    }
+
+    assert.strictEqual(gaveUp, 3);
+    assert.strictEqual(delays.length, 3);
+    // Each nominal delay doubles; jitter keeps every one within its upper half
+    delays.forEach((delay, i) => {
+        const nominal = connection.baseDelay * Math.pow(2, i);
+        assert.ok(delay >= nominal / 2 && delay <= nominal, `attempt ${i + 1}: ${delay}`);
+    });
+});
+
+test('a message from the device starts the attempts over', () => {
+    timers = [];
+    const connection = new DeviceConnection('ws://flaky', { maxAttempts: 3 });
+    connection.connect();
+    connection.socket.onopen();
+    connection.checkHeartbeat(connection.lastMessageAt + connection.getHeartbeatTimeout() + 1);
+    assert.strictEqual(connection.reconnectAttempts, 1);
+
+    runTimers();
+    connection.socket.onopen();
+    connection.socket.onmessage({ data: JSON.stringify({ type: 'pong', id: 'ping-1' }) });
+    assert.strictEqual(connection.reconnectAttempts, 0);
+});
+
+test('the heartbeat waits for devices that sample slowly', () => {
+    timers = [];
+    const connection = new DeviceConnection('ws://slow');
+    connection.setExpectedInterval(60000);
+    connection.connect();
+    connection.socket.onopen();
+
+    connection.checkHeartbeat(connection.lastMessageAt + 20000);
+    assert.strictEqual(connection.status, 'connected');
+
+    connection.checkHeartbeat(connection.lastMessageAt + 3 * 60000 + 1);
+    assert.strictEqual(connection.status, 'disconnected');
+});
@@ -0,0 +1,77 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const storage = new Map();
+const localStorage = {
+    getItem: key => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+// Stands in for the WebSocket connection; the test delivers frames itself
+class DeviceConnection {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+        this.listeners = {};
+        this.clock = 0;
+    }
+    on(event, listener) { (this.listeners[event] = this.listeners[event] || []).push(listener); }
+    emit(event, ...args) { (this.listeners[event] || []).forEach(listener => listener(...args)); }
+    connect() {}
+    disconnect() {}
+    now() { return this.clock; }
+}
+
+const context = vm.createContext({ console, localStorage, DeviceConnection });
+['telemetry-schema.js', 'telemetry-validator.js', 'personal-baseline.js', 'default-rules.js', 'rule-engine.js',
+    'pattern-tracker.js', 'anomaly-detector.js', 'forecaster.js', 'ai-engine.js', 'fleet-manager.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+});
+vm.runInContext('this.AIEngine = AIEngine; this.FleetManager = FleetManager;', context);
+const { AIEngine, FleetManager } = context;
+
+const wearer = { id: 'wearer', devices: ['ws://a', 'ws://b'] };
+const wearerEngine = new AIEngine({ baselineKey: null });
+wearerEngine.personalBaseline.stats = { heartRate: { mean: 50, variance: 16, samples: 60, calibratedAt: 0 } };
+const profileManager = { profiles: [wearer], getEngine: () => wearerEngine };
+
+const send = (device, frame, at) => {
+    device.connection.clock = at;
+    device.connection.emit('telemetry', { type: 'telemetry', ...frame });
+};
+
+test('devices on one profile are analysed by separate engines', () => {
+    storage.clear();
+    const fleet = new FleetManager(profileManager);
+    const a = fleet.addDevice('ws://a');
+    const b = fleet.addDevice('ws://b');
+
+    for (let i = 0; i < 5; i++) send(a, { heartRate: 70, temperature: 36.6 }, i * 2000);
+    send(b, { heartRate: 140, temperature: 36.6 }, 0);
+
+    assert.notStrictEqual(a.engine, b.engine);
+    assert.notStrictEqual(a.engine, wearerEngine);
+    assert.strictEqual(a.engine.healthHistory.length, 5);
+    assert.strictEqual(b.engine.healthHistory.length, 1);
+    assert.strictEqual(wearerEngine.healthHistory.length, 0);
+
+    // Scored against the wearer's baseline without learning into it
+    assert.strictEqual(a.engine.getBaseline('heartRate').personal, true);
+    assert.strictEqual(wearerEngine.personalBaseline.stats.heartRate.mean, 50);
+});
+
+test('a field missing from a frame is not analysed from an earlier one', () => {
+    storage.clear();
+    const fleet = new FleetManager({ profiles: [], getEngine: () => null });
+    const device = fleet.addDevice('ws://c');
+
+    send(device, { heartRate: 70, temperature: 36.6 }, 0);
+    send(device, { heartRate: 72 }, 2000);
+
+    assert.strictEqual(device.sensorData.temperature, 36.6);
+    assert.strictEqual(device.engine.sensorHistory[1].temperature, undefined);
+});
@@ -0,0 +1,74 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const storage = new Map();
+const localStorage = {
+    getItem: key => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const context = vm.createContext({ console, localStorage });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'personal-baseline.js'), 'utf8') +
+    '\nthis.PersonalBaseline = PersonalBaseline;', context);
+const { PersonalBaseline } = context;
+
+// Ten minutes of two-second readings
+const calibrate = (baseline, reading) => {
+    baseline.startCalibration(10 * 60 * 1000, 0);
+    let event = null;
+    for (let t = 0; t <= 10 * 60 * 1000; t += 2000) {
+        event = baseline.addSample(reading, t) || event;
+    }
+    return event;
+};
+
+test('safety limits never raise the hard risk ceiling', () => {
+    const { heartRate, temperature } = new PersonalBaseline().safetyLimits;
+    assert.ok(heartRate.max <= 120);
+    assert.ok(temperature.min >= 35 && temperature.max <= 38);
+});
+
+test('an athlete resting below the population range can calibrate', () => {
+    storage.clear();
+    const baseline = new PersonalBaseline();
+
+    assert.strictEqual(calibrate(baseline, { heartRate: 45, temperature: 36.5 }), 'calibrated');
+    const range = baseline.getRange('heartRate', { min: 60, max: 100 });
+    assert.strictEqual(range.personal, true);
+    assert.ok(range.min < 45 && range.min >= baseline.safetyLimits.heartRate.min);
+});
+
+test('a sensor reading the room does not hold back the others', () => {
+    storage.clear();
+    const baseline = new PersonalBaseline();
+
+    assert.strictEqual(calibrate(baseline, { heartRate: 72, temperature: 25 }), 'partial');
+    assert.strictEqual(JSON.stringify(baseline.lastCalibration),
+        JSON.stringify({ calibrated: ['heartRate'], rejected: ['temperature'] }));
+    assert.strictEqual(baseline.getRange('heartRate', { min: 60, max: 100 }).personal, true);
+    assert.strictEqual(baseline.getRange('temperature', { min: 36.1, max: 37.2 }).personal, false);
+});
+
+test('calibration fails only when no sensor had plausible readings', () => {
+    storage.clear();
+    const baseline = new PersonalBaseline();
+
+    assert.strictEqual(calibrate(baseline, { heartRate: 0, temperature: 25 }), 'failed');
+    assert.strictEqual(baseline.isCalibrated(), false);
+    assert.strictEqual(calibrate(baseline, { heartRate: 72, temperature: 36.6 }), 'calibrated');
+});
+
+test('a baseline without a storage key lives in memory only', () => {
+    storage.clear();
+    const baseline = new PersonalBaseline({ storageKey: null });
+
+    assert.strictEqual(calibrate(baseline, { heartRate: 72, temperature: 36.6 }), 'calibrated');
+    assert.strictEqual(baseline.stats.heartRate.calibratedAt, 10 * 60 * 1000);
+    assert.strictEqual(storage.size, 0);
+    assert.strictEqual(new PersonalBaseline({ storageKey: null }).isCalibrated(), false);
+});
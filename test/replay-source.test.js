@@ -0,0 +1,106 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Timers only run when the test says so
+let timers = [];
+const setTimeout = (callback, delay) => {
+    const timer = { callback, delay };
+    timers.push(timer);
+    return timer;
+};
+const clearTimeout = timer => { timers = timers.filter(t => t !== timer); };
+const runNext = () => {
+    const timer = timers.shift();
+    timer.callback();
+    return timer.delay;
+};
+
+const context = vm.createContext({ console, setTimeout, clearTimeout });
+['telemetry-schema.js', 'message-router.js', 'data-source.js', 'replay-source.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+});
+vm.runInContext('this.ReplaySource = ReplaySource;', context);
+const { ReplaySource } = context;
+
+// Frames two seconds apart with a minute-long gap before the last one
+const recording = [0, 2000, 4000, 6000, 66000].map((timestamp, i) => ({ timestamp, frame: { heartRate: 70 + i } }));
+
+const open = async (options) => {
+    timers = [];
+    const replay = new ReplaySource('test', recording, options);
+    const played = [];
+    const seeks = [];
+    replay.on('telemetry', frame => played.push(frame.heartRate));
+    replay.on('seek', position => seeks.push(position));
+    replay.connect();
+    await new Promise(resolve => setImmediate(resolve));
+    return { replay, played, seeks };
+};
+
+test('frames play in recorded order at recorded pace, with long gaps skipped', async () => {
+    const { replay, played } = await open();
+    const delays = [];
+    while (timers.length > 0) delays.push(runNext());
+
+    assert.strictEqual(JSON.stringify(played), JSON.stringify([70, 71, 72, 73, 74]));
+    assert.strictEqual(JSON.stringify(delays), JSON.stringify([0, 2000, 2000, 2000, 10000]));
+    assert.strictEqual(replay.now(), 66000);
+    assert.strictEqual(replay.getProgress().playing, false);
+});
+
+test('a new speed applies to the frame already waiting', async () => {
+    const { replay } = await open();
+    runNext();
+    assert.strictEqual(timers[0].delay, 2000);
+
+    replay.setSpeed(20);
+    assert.strictEqual(timers.length, 1);
+    assert.strictEqual(timers[0].delay, 100);
+    assert.strictEqual(replay.getProgress().speed, 20);
+
+    assert.throws(() => replay.setSpeed(3), /Unsupported replay speed/);
+    assert.strictEqual(replay.speed, 20);
+});
+
+test('seeking jumps to the first frame at or after the time and stays inside the recording', async () => {
+    const { replay, played, seeks } = await open();
+    runNext();
+
+    replay.seek(3000);
+    assert.strictEqual(replay.now(), 3000);
+    assert.strictEqual(timers.length, 1);
+    assert.strictEqual(timers[0].delay, 0);
+    runNext();
+    assert.strictEqual(JSON.stringify(played), JSON.stringify([70, 72]));
+    assert.strictEqual(replay.now(), 4000);
+
+    replay.seek(-5000);
+    assert.strictEqual(replay.getProgress().index, 0);
+    replay.seek(999999);
+    assert.strictEqual(replay.now(), 66000);
+    assert.strictEqual(JSON.stringify(seeks), JSON.stringify([3000, 0, 66000]));
+});
+
+test('seeking while paused moves without playing, and play after the end starts over', async () => {
+    const { replay, played, seeks } = await open();
+    replay.pause();
+    assert.strictEqual(timers.length, 0);
+
+    replay.seek(6000);
+    assert.strictEqual(timers.length, 0);
+    assert.strictEqual(played.length, 0);
+
+    replay.play();
+    while (timers.length > 0) runNext();
+    assert.strictEqual(JSON.stringify(played), JSON.stringify([73, 74]));
+
+    replay.play();
+    assert.strictEqual(replay.now(), 0);
+    assert.strictEqual(JSON.stringify(seeks), JSON.stringify([6000, 0]));
+    runNext();
+    assert.strictEqual(played[played.length - 1], 70);
+});
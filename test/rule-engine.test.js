@@ -0,0 +1,39 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The dashboard's scripts are plain browser globals; load the rule engine into a context of its own
+const context = vm.createContext({ console });
+vm.runInContext(`${fs.readFileSync(path.join(__dirname, '..', 'rule-engine.js'), 'utf8')}\nthis.RuleEngine = RuleEngine;`, context);
+const { RuleEngine } = context;
+
+const alertRule = when => ({
+    rules: [{
+        id: 'combined',
+        kind: 'alert',
+        when: when,
+        output: { title: 'Combined', description: 'A and B', severity: 'high' }
+    }]
+});
+
+test('a "for" clause inside "all" restarts after the other branch goes false', () => {
+    const engine = new RuleEngine(alertRule({
+        all: [
+            { metric: 'a', op: '==', value: true },
+            { metric: 'b', op: '==', value: true, for: 60 }
+        ]
+    }));
+    const fires = (a, b, seconds) => engine.evaluate({ a, b }, seconds * 1000, ['alert']).alerts.length > 0;
+
+    assert.strictEqual(fires(true, true, 0), false);
+    assert.strictEqual(fires(true, true, 61), true);
+
+    // Both go false: B's duration must be cleared even though A already failed
+    assert.strictEqual(fires(false, false, 62), false);
+    assert.strictEqual(fires(true, true, 63), false);
+    assert.strictEqual(fires(true, true, 100), false);
+    assert.strictEqual(fires(true, true, 124), true);
+});
@@ -0,0 +1,100 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const storage = new Map();
+const localStorage = {
+    getItem: key => storage.has(key) ? storage.get(key) : null,
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+};
+
+const context = vm.createContext({ console, localStorage });
+['telemetry-schema.js', 'telemetry-validator.js', 'personal-baseline.js', 'default-rules.js', 'rule-engine.js',
+    'pattern-tracker.js', 'anomaly-detector.js', 'forecaster.js', 'ai-engine.js'].forEach(file => {
+    vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context);
+});
+vm.runInContext('this.TelemetryValidator = TelemetryValidator; this.AIEngine = AIEngine;', context);
+const { TelemetryValidator, AIEngine } = context;
+
+const frame = fields => ({ heartRate: 72, temperature: 36.6, gasLevel: 300, posture: 0, ...fields });
+const grade = (fields, now) => new TelemetryValidator().validate(frame(fields), now).quality;
+
+test('a healthy reading is good throughout', () => {
+    const quality = grade({});
+    assert.strictEqual(quality.level, 'good');
+    assert.strictEqual(quality.score, 1);
+    assert.strictEqual(quality.issues.length, 0);
+});
+
+test('each sensor fault is graded and named', () => {
+    const cases = [
+        [{ heartRate: 0 }, 'heartRate', 'disconnected', 'bad'],
+        [{ temperature: 85 }, 'temperature', 'disconnected', 'bad'],
+        [{ temperature: 150 }, 'temperature', 'out_of_range', 'bad'],
+        [{ temperature: 24 }, 'temperature', 'no_contact', 'bad'],
+        [{ heartRate: 240 }, 'heartRate', 'implausible', 'bad'],
+        [{ heartRate: 'fast' }, 'heartRate', 'type', 'bad'],
+        [{ posture: 5 }, 'posture', 'out_of_range', 'bad'],
+        [{ gasLevel: 0 }, 'gasLevel', 'disconnected', 'bad']
+    ];
+
+    cases.forEach(([fields, field, code, level]) => {
+        const quality = grade(fields);
+        assert.strictEqual(quality.issues.length, 1, JSON.stringify(fields));
+        assert.strictEqual(quality.issues[0].field, field);
+        assert.strictEqual(quality.issues[0].code, code);
+        assert.strictEqual(quality.fields[field], level);
+        assert.strictEqual(quality.level, level);
+    });
+
+    // One bad field out of five, counting the schema version
+    assert.strictEqual(grade({ heartRate: 0 }).score, 0.8);
+});
+
+test('a missing field is reported without grading it', () => {
+    const reading = frame({});
+    delete reading.temperature;
+    const { quality } = new TelemetryValidator().validate(reading);
+
+    assert.strictEqual(quality.issues[0].code, 'missing');
+    assert.strictEqual(quality.fields.temperature, undefined);
+    assert.strictEqual(quality.level, 'good');
+});
+
+test('a value that does not change for too long is suspect', () => {
+    const validator = new TelemetryValidator();
+    validator.validate(frame({ heartRate: 80 }), 0);
+    assert.strictEqual(validator.validate(frame({ heartRate: 80 }), 30000).quality.fields.heartRate, 'good');
+
+    const quality = validator.validate(frame({ heartRate: 80 }), 60000).quality;
+    assert.strictEqual(quality.fields.heartRate, 'suspect');
+    assert.strictEqual(quality.score, 0.9);
+    assert.strictEqual(validator.getWeight(quality, 'heartRate'), 0.5);
+});
+
+test('a saturated gas sensor is kept as a full-scale reading', () => {
+    const validator = new TelemetryValidator();
+    const { reading, quality } = validator.validate(frame({ gasLevel: 4095 }), 0);
+
+    assert.strictEqual(quality.issues[0].code, 'saturated');
+    assert.strictEqual(quality.fields.gasLevel, 'good');
+    assert.strictEqual(TelemetryValidator.getUsable(reading, quality).gasLevel, 4095);
+
+    // Holding full scale is what a clipped sensor does, not a stuck one
+    const later = validator.validate(frame({ gasLevel: 4095 }), 600000).quality;
+    assert.strictEqual(JSON.stringify(later.issues.filter(issue => issue.field === 'gasLevel').map(issue => issue.code)),
+        JSON.stringify(['saturated']));
+});
+
+test('a saturated gas reading reaches the rules', () => {
+    storage.clear();
+    const analysis = new AIEngine({ baselineKey: null }).analyzeSensorData(frame({ gasLevel: 4095 }), 0);
+
+    assert.ok(analysis.alerts.some(alert => alert.type === 'gas_high'));
+    assert.ok(analysis.recommendations.some(recommendation => recommendation.type === 'ventilation'));
+    assert.notStrictEqual(analysis.riskLevel, 'low');
+});
@@ -0,0 +1,83 @@
+// Trend Detector - smoothed rate of change per vital over a sliding window
+class TrendDetector {
+    constructor(options = {}) {
+        this.windowSize = options.windowSize || 30;
+        this.smoothing = options.smoothing || 0.3; // EWMA factor, lower is smoother
+
+        // Rates (units per minute) inside the dead-band are reported as stable
+        this.deadBands = {
+            heartRate: 1.0,
+            temperature: 0.05,
+            gasLevel: 20,
+            posture: 0.1,
+            ...options.deadBands
+        };
+
+        this.samples = {};
+        this.smoothed = {};
+    }
+
+    setWindowSize(windowSize) {
+        this.windowSize = windowSize;
+        Object.values(this.samples).forEach(samples => {
+            samples.splice(0, Math.max(0, samples.length - windowSize));
+        });
+    }
+
+    addSample(metric, value, timestamp = Date.now()) {
+        if (typeof value !== 'number' || !isFinite(value)) return;
+
+        const previous = this.smoothed[metric];
+        const smoothed = previous === undefined ? value : previous + this.smoothing * (value - previous);
+        this.smoothed[metric] = smoothed;
+
+        const samples = this.samples[metric] || (this.samples[metric] = []);
+        samples.push({ timestamp: timestamp, value: smoothed });
+        if (samples.length > this.windowSize) {
+            samples.shift();
+        }
+    }
+
+    addFrame(frame, timestamp = Date.now()) {
+        Object.keys(this.deadBands).forEach(metric => this.addSample(metric, frame[metric], timestamp));
+    }
+
+    getTrend(metric) {
+        const samples = this.samples[metric] || [];
+        if (samples.length < 3) {
+            return { direction: 'stable', ratePerMinute: null, samples: samples.length };
+        }
+
+        const ratePerMinute = this.calculateSlope(samples) * 60 * 1000;
+        const deadBand = this.deadBands[metric] || 0;
+
+        let direction = 'stable';
+        if (ratePerMinute > deadBand) direction = 'up';
+        else if (ratePerMinute < -deadBand) direction = 'down';
+
+        return { direction, ratePerMinute, samples: samples.length };
+    }
+
+    // Least-squares slope of the smoothed values against time (units per millisecond)
+    calculateSlope(samples) {
+        const t0 = samples[0].timestamp;
+        let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+        const n = samples.length;
+
+        samples.forEach(sample => {
+            const x = sample.timestamp - t0;
+            sumX += x;
+            sumY += sample.value;
+            sumXY += x * sample.value;
+            sumX2 += x * x;
+        });
+
+        const denominator = n * sumX2 - sumX * sumX;
+        return denominator === 0 ? 0 : (n * sumXY - sumX * sumY) / denominator;
+    }
+
+    reset() {
+        this.samples = {};
+        this.smoothed = {};
+    }
+}